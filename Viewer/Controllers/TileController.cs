@@ -10,6 +10,12 @@ public class TileController : ControllerBase
     private readonly MrmsTileGenerator _mrmsTileGenerator;
     private readonly ILogger<TileController> _logger;
 
+    // Hours of a point series downloaded and sampled at once (each decoded grid holds about 98 MB)
+    private const int POINT_SERIES_MAX_CONCURRENT_HOURS = 4;
+
+    // Adjusted datasets are cached under this prefix plus the source cache key, one per source
+    private const string ADJUSTED_CACHE_KEY_PREFIX = "adjusted-";
+
     public TileController(MrmsTileGenerator mrmsTileGenerator, ILogger<TileController> logger)
     {
         _mrmsTileGenerator = mrmsTileGenerator;
@@ -19,10 +25,24 @@ public class TileController : ControllerBase
     /// <summary>
     /// Get a map tile at the specified z/x/y coordinates
     /// Standard XYZ tile format: /tiles/{z}/{x}/{y}.png
+    /// When compareDataset is given, renders dataset minus compareDataset (mode=difference)
+    /// or dataset / compareDataset (mode=ratio) with a diverging color ramp
     /// </summary>
     [HttpGet("{z}/{x}/{y}.png")]
-    public async Task<IActionResult> GetTile(int z, int x, int y, [FromQuery] string? dataset = "default")
+    public async Task<IActionResult> GetTile(
+        int z,
+        int x,
+        int y,
+        [FromQuery] string? dataset = "default",
+        [FromQuery] string? compareDataset = null,
+        [FromQuery] string? mode = "difference")
     {
+        var differenceMode = MrmsTileGenerator.DifferenceMode.Difference;
+        if (!string.IsNullOrEmpty(compareDataset) && !MrmsTileGenerator.TryParseDifferenceMode(mode, out differenceMode))
+        {
+            return BadRequest($"Unknown difference mode: {mode}");
+        }
+
         try
         {
             // Validate tile coordinates
@@ -38,7 +58,9 @@ public class TileController : ControllerBase
             }
 
             // Generate tile
-            byte[]? tileData = await _mrmsTileGenerator.GenerateTileAsync(z, x, y, dataset ?? "default");
+            byte[]? tileData = string.IsNullOrEmpty(compareDataset)
+                ? await _mrmsTileGenerator.GenerateTileAsync(z, x, y, dataset ?? "default")
+                : await _mrmsTileGenerator.GenerateDifferenceTileAsync(z, x, y, dataset ?? "default", compareDataset, differenceMode);
 
             if (tileData == null)
             {
@@ -148,6 +170,11 @@ public class TileController : ControllerBase
             return BadRequest("Product, date, and time are required");
         }
 
+        if (cacheKey != null && cacheKey.StartsWith(ADJUSTED_CACHE_KEY_PREFIX))
+        {
+            return BadRequest($"Cache keys starting with {ADJUSTED_CACHE_KEY_PREFIX} are reserved for adjusted datasets");
+        }
+
         try
         {
             _logger.LogDebug("Downloading from S3: Product={Product}, Date={Date}, Time={Time}", product, date, time);
@@ -206,50 +233,14 @@ public class TileController : ControllerBase
                 }
             }
 
-            // Create temp directory for downloads
-            var tempDir = Path.Combine(Path.GetTempPath(), "mrms_downloads");
-            Directory.CreateDirectory(tempDir);
-
-            var gzFilePath = Path.Combine(tempDir, actualFileName);
-            var gribFilePath = Path.Combine(tempDir, actualFileName.Replace(".gz", ""));
-
-            // Save compressed file
-            _logger.LogDebug("Saving downloaded file...");
-            using (var fileStream = new FileStream(gzFilePath, FileMode.Create, FileAccess.Write, FileShare.None))
-            {
-                await response.Content.CopyToAsync(fileStream);
-            }
-
-            _logger.LogDebug("Download complete. Decompressing...");
-
-            // Decompress .gz file
-            using (var gzStream = new System.IO.Compression.GZipStream(
-                new FileStream(gzFilePath, FileMode.Open, FileAccess.Read),
-                System.IO.Compression.CompressionMode.Decompress))
-            {
-                using (var outputStream = new FileStream(gribFilePath, FileMode.Create, FileAccess.Write, FileShare.None))
-                {
-                    await gzStream.CopyToAsync(outputStream);
-                }
-            }
+            var (gzFilePath, gribFilePath) = await SaveAndDecompressAsync(response, actualFileName);
 
             _logger.LogDebug("Decompression complete. Loading GRIB2 data...");
 
             // Load GRIB2 file
             var success = await _mrmsTileGenerator.LoadGribDataAsync(gribFilePath, cacheKey ?? "default");
 
-            // Clean up temp files
-            try
-            {
-                if (System.IO.File.Exists(gzFilePath))
-                    System.IO.File.Delete(gzFilePath);
-                if (System.IO.File.Exists(gribFilePath))
-                    System.IO.File.Delete(gribFilePath);
-            }
-            catch (Exception cleanupEx)
-            {
-                _logger.LogWarning(cleanupEx, "Failed to clean up temporary files");
-            }
+            DeleteTempFiles(gzFilePath, gribFilePath);
 
             if (success)
             {
@@ -282,6 +273,189 @@ public class TileController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Save a downloaded .grib2.gz response to the temp directory and decompress it
+    /// Files get a unique name per call so concurrent requests for the same file do not collide
+    /// </summary>
+    private async Task<(string GzFilePath, string GribFilePath)> SaveAndDecompressAsync(HttpResponseMessage response, string fileName)
+    {
+        // Create temp directory for downloads
+        var tempDir = Path.Combine(Path.GetTempPath(), "mrms_downloads");
+        Directory.CreateDirectory(tempDir);
+
+        var uniqueName = $"{Guid.NewGuid():N}_{fileName}";
+        var gzFilePath = Path.Combine(tempDir, uniqueName);
+        var gribFilePath = Path.Combine(tempDir, uniqueName.Replace(".gz", ""));
+
+        // Save compressed file
+        _logger.LogDebug("Saving downloaded file...");
+        using (var fileStream = new FileStream(gzFilePath, FileMode.Create, FileAccess.Write, FileShare.None))
+        {
+            await response.Content.CopyToAsync(fileStream);
+        }
+
+        _logger.LogDebug("Download complete. Decompressing...");
+
+        // Decompress .gz file
+        using (var gzStream = new System.IO.Compression.GZipStream(
+            new FileStream(gzFilePath, FileMode.Open, FileAccess.Read),
+            System.IO.Compression.CompressionMode.Decompress))
+        {
+            using (var outputStream = new FileStream(gribFilePath, FileMode.Create, FileAccess.Write, FileShare.None))
+            {
+                await gzStream.CopyToAsync(outputStream);
+            }
+        }
+
+        return (gzFilePath, gribFilePath);
+    }
+
+    /// <summary>
+    /// Delete temporary download files, logging (not throwing) on failure
+    /// </summary>
+    private void DeleteTempFiles(params string[] filePaths)
+    {
+        try
+        {
+            foreach (var filePath in filePaths)
+            {
+                if (System.IO.File.Exists(filePath))
+                    System.IO.File.Delete(filePath);
+            }
+        }
+        catch (Exception cleanupEx)
+        {
+            _logger.LogWarning(cleanupEx, "Failed to clean up temporary files");
+        }
+    }
+
+    /// <summary>
+    /// Sample an hourly MRMS product at many points for consecutive hours ending at date/time
+    /// Each hour is downloaded from S3, sampled and discarded (not cached); missing hours return null values
+    /// Hours are fetched in parallel, POINT_SERIES_MAX_CONCURRENT_HOURS at a time
+    /// Used for per-gauge hyetographs
+    /// </summary>
+    [HttpPost("point-series")]
+    public async Task<IActionResult> GetPointSeries(
+        [FromBody] List<ValuePoint> points,
+        [FromQuery] string product,
+        [FromQuery] string date,
+        [FromQuery] string time,
+        [FromQuery] int hours = 12,
+        [FromQuery] string? method = "nearest",
+        [FromQuery] int radius = 1)
+    {
+        if (points == null || points.Count == 0)
+        {
+            return BadRequest("At least one point is required");
+        }
+
+        if (string.IsNullOrEmpty(product) || string.IsNullOrEmpty(date) || string.IsNullOrEmpty(time))
+        {
+            return BadRequest("Product, date, and time are required");
+        }
+
+        if (!DateTime.TryParseExact($"{date}{time}", "yyyyMMddHHmmss",
+                System.Globalization.CultureInfo.InvariantCulture,
+                System.Globalization.DateTimeStyles.AssumeUniversal | System.Globalization.DateTimeStyles.AdjustToUniversal, out var endTime))
+        {
+            return BadRequest("Date must be YYYYMMDD and time HHMMSS");
+        }
+
+        if (hours < 1 || hours > 72)
+        {
+            return BadRequest("Hours must be between 1 and 72");
+        }
+
+        if (!MrmsTileGenerator.TryParseSamplingMethod(method, out var samplingMethod))
+        {
+            return BadRequest($"Unknown sampling method: {method}");
+        }
+
+        try
+        {
+            using var httpClient = new HttpClient();
+            httpClient.Timeout = TimeSpan.FromMinutes(5);
+
+            var coordinates = points.Select(p => (p.Lat, p.Lon, p.Target)).ToList();
+            using var throttle = new SemaphoreSlim(POINT_SERIES_MAX_CONCURRENT_HOURS);
+
+            // Oldest hour first
+            var series = await Task.WhenAll(Enumerable.Range(0, hours)
+                .Select(h => endTime.AddHours(h - hours + 1))
+                .Select(async hourTime =>
+                {
+                    await throttle.WaitAsync();
+                    try
+                    {
+                        return await SamplePointSeriesHourAsync(httpClient, product, hourTime, coordinates, samplingMethod, radius);
+                    }
+                    finally
+                    {
+                        throttle.Release();
+                    }
+                }));
+
+            return Ok(new
+            {
+                product,
+                method = samplingMethod.ToString(),
+                ids = points.Select(p => p.Id),
+                hours = series
+            });
+        }
+        catch (HttpRequestException ex)
+        {
+            _logger.LogError(ex, "HTTP error downloading point series from S3");
+            return StatusCode(500, $"Error downloading from S3: {ex.Message}");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error building point series");
+            return StatusCode(500, $"Error building point series: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Download one hour of a point series and sample it; the hour is marked unavailable if S3 has no file
+    /// </summary>
+    private async Task<object> SamplePointSeriesHourAsync(HttpClient httpClient, string product, DateTime hourTime,
+        IReadOnlyList<(double Lat, double Lon, float? Target)> coordinates, MrmsTileGenerator.SamplingMethod samplingMethod, int radius)
+    {
+        var hourDate = hourTime.ToString("yyyyMMdd");
+        var hourStamp = hourTime.ToString("HHmmss");
+        var fileName = $"MRMS_{product}_{hourDate}-{hourStamp}.grib2.gz";
+        var s3Url = $"https://noaa-mrms-pds.s3.amazonaws.com/CONUS/{product}/{hourDate}/{fileName}";
+
+        float?[]? values = null;
+        using var response = await httpClient.GetAsync(s3Url);
+
+        if (response.IsSuccessStatusCode)
+        {
+            var (gzFilePath, gribFilePath) = await SaveAndDecompressAsync(response, fileName);
+            try
+            {
+                values = await _mrmsTileGenerator.SampleGribFileAsync(gribFilePath, coordinates, samplingMethod, radius);
+            }
+            finally
+            {
+                DeleteTempFiles(gzFilePath, gribFilePath);
+            }
+        }
+        else
+        {
+            _logger.LogInformation("Hourly file not available for point series: {Url} ({Status})", s3Url, response.StatusCode);
+        }
+
+        return new
+        {
+            date = hourDate,
+            time = hourStamp,
+            available = values != null,
+            values = values ?? new float?[coordinates.Count]
+        };
+    }
+
     /// <summary>
     /// Extract time from GRIB2 filename (format: MRMS_Product_YYYYMMDD-HHMMSS.grib2.gz)
     /// </summary>
@@ -366,16 +540,26 @@ public class TileController : ControllerBase
 
     /// <summary>
     /// Get pixel value at a specific latitude/longitude coordinate
+    /// Optional method (nearest, mean3x3, mean5x5, bilinear, max, closest) selects the gauge-to-grid matching;
+    /// radius applies to max/closest and target is the gauge value closest tries to match
     /// </summary>
     [HttpGet("value")]
     public IActionResult GetValueAtCoordinate(
         [FromQuery] double lat,
         [FromQuery] double lon,
-        [FromQuery] string? cacheKey = "default")
+        [FromQuery] string? cacheKey = "default",
+        [FromQuery] string? method = "nearest",
+        [FromQuery] int radius = 1,
+        [FromQuery] float? target = null)
     {
+        if (!MrmsTileGenerator.TryParseSamplingMethod(method, out var samplingMethod))
+        {
+            return BadRequest($"Unknown sampling method: {method}");
+        }
+
         try
         {
-            float? value = _mrmsTileGenerator.GetValueAtCoordinate(lat, lon, cacheKey ?? "default");
+            float? value = _mrmsTileGenerator.GetValueAtCoordinate(lat, lon, cacheKey ?? "default", samplingMethod, radius, target);
 
             if (value == null)
             {
@@ -391,6 +575,126 @@ public class TileController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Point to sample in a bulk value request
+    /// Target is the gauge value used by the "closest" sampling method
+    /// </summary>
+    public class ValuePoint
+    {
+        public string? Id { get; set; }
+        public double Lat { get; set; }
+        public double Lon { get; set; }
+        public float? Target { get; set; }
+    }
+
+    /// <summary>
+    /// Get pixel values for many latitude/longitude coordinates in a single request
+    /// Values are returned in the same order as the posted points
+    /// </summary>
+    [HttpPost("values")]
+    public IActionResult GetValuesAtCoordinates(
+        [FromBody] List<ValuePoint> points,
+        [FromQuery] string? cacheKey = "default",
+        [FromQuery] string? method = "nearest",
+        [FromQuery] int radius = 1)
+    {
+        if (points == null || points.Count == 0)
+        {
+            return BadRequest("At least one point is required");
+        }
+
+        if (!MrmsTileGenerator.TryParseSamplingMethod(method, out var samplingMethod))
+        {
+            return BadRequest($"Unknown sampling method: {method}");
+        }
+
+        try
+        {
+            var coordinates = points.Select(p => (p.Lat, p.Lon, p.Target)).ToList();
+            float?[]? values = _mrmsTileGenerator.GetValuesAtCoordinates(coordinates, cacheKey ?? "default", samplingMethod, radius);
+
+            if (values == null)
+            {
+                return NotFound($"No data found for cache key: {cacheKey ?? "default"}");
+            }
+
+            var results = points.Select((p, i) => new { id = p.Id, lat = p.Lat, lon = p.Lon, value = values[i] });
+
+            return Ok(new { cacheKey = cacheKey ?? "default", method = samplingMethod.ToString(), count = points.Count, values = results });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting values for {Count} coordinates", points.Count);
+            return StatusCode(500, $"Error getting values: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Gauge adjustment request: a mean-field bias, or a gridded local bias field
+    /// </summary>
+    public class AdjustmentRequest
+    {
+        public string SourceCacheKey { get; set; } = "default";
+        public float MeanFieldBias { get; set; } = 1f;
+        public MrmsTileGenerator.BiasField? Field { get; set; }
+    }
+
+    /// <summary>
+    /// Cache a gauge-adjusted copy of a loaded dataset (source multiplied by the mean-field bias,
+    /// or by the local bias field where gauges are in range) for previewing as tiles
+    /// The adjusted dataset's cache key is derived from the source key and returned in the response
+    /// </summary>
+    [HttpPost("adjust")]
+    public async Task<IActionResult> CreateAdjustedDataset([FromBody] AdjustmentRequest request)
+    {
+        if (request == null || string.IsNullOrEmpty(request.SourceCacheKey))
+        {
+            return BadRequest("Source cache key is required");
+        }
+
+        if (request.SourceCacheKey.StartsWith(ADJUSTED_CACHE_KEY_PREFIX))
+        {
+            return BadRequest("Source must be a loaded dataset, not an adjusted one");
+        }
+
+        var field = request.Field;
+        if (field == null && (!float.IsFinite(request.MeanFieldBias) || request.MeanFieldBias <= 0))
+        {
+            return BadRequest("Mean-field bias must be a positive number");
+        }
+
+        if (field != null && !MrmsTileGenerator.IsValidBiasField(field))
+        {
+            return BadRequest("Bias field must have positive dimensions within the MRMS grid and Cols x Rows values");
+        }
+
+        var targetCacheKey = ADJUSTED_CACHE_KEY_PREFIX + request.SourceCacheKey;
+
+        try
+        {
+            bool created = await _mrmsTileGenerator.CreateAdjustedDatasetAsync(
+                request.SourceCacheKey, targetCacheKey, request.MeanFieldBias, field);
+
+            if (!created)
+            {
+                return NotFound($"No data found for cache key: {request.SourceCacheKey}");
+            }
+
+            return Ok(new
+            {
+                cacheKey = targetCacheKey,
+                source = request.SourceCacheKey,
+                mode = field == null ? "mean-field" : "local",
+                meanFieldBias = field == null ? request.MeanFieldBias : (float?)null
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error adjusting dataset {Source}", request.SourceCacheKey);
+            return StatusCode(500, $"Error adjusting dataset: {ex.Message}");
+        }
+    }
+
     private byte[] CreateEmptyTile()
     {
         // Return a 1x1 transparent PNG
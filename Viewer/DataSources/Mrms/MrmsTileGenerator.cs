@@ -27,6 +27,43 @@ public class MrmsTileGenerator
         public int Number { get; set; }
     }
 
+    /// <summary>
+    /// Gauge-to-grid matching methods used when sampling values at a coordinate
+    /// </summary>
+    public enum SamplingMethod
+    {
+        Nearest,         // Single grid cell containing the coordinate
+        Mean3x3,         // Mean of the 3x3 neighborhood
+        Mean5x5,         // Mean of the 5x5 neighborhood
+        Bilinear,        // Bilinear interpolation between the four surrounding grid points
+        MaxInRadius,     // Maximum value within a pixel radius
+        ClosestInRadius  // Value closest to a target (gauge) value within a pixel radius
+    }
+
+    /// <summary>
+    /// Gridded log bias ratios (ln gauge/MRMS) used to adjust a dataset
+    /// Columns are evenly spaced in longitude from West; rows are evenly spaced in Web Mercator y
+    /// (in degree units) from North, so the grid matches the bias surface drawn on the map
+    /// </summary>
+    public class BiasField
+    {
+        public double West { get; set; }
+        public double North { get; set; }
+        public double CellDeg { get; set; }
+        public int Cols { get; set; }
+        public int Rows { get; set; }
+        public float?[] LogBias { get; set; } = Array.Empty<float?>();  // Row-major; null where no gauge is in range
+    }
+
+    /// <summary>
+    /// How two datasets are combined in a difference tile
+    /// </summary>
+    public enum DifferenceMode
+    {
+        Difference,  // A - B (in)
+        Ratio        // A / B
+    }
+
     // MRMS grid constants
     private const int GRID_WIDTH = 7000;   // Longitude points
     private const int GRID_HEIGHT = 3500;  // Latitude points
@@ -41,6 +78,12 @@ public class MrmsTileGenerator
     // Tile constants
     private const int TILE_SIZE = 256;
 
+    // Largest sampling radius (grid cells) for the max/closest methods, matching the viewer's SAMPLING_DEFAULTS.MAX_RADIUS
+    private const int MAX_SAMPLING_RADIUS = 10;
+
+    // Difference tiles: cells where both datasets are below this amount (in) are left transparent
+    private const float DIFFERENCE_MIN_AMOUNT = 0.01f;
+
     public MrmsTileGenerator(ILogger<MrmsTileGenerator> logger)
     {
         _logger = logger;
@@ -251,6 +294,31 @@ public class MrmsTileGenerator
         }
     }
 
+    /// <summary>
+    /// Sample a GRIB2 file at many coordinates without keeping the grid in the cache
+    /// Returns null if the file could not be loaded
+    /// </summary>
+    public async Task<float?[]?> SampleGribFileAsync(string gribFilePath, IReadOnlyList<(double Lat, double Lon, float? Target)> coordinates,
+        SamplingMethod method = SamplingMethod.Nearest, int radius = 1)
+    {
+        var tempKey = $"__sample_{Guid.NewGuid():N}";
+
+        if (!await LoadGribDataAsync(gribFilePath, tempKey))
+        {
+            return null;
+        }
+
+        try
+        {
+            return GetValuesAtCoordinates(coordinates, tempKey, method, radius);
+        }
+        finally
+        {
+            _dataCache.TryRemove(tempKey, out _);
+            _metadataCache.TryRemove(tempKey, out _);
+        }
+    }
+
     /// <summary>
     /// Generate a tile for the given z/x/y coordinates
     /// </summary>
@@ -345,6 +413,127 @@ public class MrmsTileGenerator
         return ms.ToArray();
     }
 
+    /// <summary>
+    /// Generate a tile comparing two cached datasets: A - B or A / B with a diverging colormap
+    /// Both datasets must be on the same MRMS grid (e.g. Pass 2 vs Radar Only, or two valid times)
+    /// </summary>
+    public async Task<byte[]?> GenerateDifferenceTileAsync(int z, int x, int y, string cacheKeyA, string cacheKeyB, DifferenceMode mode)
+    {
+        if (!_dataCache.TryGetValue(cacheKeyA, out var dataA))
+        {
+            _logger.LogWarning("No data loaded for cache key: {CacheKey}", cacheKeyA);
+            return null;
+        }
+
+        if (!_dataCache.TryGetValue(cacheKeyB, out var dataB))
+        {
+            _logger.LogWarning("No data loaded for cache key: {CacheKey}", cacheKeyB);
+            return null;
+        }
+
+        return await Task.Run(() => GenerateDifferenceTile(z, x, y, dataA, dataB, mode));
+    }
+
+    private byte[] GenerateDifferenceTile(int z, int x, int y, float[] dataA, float[] dataB, DifferenceMode mode)
+    {
+        var tileBounds = GetTileBounds(z, x, y);
+
+        using var image = new Image<Rgba32>(TILE_SIZE, TILE_SIZE);
+
+        for (int py = 0; py < TILE_SIZE; py++)
+        {
+            for (int px = 0; px < TILE_SIZE; px++)
+            {
+                double lon = tileBounds.MinLon + (px / (double)TILE_SIZE) * (tileBounds.MaxLon - tileBounds.MinLon);
+                double lat = tileBounds.MaxLat - (py / (double)TILE_SIZE) * (tileBounds.MaxLat - tileBounds.MinLat);
+
+                int gridX = (int)Math.Round((lon - MIN_LON) / GRID_RES);
+                int gridY = (int)Math.Round((MAX_LAT - lat) / GRID_RES);
+
+                if (gridX < 0 || gridX >= GRID_WIDTH || gridY < 0 || gridY >= GRID_HEIGHT)
+                {
+                    continue;
+                }
+
+                int dataIndex = gridY * GRID_WIDTH + gridX;
+                if (dataIndex >= dataA.Length || dataIndex >= dataB.Length)
+                {
+                    continue;
+                }
+
+                float a = dataA[dataIndex];
+                float b = dataB[dataIndex];
+
+                // Negative amounts are the MRMS no-coverage sentinel; skip cells missing from either dataset
+                if (!float.IsFinite(a) || !float.IsFinite(b) || a < 0 || b < 0)
+                {
+                    continue;
+                }
+
+                // No precipitation in either dataset
+                if (a < DIFFERENCE_MIN_AMOUNT && b < DIFFERENCE_MIN_AMOUNT)
+                {
+                    continue;
+                }
+
+                image[px, py] = mode == DifferenceMode.Ratio
+                    ? GetColorForRatio(a, b)
+                    : GetColorForDifference(a - b);
+            }
+        }
+
+        using var ms = new MemoryStream();
+        image.SaveAsPng(ms);
+        return ms.ToArray();
+    }
+
+    /// <summary>
+    /// Diverging color mapping for an accumulation difference A - B (in)
+    /// Blue-green where A is wetter, brown where A is drier; matches DIFFERENCE_COLORBARS.Difference in config.js
+    /// </summary>
+    private Rgba32 GetColorForDifference(float value)
+    {
+        if (value >= 2.0f) return new Rgba32(0, 60, 48, 235);        // 2+: darkest teal
+        if (value >= 1.0f) return new Rgba32(1, 102, 94, 230);       // 1-2
+        if (value >= 0.5f) return new Rgba32(53, 151, 143, 225);     // 0.5-1
+        if (value >= 0.25f) return new Rgba32(90, 180, 172, 220);    // 0.25-0.5
+        if (value >= 0.1f) return new Rgba32(150, 215, 205, 215);    // 0.1-0.25
+        if (value >= 0.01f) return new Rgba32(199, 234, 229, 210);   // 0.01-0.1
+        if (value > -0.01f) return new Rgba32(245, 245, 245, 120);   // No change
+        if (value > -0.1f) return new Rgba32(246, 232, 195, 210);    // -0.01 to -0.1
+        if (value > -0.25f) return new Rgba32(232, 200, 140, 215);   // -0.1 to -0.25
+        if (value > -0.5f) return new Rgba32(216, 179, 101, 220);    // -0.25 to -0.5
+        if (value > -1.0f) return new Rgba32(191, 129, 45, 225);     // -0.5 to -1
+        if (value > -2.0f) return new Rgba32(140, 81, 10, 230);      // -1 to -2
+        return new Rgba32(84, 48, 5, 235);                           // -2 or less: darkest brown
+    }
+
+    /// <summary>
+    /// Diverging color mapping for an accumulation ratio A / B
+    /// Uses the difference colors on symmetric ratio steps; a dry B counts as the largest ratio
+    /// and a dry A as the smallest. Matches DIFFERENCE_COLORBARS.Ratio in config.js
+    /// </summary>
+    private Rgba32 GetColorForRatio(float a, float b)
+    {
+        if (b < DIFFERENCE_MIN_AMOUNT) return GetColorForDifference(2.0f);
+        if (a < DIFFERENCE_MIN_AMOUNT) return GetColorForDifference(-2.0f);
+
+        float ratio = a / b;
+        if (ratio >= 5.0f) return GetColorForDifference(2.0f);
+        if (ratio >= 2.5f) return GetColorForDifference(1.0f);
+        if (ratio >= 1.6f) return GetColorForDifference(0.5f);
+        if (ratio >= 1.3f) return GetColorForDifference(0.25f);
+        if (ratio >= 1.1f) return GetColorForDifference(0.1f);
+        if (ratio >= 1.05f) return GetColorForDifference(0.01f);
+        if (ratio > 1 / 1.05f) return GetColorForDifference(0f);
+        if (ratio > 1 / 1.1f) return GetColorForDifference(-0.01f);
+        if (ratio > 1 / 1.3f) return GetColorForDifference(-0.1f);
+        if (ratio > 1 / 1.6f) return GetColorForDifference(-0.25f);
+        if (ratio > 1 / 2.5f) return GetColorForDifference(-0.5f);
+        if (ratio > 1 / 5.0f) return GetColorForDifference(-1.0f);
+        return GetColorForDifference(-2.0f);
+    }
+
     /// <summary>
     /// Get tile bounds in Web Mercator (EPSG:3857)
     /// </summary>
@@ -1254,6 +1443,97 @@ public class MrmsTileGenerator
         return new Rgba32(200, 0, 0, 255);                      // 100: dark red
     }
 
+    /// <summary>
+    /// Cache a gauge-adjusted copy of a dataset: each cell multiplied by the bias field's ratio,
+    /// or by the mean-field bias when no field is given
+    /// Cells outside the field's coverage and no-data cells are copied unchanged
+    /// </summary>
+    public async Task<bool> CreateAdjustedDatasetAsync(string sourceCacheKey, string targetCacheKey, float meanFieldBias, BiasField? field)
+    {
+        if (!_dataCache.TryGetValue(sourceCacheKey, out var source))
+        {
+            _logger.LogWarning("No data loaded for cache key: {CacheKey}", sourceCacheKey);
+            return false;
+        }
+
+        var adjusted = await Task.Run(() => field == null
+            ? ApplyMeanFieldBias(source, meanFieldBias)
+            : ApplyBiasField(source, field));
+
+        _dataCache[targetCacheKey] = adjusted;
+        if (_metadataCache.TryGetValue(sourceCacheKey, out var metadata))
+        {
+            _metadataCache[targetCacheKey] = metadata;
+        }
+
+        _logger.LogInformation("Cached {Mode} adjustment of {Source} as {Target}",
+            field == null ? $"mean-field ({meanFieldBias:F3})" : "local bias", sourceCacheKey, targetCacheKey);
+        return true;
+    }
+
+    private static float[] ApplyMeanFieldBias(float[] source, float bias)
+    {
+        var adjusted = new float[source.Length];
+        for (int i = 0; i < source.Length; i++)
+        {
+            float value = source[i];
+            adjusted[i] = float.IsFinite(value) && value > 0 ? value * bias : value;
+        }
+        return adjusted;
+    }
+
+    private static float[] ApplyBiasField(float[] source, BiasField field)
+    {
+        var adjusted = new float[source.Length];
+        double yNorth = MercatorY(field.North);
+
+        // Field column for each grid column, at the grid point locations sampling and tiles use
+        var fieldCols = new int[GRID_WIDTH];
+        for (int gridX = 0; gridX < GRID_WIDTH; gridX++)
+        {
+            double lon = MIN_LON + gridX * GRID_RES;
+            int col = (int)Math.Floor((lon - field.West) / field.CellDeg);
+            fieldCols[gridX] = col >= 0 && col < field.Cols ? col : -1;
+        }
+
+        for (int gridY = 0; gridY < GRID_HEIGHT; gridY++)
+        {
+            double lat = MAX_LAT - gridY * GRID_RES;
+            int row = (int)Math.Floor((yNorth - MercatorY(lat)) / field.CellDeg);
+            bool rowInField = row >= 0 && row < field.Rows;
+
+            for (int gridX = 0; gridX < GRID_WIDTH; gridX++)
+            {
+                int index = gridY * GRID_WIDTH + gridX;
+                if (index >= source.Length) break;
+
+                float value = source[index];
+                adjusted[index] = value;
+
+                if (!rowInField || fieldCols[gridX] < 0 || !float.IsFinite(value) || value <= 0)
+                {
+                    continue;
+                }
+
+                float? logBias = field.LogBias[row * field.Cols + fieldCols[gridX]];
+                if (logBias.HasValue)
+                {
+                    adjusted[index] = value * MathF.Exp(logBias.Value);
+                }
+            }
+        }
+
+        return adjusted;
+    }
+
+    /// <summary>
+    /// Web Mercator y in degree units
+    /// </summary>
+    private static double MercatorY(double lat)
+    {
+        return Math.Log(Math.Tan(Math.PI / 4 + lat * Math.PI / 360)) * 180 / Math.PI;
+    }
+
     /// <summary>
     /// Get variable metadata for a cached dataset
     /// </summary>
@@ -1292,10 +1572,77 @@ public class MrmsTileGenerator
         );
     }
 
+    /// <summary>
+    /// Check a bias field from a request: positive dimensions no larger than the MRMS grid,
+    /// a positive cell size and Cols x Rows values
+    /// </summary>
+    public static bool IsValidBiasField(BiasField field)
+    {
+        return field.Cols > 0 && field.Cols <= GRID_WIDTH &&
+               field.Rows > 0 && field.Rows <= GRID_HEIGHT &&
+               field.CellDeg > 0 &&
+               field.LogBias != null && field.LogBias.Length == field.Cols * field.Rows;
+    }
+
+    /// <summary>
+    /// Parse a sampling method name as used by the API (nearest, mean3x3, mean5x5, bilinear, max, closest)
+    /// </summary>
+    public static bool TryParseSamplingMethod(string? name, out SamplingMethod method)
+    {
+        switch ((name ?? "nearest").Trim().ToLowerInvariant())
+        {
+            case "":
+            case "nearest":
+                method = SamplingMethod.Nearest;
+                return true;
+            case "mean3x3":
+                method = SamplingMethod.Mean3x3;
+                return true;
+            case "mean5x5":
+                method = SamplingMethod.Mean5x5;
+                return true;
+            case "bilinear":
+                method = SamplingMethod.Bilinear;
+                return true;
+            case "max":
+                method = SamplingMethod.MaxInRadius;
+                return true;
+            case "closest":
+                method = SamplingMethod.ClosestInRadius;
+                return true;
+            default:
+                method = SamplingMethod.Nearest;
+                return false;
+        }
+    }
+
+    /// <summary>
+    /// Parse a difference mode name as used by the API (difference, ratio)
+    /// </summary>
+    public static bool TryParseDifferenceMode(string? name, out DifferenceMode mode)
+    {
+        switch ((name ?? "difference").Trim().ToLowerInvariant())
+        {
+            case "":
+            case "difference":
+                mode = DifferenceMode.Difference;
+                return true;
+            case "ratio":
+                mode = DifferenceMode.Ratio;
+                return true;
+            default:
+                mode = DifferenceMode.Difference;
+                return false;
+        }
+    }
+
     /// <summary>
     /// Get the data value at a specific latitude/longitude coordinate
+    /// Radius (in grid cells, clamped to MAX_SAMPLING_RADIUS) is used by the MaxInRadius and ClosestInRadius methods;
+    /// target is the value ClosestInRadius tries to match (falls back to nearest when null)
     /// </summary>
-    public float? GetValueAtCoordinate(double lat, double lon, string cacheKey)
+    public float? GetValueAtCoordinate(double lat, double lon, string cacheKey,
+        SamplingMethod method = SamplingMethod.Nearest, int radius = 1, float? target = null)
     {
         if (!_dataCache.TryGetValue(cacheKey, out var data))
         {
@@ -1303,17 +1650,79 @@ public class MrmsTileGenerator
             return null;
         }
 
+        return SampleGrid(data, lat, lon, method, radius, target);
+    }
+
+    /// <summary>
+    /// Get the data values at many latitude/longitude coordinates in one pass
+    /// Results are returned in the same order as the input coordinates
+    /// </summary>
+    public float?[]? GetValuesAtCoordinates(IReadOnlyList<(double Lat, double Lon, float? Target)> coordinates, string cacheKey,
+        SamplingMethod method = SamplingMethod.Nearest, int radius = 1)
+    {
+        if (!_dataCache.TryGetValue(cacheKey, out var data))
+        {
+            _logger.LogWarning("No data found for cache key: {CacheKey}", cacheKey);
+            return null;
+        }
+
+        var values = new float?[coordinates.Count];
+        for (int i = 0; i < coordinates.Count; i++)
+        {
+            var (lat, lon, target) = coordinates[i];
+            values[i] = SampleGrid(data, lat, lon, method, radius, target);
+        }
+
+        return values;
+    }
+
+    /// <summary>
+    /// Sample the grid at a latitude/longitude coordinate using the requested matching method
+    /// </summary>
+    private float? SampleGrid(float[] data, double lat, double lon, SamplingMethod method, int radius, float? target)
+    {
         // Check if coordinate is within grid bounds
         if (lat < MIN_LAT || lat > MAX_LAT || lon < MIN_LON || lon > MAX_LON)
         {
             return null;
         }
 
-        // Convert lat/lon to grid coordinates
-        // MRMS grid starts at northwest corner (MIN_LON, MAX_LAT)
-        int gridX = (int)((lon - MIN_LON) / GRID_RES);
-        int gridY = (int)((MAX_LAT - lat) / GRID_RES);
+        // Convert lat/lon to the nearest grid point, as the tile renderer does
+        // MRMS grid points start at the northwest corner (MIN_LON, MAX_LAT); bilinear interpolates between the same points
+        int gridX = (int)Math.Round((lon - MIN_LON) / GRID_RES);
+        int gridY = (int)Math.Round((MAX_LAT - lat) / GRID_RES);
+
+        // Radius comes straight from the query string; keep the search window bounded
+        radius = Math.Clamp(radius, 0, MAX_SAMPLING_RADIUS);
+
+        switch (method)
+        {
+            case SamplingMethod.Mean3x3:
+                return SampleNeighborhoodMean(data, gridX, gridY, 1);
+            case SamplingMethod.Mean5x5:
+                return SampleNeighborhoodMean(data, gridX, gridY, 2);
+            case SamplingMethod.Bilinear:
+                return SampleBilinear(data, lat, lon);
+            case SamplingMethod.MaxInRadius:
+                return SampleWithinRadius(data, gridX, gridY, radius, (best, candidate) => candidate > best);
+            case SamplingMethod.ClosestInRadius:
+                if (target == null)
+                {
+                    return ReadGridCell(data, gridX, gridY);
+                }
+                float goal = target.Value;
+                return SampleWithinRadius(data, gridX, gridY, radius,
+                    (best, candidate) => Math.Abs(candidate - goal) < Math.Abs(best - goal));
+            default:
+                return ReadGridCell(data, gridX, gridY);
+        }
+    }
 
+    /// <summary>
+    /// Read a single grid cell, returning null for out-of-grid or no-data cells
+    /// </summary>
+    private float? ReadGridCell(float[] data, int gridX, int gridY)
+    {
         // Validate grid coordinates
         if (gridX < 0 || gridX >= GRID_WIDTH || gridY < 0 || gridY >= GRID_HEIGHT)
         {
@@ -1338,4 +1747,88 @@ public class MrmsTileGenerator
         // Data is already converted to km during load for Height Composite Reflectivity products
         return value;
     }
+
+    /// <summary>
+    /// Mean of the valid cells in a (2 * halfWidth + 1) square centered on a grid cell
+    /// </summary>
+    private float? SampleNeighborhoodMean(float[] data, int gridX, int gridY, int halfWidth)
+    {
+        double sum = 0;
+        int count = 0;
+
+        for (int dy = -halfWidth; dy <= halfWidth; dy++)
+        {
+            for (int dx = -halfWidth; dx <= halfWidth; dx++)
+            {
+                float? value = ReadGridCell(data, gridX + dx, gridY + dy);
+                if (value != null)
+                {
+                    sum += value.Value;
+                    count++;
+                }
+            }
+        }
+
+        return count > 0 ? (float)(sum / count) : null;
+    }
+
+    /// <summary>
+    /// Bilinear interpolation between the four grid points surrounding a coordinate
+    /// Missing neighbors are dropped and the remaining weights renormalized
+    /// </summary>
+    private float? SampleBilinear(float[] data, double lat, double lon)
+    {
+        double fx = (lon - MIN_LON) / GRID_RES;
+        double fy = (MAX_LAT - lat) / GRID_RES;
+        int x0 = (int)Math.Floor(fx);
+        int y0 = (int)Math.Floor(fy);
+        double tx = fx - x0;
+        double ty = fy - y0;
+
+        double weightedSum = 0;
+        double totalWeight = 0;
+
+        for (int dy = 0; dy <= 1; dy++)
+        {
+            for (int dx = 0; dx <= 1; dx++)
+            {
+                double weight = (dx == 0 ? 1 - tx : tx) * (dy == 0 ? 1 - ty : ty);
+                float? value = ReadGridCell(data, x0 + dx, y0 + dy);
+                if (value != null && weight > 0)
+                {
+                    weightedSum += value.Value * weight;
+                    totalWeight += weight;
+                }
+            }
+        }
+
+        return totalWeight > 0 ? (float)(weightedSum / totalWeight) : null;
+    }
+
+    /// <summary>
+    /// Pick one valid cell within a circular pixel radius, keeping a candidate whenever isBetter says so
+    /// </summary>
+    private float? SampleWithinRadius(float[] data, int gridX, int gridY, int radius, Func<float, float, bool> isBetter)
+    {
+        float? best = null;
+
+        for (int dy = -radius; dy <= radius; dy++)
+        {
+            for (int dx = -radius; dx <= radius; dx++)
+            {
+                if (dx * dx + dy * dy > radius * radius)
+                {
+                    continue;
+                }
+
+                float? value = ReadGridCell(data, gridX + dx, gridY + dy);
+                if (value != null && (best == null || isBetter(best.Value, value.Value)))
+                {
+                    best = value;
+                }
+            }
+        }
+
+        return best;
+    }
 }
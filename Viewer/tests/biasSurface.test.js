@@ -0,0 +1,103 @@
+/**
+ * Unit tests for biasSurface.js
+ * Run from the Viewer directory with: npm test (or node --test tests/)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    buildBiasSamples,
+    createSampleIndex,
+    interpolateLogBias,
+    computeBiasSurface
+} from '../wwwroot/biasSurface.js';
+import { BIAS_SURFACE } from '../wwwroot/config.js';
+import { assertClose, gauge } from './helpers.js';
+
+describe('buildBiasSamples', () => {
+    it('keeps included gauges with measurable amounts as log ratios', () => {
+        const samples = buildBiasSamples([
+            gauge('A', 35, -97, 2, 1),
+            gauge('B', 35, -96, 1, null),             // MRMS zero or missing: no ratio
+            gauge('C', 35, -95, 0.005, 1),            // Gauge below the minimum amount
+            gauge('D', 35, -94, 1, 2, ['buddy']),     // Excluded by QC
+            gauge('E', 35, -93, 1, 1)                 // On the exclusion list
+        ], point => point.qcFlagged || point.stationId === 'E');
+
+        assert.deepEqual(samples.map(s => s.stationId), ['A']);
+        assertClose(samples[0].value, Math.log(2));
+    });
+
+    it('clamps ratios to the configured range', () => {
+        const samples = buildBiasSamples([gauge('A', 35, -97, 5, 0.01), gauge('B', 35, -96, 0.01, 5)], () => false);
+        assertClose(samples[0].value, Math.log(BIAS_SURFACE.MAX_RATIO));
+        assertClose(samples[1].value, Math.log(BIAS_SURFACE.MIN_RATIO));
+    });
+});
+
+describe('interpolateLogBias', () => {
+    const samples = [
+        { stationId: 'A', lat: 35, lon: -97.5, value: Math.log(2) },
+        { stationId: 'B', lat: 35, lon: -96.5, value: Math.log(0.5) }
+    ];
+
+    for (const method of ['idw', 'kriging']) {
+        it(`${method}: is symmetric halfway between two gauges`, () => {
+            const index = createSampleIndex(samples, 100);
+            assertClose(interpolateLogBias(index, 35, -97, method), 0);
+        });
+
+        it(`${method}: returns null beyond the radius of influence`, () => {
+            const index = createSampleIndex(samples, 50);
+            assert.equal(interpolateLogBias(index, 37, -97, method), null);
+        });
+
+        it(`${method}: reproduces a uniform bias`, () => {
+            const uniform = [
+                { stationId: 'A', lat: 35, lon: -97.5, value: 0.3 },
+                { stationId: 'B', lat: 35.4, lon: -97, value: 0.3 },
+                { stationId: 'C', lat: 34.8, lon: -96.6, value: 0.3 }
+            ];
+            const index = createSampleIndex(uniform, 150);
+            assertClose(interpolateLogBias(index, 35.1, -97.1, method), 0.3);
+        });
+    }
+
+    it('idw: returns the gauge value at a gauge', () => {
+        const index = createSampleIndex(samples, 100);
+        assertClose(interpolateLogBias(index, 35, -97.5, 'idw'), Math.log(2));
+    });
+
+    it('kriging: leans toward the nearer gauge', () => {
+        const index = createSampleIndex(samples, 200);
+        const value = interpolateLogBias(index, 35, -97.3, 'kriging');
+        assert.ok(value > 0 && value < Math.log(2), `got ${value}`);
+    });
+});
+
+describe('computeBiasSurface', () => {
+    it('needs the minimum number of gauges', () => {
+        const samples = [{ stationId: 'A', lat: 35, lon: -97, value: 0 }];
+        assert.equal(computeBiasSurface(samples, { method: 'idw', radiusKm: 100 }), null);
+    });
+
+    it('covers the gauges plus the radius, within the cell budget', () => {
+        const samples = [
+            { stationId: 'A', lat: 30, lon: -100, value: 0.1 },
+            { stationId: 'B', lat: 40, lon: -90, value: -0.1 },
+            { stationId: 'C', lat: 35, lon: -95, value: 0 }
+        ];
+        const surface = computeBiasSurface(samples, { method: 'idw', radiusKm: 100 });
+
+        assert.ok(surface.south < 30 && surface.north > 40);
+        assert.ok(surface.west < -100 && surface.east > -90);
+        assert.equal(surface.values.length, surface.cols * surface.rows);
+        assert.ok(surface.cols * surface.rows <= BIAS_SURFACE.MAX_CELLS + surface.cols + surface.rows + 1);
+        assert.equal(surface.sampleCount, 3);
+
+        // Cells far from every gauge have no value
+        assert.ok(surface.values.some(v => isNaN(v)));
+        assert.ok(surface.values.some(v => !isNaN(v)));
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit tests for gaugeAccumulation.js
+ * Run from the Viewer directory with: npm test (or node --test tests/)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sumGaugeComponents, fillMissingAccumulations } from '../wwwroot/gaugeAccumulation.js';
+import { ACCUMULATION_PERIODS, GAUGE_ACCUMULATION_BUILDS } from '../wwwroot/config.js';
+
+const THREE_HOUR = GAUGE_ACCUMULATION_BUILDS[ACCUMULATION_PERIODS.THREE_HOUR];
+
+/**
+ * Builds a parsed MADIS report
+ *
+ * @param {string} stationId - Station ID
+ * @param {number} value - Precipitation in mm (NaN when missing)
+ * @param {string} qcDescriptor - MADIS QC descriptor
+ * @returns {Object} Gauge report
+ */
+function report(stationId, value, qcDescriptor = 'V') {
+    return { stationId, obvTime: '2025-10-01 12:00', provider: 'TEST', value, qcDescriptor, lat: 35, lon: -97 };
+}
+
+/**
+ * Finds a station's gauges in a result
+ *
+ * @param {Array<Object>} gauges - Gauge objects
+ * @param {string} stationId - Station ID
+ * @returns {Array<Object>} Matching gauges
+ */
+function forStation(gauges, stationId) {
+    return gauges.filter(gauge => gauge.stationId === stationId);
+}
+
+describe('sumGaugeComponents', () => {
+    it('sums stations reporting every component', () => {
+        const components = [[report('A', 1.5)], [report('A', 2)], [report('A', 0.25)]];
+        const [gauge] = sumGaugeComponents(components, THREE_HOUR);
+
+        assert.equal(gauge.value, 3.75);
+        assert.equal(gauge.hoursReported, 3);
+        assert.equal(gauge.hoursExpected, 3);
+    });
+
+    it('drops stations failing the completeness check', () => {
+        const components = [[report('A', 1), report('B', 1)], [report('A', 1)], [report('A', 1), report('B', NaN)]];
+
+        assert.deepEqual(sumGaugeComponents(components, THREE_HOUR).map(gauge => gauge.stationId), ['A']);
+    });
+});
+
+describe('fillMissingAccumulations', () => {
+    const components = [
+        [report('NATIVE', 9), report('ABSENT', 1), report('MISSING', 2), report('PARTIAL', 1)],
+        [report('NATIVE', 9), report('ABSENT', 1), report('MISSING', 2)],
+        [report('NATIVE', 9), report('ABSENT', 0.5), report('MISSING', 2), report('PARTIAL', 1)]
+    ];
+    const nativeGauges = [report('NATIVE', 4), report('MISSING', NaN), report('PARTIAL', NaN)];
+    const gauges = fillMissingAccumulations(nativeGauges, components, THREE_HOUR);
+
+    it('keeps native values over summed ones', () => {
+        const [gauge] = forStation(gauges, 'NATIVE');
+
+        assert.equal(forStation(gauges, 'NATIVE').length, 1);
+        assert.equal(gauge.value, 4);
+        assert.equal(gauge.hoursReported, undefined);
+    });
+
+    it('sums hourly reports for stations without a native report', () => {
+        const [gauge] = forStation(gauges, 'ABSENT');
+
+        assert.equal(gauge.value, 2.5);
+        assert.equal(gauge.hoursReported, 3);
+    });
+
+    it('replaces missing native values with the sum', () => {
+        const station = forStation(gauges, 'MISSING');
+
+        assert.equal(station.length, 1);
+        assert.equal(station[0].value, 6);
+    });
+
+    it('does not fill stations with incomplete hourly reports', () => {
+        const station = forStation(gauges, 'PARTIAL');
+
+        assert.equal(station.length, 1);
+        assert.ok(Number.isNaN(station[0].value));
+    });
+});
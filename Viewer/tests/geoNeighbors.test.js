@@ -0,0 +1,53 @@
+/**
+ * Unit tests for geoNeighbors.js
+ * Run from the Viewer directory with: npm test (or node --test tests/)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KM_PER_DEGREE, distanceKm, createNeighborIndex, findNeighbors } from '../wwwroot/geoNeighbors.js';
+import { assertClose } from './helpers.js';
+
+describe('distanceKm', () => {
+    it('measures a degree of latitude as KM_PER_DEGREE (about 111 km)', () => {
+        assertClose(distanceKm(35, -97, 36, -97), KM_PER_DEGREE);
+        assert.ok(Math.abs(KM_PER_DEGREE - 111.19) < 0.01);
+    });
+
+    it('shortens degrees of longitude away from the equator', () => {
+        const atEquator = distanceKm(0, 0, 0, 1);
+        const at60 = distanceKm(60, 0, 60, 1);
+        assert.ok(Math.abs(at60 - atEquator / 2) < 0.01);
+    });
+});
+
+describe('findNeighbors', () => {
+    const points = [
+        { stationId: 'A', lat: 35, lon: -97 },
+        { stationId: 'B', lat: 35.5, lon: -97 },     // ~56 km north of A
+        { stationId: 'C', lat: 35, lon: -96 },       // ~91 km east of A
+        { stationId: 'D', lat: 37, lon: -97 }        // ~222 km north of A
+    ];
+    const index = createNeighborIndex(points, 100);
+
+    it('finds the points within the radius with their distances', () => {
+        const neighbors = findNeighbors(index, 35, -97);
+
+        assert.deepEqual(neighbors.map(n => n.point.stationId).sort(), ['A', 'B', 'C']);
+        assertClose(neighbors.find(n => n.point.stationId === 'B').distance, 0.5 * KM_PER_DEGREE);
+    });
+
+    it('leaves out skipped points', () => {
+        const neighbors = findNeighbors(index, 35, -97, point => point.stationId === 'A');
+        assert.deepEqual(neighbors.map(n => n.point.stationId).sort(), ['B', 'C']);
+    });
+
+    it('finds neighbors across grid cells at high latitudes', () => {
+        const northern = createNeighborIndex([{ stationId: 'N', lat: 60, lon: -150.9 }], 50);
+        const [neighbor] = findNeighbors(northern, 60, -150.1);
+
+        assert.equal(neighbor.point.stationId, 'N');
+        assert.ok(neighbor.distance < 50);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Shared assertions and fixtures for the unit tests
+ * Not a test file itself; imported by the *.test.js suites
+ */
+
+import assert from 'node:assert/strict';
+
+export const TOLERANCE = 1e-9;
+
+/**
+ * Asserts that two numbers are equal within TOLERANCE
+ *
+ * @param {number} actual - Computed value
+ * @param {number} expected - Expected value
+ */
+export function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < TOLERANCE, `expected ${expected}, got ${actual}`);
+}
+
+/**
+ * Builds a processed gauge record
+ *
+ * @param {string} stationId - Station ID
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} gaugeValue - Gauge amount (in)
+ * @param {number|null} mrms - MRMS amount (in)
+ * @param {Array<string>} qcFlags - QC flag reasons
+ * @returns {Object} Gauge record
+ */
+export function gauge(stationId, lat, lon, gaugeValue, mrms, qcFlags = []) {
+    return { stationId, lat, lon, displayValue: gaugeValue, mrmsValue: mrms, qcFlags };
+}
+
+/**
+ * Builds a bias sample and its matching gauge/MRMS pair
+ *
+ * @param {string} stationId - Station ID
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} gaugeValue - Gauge amount (in)
+ * @param {number} mrms - MRMS amount (in)
+ * @returns {Object} Sample and pair
+ */
+export function station(stationId, lat, lon, gaugeValue, mrms) {
+    return {
+        sample: { stationId, lat, lon, gauge: gaugeValue, mrms, value: Math.log(gaugeValue / mrms) },
+        pair: { stationId, lat, lon, x: gaugeValue, y: mrms }
+    };
+}
+
+/**
+ * Builds a rectangular ring as [lon, lat] vertices (closed, as GeoJSON requires)
+ *
+ * @param {number} west - Western longitude
+ * @param {number} south - Southern latitude
+ * @param {number} east - Eastern longitude
+ * @param {number} north - Northern latitude
+ * @returns {Array<Array<number>>} Ring vertices
+ */
+export function box(west, south, east, north) {
+    return [[west, south], [east, south], [east, north], [west, north], [west, south]];
+}
+
+/**
+ * Builds a GeoJSON feature
+ *
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Object} properties - Feature properties
+ * @returns {Object} Feature
+ */
+export function feature(geometry, properties = {}) {
+    return { type: 'Feature', properties, geometry };
+}
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for qpeAdjustment.js
+ * Run from the Viewer directory with: npm test (or node --test tests/)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateMeanFieldBias, crossValidateAdjustment } from '../wwwroot/qpeAdjustment.js';
+import { assertClose, station } from './helpers.js';
+
+describe('calculateMeanFieldBias', () => {
+    it('divides total gauge by total MRMS', () => {
+        const samples = [station('A', 35, -97, 2, 1).sample, station('B', 35, -96, 1, 1).sample];
+        assertClose(calculateMeanFieldBias(samples), 1.5);
+    });
+
+    it('returns null without samples', () => {
+        assert.equal(calculateMeanFieldBias([]), null);
+    });
+});
+
+describe('crossValidateAdjustment', () => {
+    const stations = [
+        station('A', 35, -97.5, 2, 1),
+        station('B', 35, -97, 3, 2),
+        station('C', 35, -96.5, 1, 1)
+    ];
+    const samples = stations.map(s => s.sample);
+    const pairs = stations.map(s => s.pair);
+
+    it('mean-field: leaves each gauge out of its own bias', () => {
+        const adjusted = crossValidateAdjustment(pairs, samples, { mode: 'mean-field' });
+
+        // A: (3 + 1) / (2 + 1); B: (2 + 1) / (1 + 1); C: (2 + 3) / (1 + 2)
+        assertClose(adjusted[0].y, 1 * 4 / 3);
+        assertClose(adjusted[1].y, 2 * 3 / 2);
+        assertClose(adjusted[2].y, 1 * 5 / 3);
+        assert.deepEqual(adjusted.map(p => p.x), [2, 3, 1]);
+    });
+
+    it('mean-field: uses every sample for gauges that are not samples', () => {
+        const extra = { stationId: 'D', lat: 36, lon: -97, x: 0.5, y: 0.5 };
+        const [adjusted] = crossValidateAdjustment([extra], samples, { mode: 'mean-field' });
+        assertClose(adjusted.y, 0.5 * 6 / 4);
+    });
+
+    it('mean-field: leaves the value unadjusted when no other sample remains', () => {
+        const [adjusted] = crossValidateAdjustment([pairs[0]], [samples[0]], { mode: 'mean-field' });
+        assertClose(adjusted.y, 1);
+    });
+
+    for (const method of ['idw', 'kriging']) {
+        it(`local ${method}: scores each gauge without its own ratio`, () => {
+            const uniform = [station('A', 35, -97.5, 2, 1), station('B', 35, -97, 4, 2), station('C', 35, -96.5, 6, 1)];
+            const adjusted = crossValidateAdjustment(
+                uniform.map(s => s.pair),
+                uniform.map(s => s.sample),
+                { mode: 'local', method, radiusKm: 60 }
+            );
+
+            // B's neighbours bias 2 and 6 at equal distance; A's only neighbour within 60 km is B
+            assertClose(adjusted[1].y, 2 * Math.sqrt(12));
+            assertClose(adjusted[0].y, 1 * 2);
+        });
+    }
+
+    it('local: leaves gauges without neighbours in the radius unadjusted', () => {
+        const adjusted = crossValidateAdjustment(pairs, samples, { mode: 'local', method: 'idw', radiusKm: 10 });
+        assert.deepEqual(adjusted.map(p => p.y), pairs.map(p => p.y));
+    });
+});
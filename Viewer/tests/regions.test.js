@@ -0,0 +1,87 @@
+/**
+ * Unit tests for regions.js
+ * Run from the Viewer directory with: npm test (or node --test tests/)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getRegionName, parseRegions, regionContains, findRegions } from '../wwwroot/regions.js';
+import { box, feature } from './helpers.js';
+
+describe('getRegionName', () => {
+    it('uses the first name property present', () => {
+        assert.equal(getRegionName(feature(null, { RFC: 'ABRFC', NAME: 'Arkansas-Red Basin' }), 0), 'Arkansas-Red Basin');
+        assert.equal(getRegionName(feature(null, { BASIN: 'Illinois River', id: 7 }), 0), 'Illinois River');
+    });
+
+    it('falls back to the feature ID, then the feature position', () => {
+        assert.equal(getRegionName({ ...feature(null), id: 40 }, 2), '40');
+        assert.equal(getRegionName(feature(null, { NAME: '' }), 2), 'Region 3');
+    });
+});
+
+describe('parseRegions', () => {
+    it('keeps polygon features with their bounds and skips other geometry', () => {
+        const regions = parseRegions({
+            type: 'FeatureCollection',
+            features: [
+                feature({ type: 'Point', coordinates: [-97, 35] }, { name: 'Gauge' }),
+                feature({ type: 'Polygon', coordinates: [box(-100, 34, -94, 37)] }, { name: 'Oklahoma' }),
+                feature({ type: 'MultiPolygon', coordinates: [[box(-90, 30, -89, 31)], [box(-85, 32, -84, 33)]] }, { name: 'Islands' })
+            ]
+        });
+
+        assert.deepEqual(regions.map(r => [r.id, r.name]), [['1', 'Oklahoma'], ['2', 'Islands']]);
+        assert.deepEqual(regions[1].bounds, { west: -90, south: 30, east: -84, north: 33 });
+        assert.equal(regions[1].polygons.length, 2);
+    });
+
+    it('accepts a single feature or a bare geometry', () => {
+        assert.equal(parseRegions(feature({ type: 'Polygon', coordinates: [box(0, 0, 1, 1)] })).length, 1);
+        assert.equal(parseRegions({ type: 'Polygon', coordinates: [box(0, 0, 1, 1)] }).length, 1);
+    });
+
+    it('uses a custom name function', () => {
+        const [region] = parseRegions(feature({ type: 'Polygon', coordinates: [box(0, 0, 1, 1)] }, { NAME: 'Payne' }),
+            (f) => `${f.properties.NAME} County`);
+        assert.equal(region.name, 'Payne County');
+    });
+
+    it('rejects input that is not an object', () => {
+        assert.throws(() => parseRegions(null), /Not a GeoJSON object/);
+    });
+});
+
+describe('regionContains', () => {
+    const [region] = parseRegions(feature({
+        type: 'Polygon',
+        coordinates: [box(-100, 30, -90, 40), box(-96, 34, -94, 36)]    // Outer ring with a hole
+    }));
+
+    it('includes points inside the outer ring', () => {
+        assert.equal(regionContains(region, -98, 32), true);
+    });
+
+    it('excludes points in a hole or outside the bounds', () => {
+        assert.equal(regionContains(region, -95, 35), false);
+        assert.equal(regionContains(region, -80, 35), false);
+    });
+});
+
+describe('findRegions', () => {
+    it('lists every region containing the point', () => {
+        const regions = parseRegions({
+            type: 'FeatureCollection',
+            features: [
+                feature({ type: 'Polygon', coordinates: [box(-100, 30, -90, 40)] }, { name: 'RFC' }),
+                feature({ type: 'Polygon', coordinates: [box(-98, 33, -96, 35)] }, { name: 'Basin' }),
+                feature({ type: 'Polygon', coordinates: [box(-80, 30, -70, 40)] }, { name: 'Elsewhere' })
+            ]
+        });
+
+        assert.deepEqual(findRegions(regions, -97, 34), ['0', '1']);
+        assert.deepEqual(findRegions(regions, -92, 38), ['0']);
+        assert.deepEqual(findRegions(regions, -60, 38), []);
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for sessionExport.js
+ * Run from the Viewer directory with: npm test (or node --test tests/)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    buildExportRecords,
+    generateRecordsCSV,
+    generateRecordsGeoJSON,
+    generateCategoricalScoresCSV,
+    generateSessionJSON,
+    parseSessionState
+} from '../wwwroot/sessionExport.js';
+import { SESSION_EXPORT } from '../wwwroot/config.js';
+import { assertClose, gauge } from './helpers.js';
+
+/**
+ * Builds a processed gauge as madis.js plots it
+ *
+ * @param {string} stationId - Station ID
+ * @param {number} gaugeValue - Gauge amount (in)
+ * @param {number|null} mrms - MRMS amount (in)
+ * @param {Object} fields - Fields to override (provider, qcFlags, sampling, ...)
+ * @returns {Object} Processed gauge
+ */
+function processedGauge(stationId, gaugeValue, mrms, fields = {}) {
+    return {
+        ...gauge(stationId, 35.123456, -97.654321, gaugeValue, mrms),
+        provider: 'MESONET',
+        obvTime: '2025-10-01 12:00',
+        samplingMethod: 'nearest',
+        samplingRadius: null,
+        ...fields
+    };
+}
+
+/**
+ * Builds a session context with every setting generateSessionJSON reads
+ *
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Session context
+ */
+function sessionContext(fields = {}) {
+    return {
+        info: {
+            product: 'MultiSensor_QPE_01H_Pass2',
+            date: '20251001',
+            hour: '12',
+            accumPeriod: '1H',
+            sampling: { method: 'max', radius: 2 },
+            hiddenProviders: ['CWOP'],
+            qcRules: ['madis'],
+            showZeroMrms: true
+        },
+        exclusionList: { name: 'Default', stations: ['C'] },
+        includeQcFlagged: false,
+        bounds: null,
+        categoricalPairs: [],
+        categoricalThresholds: [0.1],
+        view: { bias: true, basemap: 'dark', overlays: ['states'], center: [35, -97], zoom: 7 },
+        ...fields
+    };
+}
+
+describe('buildExportRecords', () => {
+    it('computes the true bias ratio and leaves it empty where MRMS is zero or missing', () => {
+        const records = buildExportRecords([
+            processedGauge('A', 2, 1),
+            processedGauge('B', 1, 0),
+            processedGauge('C', 1, null),
+            null
+        ], () => false);
+
+        assert.deepEqual(records.map(r => [r.stationId, r.mrms, r.biasRatio]), [['A', 1, 2], ['B', 0, null], ['C', null, null]]);
+    });
+
+    it('labels the matching method and marks excluded gauges', () => {
+        const excludedCalls = [];
+        const [record] = buildExportRecords(
+            [processedGauge('A', 1, 1, { samplingMethod: 'max', samplingRadius: 3, qcFlags: ['stuck'] })],
+            point => { excludedCalls.push(point); return true; }
+        );
+
+        assert.equal(record.matching, 'Max within radius (3 px)');
+        assert.equal(record.excluded, true);
+        assert.deepEqual(excludedCalls, [{ stationId: 'A', qcFlagged: true }]);
+        assert.equal(record.hoursReported, null);
+    });
+});
+
+describe('generateRecordsCSV', () => {
+    it('quotes fields containing commas, quotes or newlines', () => {
+        const records = buildExportRecords([
+            processedGauge('A,1', 1, 1, { provider: 'Say "hi"', qcFlags: ['stuck', 'buddy'] })
+        ], () => false);
+        const [header, row] = generateRecordsCSV(records).trimEnd().split('\n');
+
+        assert.equal(header.split(',').length, 13);
+        assert.equal(row, '"A,1","Say ""hi""",2025-10-01 12:00,35.1235,-97.6543,1,1,1,Nearest pixel,,,stuck; buddy,0');
+    });
+
+    it('rounds amounts to the export precision', () => {
+        const records = buildExportRecords([processedGauge('A', 1.23456, 0.5)], () => true);
+        const row = generateRecordsCSV(records).trimEnd().split('\n')[1].split(',');
+
+        assert.deepEqual(row.slice(5, 8), ['1.235', '0.5', '2.469']);
+        assert.equal(row[12], '1');
+    });
+});
+
+describe('generateRecordsGeoJSON', () => {
+    it('writes one point per gauge with lon/lat coordinates and the other fields as properties', () => {
+        const records = buildExportRecords([processedGauge('A', 2, 1)], () => false);
+        const collection = JSON.parse(generateRecordsGeoJSON(records));
+
+        assert.equal(collection.type, 'FeatureCollection');
+        assert.deepEqual(collection.features[0].geometry, { type: 'Point', coordinates: [-97.65432, 35.12346] });
+        assert.equal(collection.features[0].properties.stationId, 'A');
+        assert.equal(collection.features[0].properties.biasRatio, 2);
+        assert.equal('lat' in collection.features[0].properties, false);
+    });
+});
+
+describe('generateCategoricalScoresCSV', () => {
+    it('writes one row per threshold with empty cells for undefined scores', () => {
+        const csv = generateCategoricalScoresCSV([{
+            threshold: 0.1, hits: 1, misses: 0, falseAlarms: 2, correctNegatives: 0,
+            pod: 1, far: 2 / 3, csi: 1 / 3, frequencyBias: 3, ets: null, hss: null
+        }]);
+
+        assert.equal(csv.trimEnd().split('\n')[1], '0.1,1,0,2,0,1,0.667,0.333,3,,');
+    });
+});
+
+describe('generateSessionJSON', () => {
+    const records = buildExportRecords([
+        processedGauge('A', 2, 1),
+        processedGauge('B', 1, 1, { provider: 'ASOS' }),
+        processedGauge('C', 4, null)
+    ], point => point.stationId === 'C');
+
+    it('computes statistics over the included gauges only', () => {
+        const session = JSON.parse(generateSessionJSON(records, sessionContext()));
+
+        assert.equal(session.format, SESSION_EXPORT.FORMAT);
+        assert.equal(session.statistics.gaugeCount, 3);
+        assert.equal(session.statistics.includedCount, 2);
+        assertClose(session.statistics.meanBias, 1.5);
+        assert.deepEqual(session.statistics.byProvider.map(row => row.provider).sort(), ['ASOS', 'MESONET']);
+        assert.equal(session.matching.label, 'Max within radius (2 px)');
+        assert.equal(session.gauges.length, 3);
+    });
+
+    it('limits the statistics to the focus selection and records the restriction', () => {
+        const session = JSON.parse(generateSessionJSON(records, sessionContext({
+            region: { set: 'states', id: '40', name: 'Oklahoma' },
+            focusStations: new Set(['B', 'A']),
+            categoricalPairs: [
+                { stationId: 'A', x: 2, y: 1 },
+                { stationId: 'D', x: 0, y: 1 }
+            ]
+        })));
+
+        assert.deepEqual(session.filters.region, { set: 'states', id: '40', name: 'Oklahoma' });
+        assert.deepEqual(session.filters.focusStations, ['A', 'B']);
+        assert.equal(session.statistics.includedCount, 2);
+
+        const [scores] = session.statistics.categorical;
+        assert.deepEqual([scores.hits, scores.falseAlarms], [1, 0]);
+
+        const focused = JSON.parse(generateSessionJSON(records, sessionContext({ focusStations: new Set(['B']) })));
+        assert.equal(focused.statistics.includedCount, 1);
+        assertClose(focused.statistics.meanBias, 1);
+    });
+});
+
+describe('parseSessionState', () => {
+    it('round-trips the settings of a generated session', () => {
+        const context = sessionContext();
+        const state = parseSessionState(generateSessionJSON([], context));
+
+        assert.deepEqual(state, {
+            product: 'MultiSensor_QPE_01H_Pass2',
+            date: '20251001',
+            hour: '12',
+            showZeroMrms: true,
+            sampling: { method: 'max', radius: 2 },
+            exclusions: { name: 'Default', stations: ['C'] },
+            ...context.view
+        });
+    });
+
+    it('rejects malformed and foreign session files', () => {
+        assert.throws(() => parseSessionState('{"format":'), SyntaxError);
+        assert.throws(() => parseSessionState('null'), /Not an MRMS QPE Viewer session file/);
+        assert.throws(() => parseSessionState('{"format":"other"}'), /Not an MRMS QPE Viewer session file/);
+        assert.throws(
+            () => parseSessionState(JSON.stringify({ format: SESSION_EXPORT.FORMAT, version: SESSION_EXPORT.VERSION + 1 })),
+            /newer than this viewer supports/
+        );
+    });
+});
@@ -0,0 +1,413 @@
+/**
+ * Unit tests for statisticsCalculator.js
+ * Run from the Viewer directory with: npm test (or node --test tests/)
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    calculateStatistics,
+    bootstrapMeanBiasInterval,
+    calculateCategoricalScores,
+    calculateProviderStatistics,
+    calculateComparisonStatistics,
+    calculateRegionStatistics,
+    sortStatisticsRows,
+    calculateLinearFit,
+    calculateOriginFit,
+    calculateConditionalMean,
+    updateStatisticsDisplay,
+    updateProviderStatisticsTable
+} from '../wwwroot/statisticsCalculator.js';
+import { assertClose } from './helpers.js';
+
+/**
+ * Builds a deterministic random number generator (linear congruential)
+ *
+ * @param {number} seed - Starting seed
+ * @returns {Function} Generator returning [0, 1)
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+const STATISTIC_KEYS = [
+    'meanBias', 'additiveBias', 'mae', 'rmse', 'cc',
+    'medianBiasRatio', 'logRatioMean', 'logRatioStd', 'spearman',
+    'kge', 'nse', 'normalizedMae', 'fractionalBias'
+];
+
+describe('calculateStatistics', () => {
+    it('returns every metric as null for empty or missing input', () => {
+        for (const input of [[], null, undefined]) {
+            const stats = calculateStatistics(input);
+            assert.deepEqual(Object.keys(stats).sort(), [...STATISTIC_KEYS].sort());
+            STATISTIC_KEYS.forEach(key => assert.equal(stats[key], null, key));
+        }
+    });
+
+    it('computes the Pearson and robust metrics for a small sample', () => {
+        const data = [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 3, y: 3 }];
+        const stats = calculateStatistics(data);
+
+        assertClose(stats.meanBias, 6 / 5);
+        assertClose(stats.additiveBias, 1);
+        assertClose(stats.mae, 1 / 3);
+        assertClose(stats.rmse, Math.sqrt(1 / 3));
+        assertClose(stats.cc, Math.sqrt(3) / 2);
+        assertClose(stats.medianBiasRatio, 1);
+        assertClose(stats.logRatioMean, Math.log(2) / 3);
+        assertClose(stats.spearman, Math.sqrt(3) / 2);
+        assertClose(stats.nse, 0.5);
+        assertClose(stats.normalizedMae, 1 / 6);
+        assertClose(stats.fractionalBias, -2 / 11);
+
+        const alpha = Math.sqrt(8 / 9) / Math.sqrt(2 / 3);
+        const beta = 5 / 6;
+        assertClose(stats.kge, 1 - Math.sqrt((Math.sqrt(3) / 2 - 1) ** 2 + (alpha - 1) ** 2 + (beta - 1) ** 2));
+    });
+
+    it('gives average ranks to ties in the Spearman correlation', () => {
+        const data = [{ x: 1, y: 5 }, { x: 2, y: 5 }, { x: 3, y: 7 }, { x: 4, y: 9 }];
+        const stats = calculateStatistics(data);
+
+        // Radar ranks are 1.5, 1.5, 3, 4
+        assertClose(stats.spearman, 4.5 / Math.sqrt(5 * 4.5));
+    });
+
+    it('leaves ratio metrics unset when the radar sums to zero', () => {
+        const data = [{ x: 0.5, y: 0 }, { x: 0.2, y: 0 }];
+        const stats = calculateStatistics(data);
+
+        assert.equal(stats.meanBias, null);
+        assert.equal(stats.medianBiasRatio, null);
+        assert.equal(stats.logRatioMean, null);
+        assert.equal(stats.logRatioStd, null);
+        assert.equal(stats.cc, null);
+        assert.equal(stats.spearman, null);
+        assert.equal(stats.kge, null);
+        assertClose(stats.additiveBias, 0.7);
+        assertClose(stats.fractionalBias, -2);
+    });
+
+    it('skips zero gauges and radar below the zero threshold in the ratio metrics', () => {
+        const data = [{ x: 1, y: 2 }, { x: 0, y: 1 }, { x: 1, y: 0.0001 }];
+        const stats = calculateStatistics(data);
+
+        assertClose(stats.medianBiasRatio, 0.25);
+        assertClose(stats.logRatioMean, Math.log(0.5));
+        assert.equal(stats.logRatioStd, null);
+    });
+
+    it('leaves correlation and efficiency scores unset for constant series', () => {
+        const data = [{ x: 1, y: 2 }, { x: 1, y: 2 }, { x: 1, y: 2 }];
+        const stats = calculateStatistics(data);
+
+        assert.equal(stats.cc, null);
+        assert.equal(stats.spearman, null);
+        assert.equal(stats.kge, null);
+        assert.equal(stats.nse, null);
+        assertClose(stats.meanBias, 0.5);
+        assertClose(stats.mae, 1);
+        assertClose(stats.rmse, 1);
+        assertClose(stats.logRatioMean, Math.log(0.5));
+        assertClose(stats.logRatioStd, 0);
+    });
+
+    it('leaves the fractional bias unset when everything is zero', () => {
+        const stats = calculateStatistics([{ x: 0, y: 0 }, { x: 0, y: 0 }]);
+
+        assert.equal(stats.fractionalBias, null);
+        assert.equal(stats.normalizedMae, null);
+        assertClose(stats.mae, 0);
+    });
+});
+
+describe('bootstrapMeanBiasInterval', () => {
+    it('returns null for fewer than two points', () => {
+        assert.equal(bootstrapMeanBiasInterval([]), null);
+        assert.equal(bootstrapMeanBiasInterval(null), null);
+        assert.equal(bootstrapMeanBiasInterval([{ x: 1, y: 1 }]), null);
+    });
+
+    it('returns null when every resample has zero radar', () => {
+        const data = [{ x: 1, y: 0 }, { x: 2, y: 0 }];
+        assert.equal(bootstrapMeanBiasInterval(data, 50, 0.95, seededRandom(1)), null);
+    });
+
+    it('collapses to the bias when every gauge has the same ratio', () => {
+        const data = [{ x: 1, y: 2 }, { x: 2, y: 4 }, { x: 3, y: 6 }];
+        const interval = bootstrapMeanBiasInterval(data, 200, 0.95, seededRandom(7));
+
+        assertClose(interval.lower, 0.5);
+        assertClose(interval.upper, 0.5);
+    });
+
+    it('brackets the sample mean bias', () => {
+        const data = [{ x: 1, y: 1.2 }, { x: 0.4, y: 0.2 }, { x: 2, y: 1.5 }, { x: 0.8, y: 1 }, { x: 1.5, y: 1.1 }];
+        const interval = bootstrapMeanBiasInterval(data, 500, 0.9, seededRandom(42));
+        const { meanBias } = calculateStatistics(data);
+
+        assert.ok(interval.lower <= meanBias && meanBias <= interval.upper);
+        assert.ok(interval.lower < interval.upper);
+    });
+});
+
+describe('calculateLinearFit', () => {
+    it('recovers an exact line', () => {
+        const fit = calculateLinearFit([{ x: 0, y: 0.5 }, { x: 1, y: 1.3 }, { x: 2, y: 2.1 }]);
+
+        assertClose(fit.slope, 0.8);
+        assertClose(fit.intercept, 0.5);
+        assertClose(fit.r2, 1);
+    });
+
+    it('computes R² as the squared correlation', () => {
+        const data = [{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 3, y: 3 }];
+        const fit = calculateLinearFit(data);
+
+        assertClose(fit.slope, 1);
+        assertClose(fit.intercept, -1 / 3);
+        assertClose(fit.r2, calculateStatistics(data).cc ** 2);
+    });
+
+    it('returns null for too few points or a constant gauge', () => {
+        assert.equal(calculateLinearFit([]), null);
+        assert.equal(calculateLinearFit([{ x: 1, y: 1 }]), null);
+        assert.equal(calculateLinearFit([{ x: 1, y: 1 }, { x: 1, y: 2 }]), null);
+    });
+
+    it('leaves R² unset for a constant radar', () => {
+        const fit = calculateLinearFit([{ x: 1, y: 0 }, { x: 2, y: 0 }]);
+
+        assertClose(fit.slope, 0);
+        assert.equal(fit.r2, null);
+    });
+});
+
+describe('calculateOriginFit', () => {
+    it('gives the least-squares slope through the origin', () => {
+        const fit = calculateOriginFit([{ x: 1, y: 1 }, { x: 2, y: 1 }, { x: 3, y: 3 }]);
+
+        // sum(xy) = 12, sum(x^2) = 14, sum(y^2) = 11
+        assertClose(fit.slope, 12 / 14);
+        assertClose(fit.r2, 1 - (11 - (12 / 14) * 12) / 11);
+    });
+
+    it('returns null when every gauge is zero', () => {
+        assert.equal(calculateOriginFit([]), null);
+        assert.equal(calculateOriginFit([{ x: 0, y: 1 }]), null);
+    });
+
+    it('leaves R² unset when every radar value is zero', () => {
+        const fit = calculateOriginFit([{ x: 1, y: 0 }, { x: 2, y: 0 }]);
+
+        assertClose(fit.slope, 0);
+        assert.equal(fit.r2, null);
+    });
+});
+
+describe('calculateConditionalMean', () => {
+    const data = [{ x: 0.2, y: 0.3 }, { x: 0.4, y: 0.5 }, { x: 2.5, y: 1.5 }, { x: 2.9, y: 1.9 }, { x: 12, y: 8 }];
+
+    it('averages radar within gauge bins, skipping empty bins and values off the edges', () => {
+        const bins = calculateConditionalMean(data, [0, 1, 2, 3]);
+
+        assert.deepEqual(bins.map(b => [b.lower, b.upper, b.count]), [[0, 1, 2], [2, 3, 2]]);
+        assertClose(bins[0].meanGauge, 0.3);
+        assertClose(bins[0].meanRadar, 0.4);
+        assertClose(bins[1].meanRadar, 1.7);
+    });
+
+    it('drops bins below the minimum count', () => {
+        assert.deepEqual(calculateConditionalMean(data, [0, 1, 2, 3], 3), []);
+    });
+
+    it('returns no bins for empty input', () => {
+        assert.deepEqual(calculateConditionalMean([], [0, 1]), []);
+    });
+});
+
+describe('calculateCategoricalScores', () => {
+    const data = [{ x: 0.5, y: 0.6 }, { x: 0.5, y: 0 }, { x: 0, y: 0.3 }, { x: 0, y: 0 }];
+
+    it('counts the contingency table and derives the scores', () => {
+        const [row] = calculateCategoricalScores(data, [0.25]);
+
+        assert.equal(row.threshold, 0.25);
+        assert.deepEqual(
+            [row.hits, row.misses, row.falseAlarms, row.correctNegatives],
+            [1, 1, 1, 1]
+        );
+        assertClose(row.pod, 0.5);
+        assertClose(row.far, 0.5);
+        assertClose(row.csi, 1 / 3);
+        assertClose(row.frequencyBias, 1);
+        assertClose(row.ets, 0);
+        assertClose(row.hss, 0);
+    });
+
+    it('never counts amounts below the zero threshold as events', () => {
+        const [row] = calculateCategoricalScores(data, [0]);
+        assert.equal(row.correctNegatives, 1);
+    });
+
+    it('leaves scores unset when there are no events', () => {
+        const [row] = calculateCategoricalScores([{ x: 0, y: 0 }], [0.1]);
+
+        assert.equal(row.pod, null);
+        assert.equal(row.far, null);
+        assert.equal(row.csi, null);
+        assert.equal(row.frequencyBias, null);
+    });
+
+    it('counts dry gauges and dry MRMS cells from zero-valued pairs', () => {
+        const pairs = [
+            { x: 0.5, y: 0.4 }, { x: 0.5, y: 0.4 },
+            { x: 0.3, y: 0 },
+            { x: 0, y: 0.2 },
+            ...Array.from({ length: 6 }, () => ({ x: 0, y: 0 }))
+        ];
+        const [row] = calculateCategoricalScores(pairs, [0.1]);
+
+        assert.deepEqual(
+            [row.hits, row.misses, row.falseAlarms, row.correctNegatives],
+            [2, 1, 1, 6]
+        );
+        assertClose(row.csi, 0.5);
+        assertClose(row.ets, 1.1 / 3.1);
+        assertClose(row.hss, 22 / 42);
+    });
+
+    it('returns one row per threshold for empty input', () => {
+        const rows = calculateCategoricalScores([], [0.1, 0.5]);
+
+        assert.deepEqual(rows.map(r => r.threshold), [0.1, 0.5]);
+        assert.equal(rows[0].hits, 0);
+        assert.equal(rows[0].ets, null);
+    });
+});
+
+describe('calculateProviderStatistics', () => {
+    it('groups points by provider, largest group first', () => {
+        const rows = calculateProviderStatistics([
+            { x: 1, y: 1, provider: 'B' },
+            { x: 2, y: 1, provider: 'A' },
+            { x: 2, y: 2, provider: 'C' },
+            { x: 3, y: 3, provider: 'C' }
+        ]);
+
+        assert.deepEqual(rows.map(r => [r.provider, r.count]), [['C', 2], ['A', 1], ['B', 1]]);
+        assertClose(rows[1].meanBias, 2);
+    });
+
+    it('returns no rows for empty input', () => {
+        assert.deepEqual(calculateProviderStatistics([]), []);
+    });
+});
+
+describe('calculateComparisonStatistics', () => {
+    it('restricts every product to the stations they all share', () => {
+        const columns = calculateComparisonStatistics([
+            { label: 'A', points: [{ stationId: 's1', x: 1, y: 1 }, { stationId: 's2', x: 2, y: 1 }, { stationId: 's3', x: 5, y: 0 }] },
+            { label: 'B', points: [{ stationId: 's1', x: 1, y: 2 }, { stationId: 's2', x: 2, y: 2 }] }
+        ]);
+
+        assert.deepEqual(columns.map(c => [c.label, c.count]), [['A', 2], ['B', 2]]);
+        assertClose(columns[0].meanBias, 3 / 2);
+        assertClose(columns[1].meanBias, 3 / 4);
+    });
+
+    it('returns no columns for no products', () => {
+        assert.deepEqual(calculateComparisonStatistics([]), []);
+    });
+});
+
+describe('calculateRegionStatistics', () => {
+    const regions = [{ id: '0', name: 'Oklahoma' }, { id: '1', name: 'Texas' }, { id: '2', name: 'Kansas' }];
+
+    it('groups points by region in region order, counting gauges in overlapping regions for each', () => {
+        const regionOf = new Map([['A', ['1']], ['B', ['0', '1']], ['C', []]]);
+        const rows = calculateRegionStatistics([
+            { stationId: 'A', x: 2, y: 1 },
+            { stationId: 'B', x: 1, y: 1 },
+            { stationId: 'C', x: 1, y: 2 },
+            { stationId: 'D', x: 1, y: 2 }     // Not assigned yet
+        ], regionOf, regions);
+
+        assert.deepEqual(rows.map(r => [r.id, r.name, r.count]), [['0', 'Oklahoma', 1], ['1', 'Texas', 2]]);
+        assertClose(rows[0].meanBias, 1);
+        assertClose(rows[1].meanBias, 1.5);
+    });
+
+    it('returns no rows for empty input', () => {
+        assert.deepEqual(calculateRegionStatistics([], new Map(), regions), []);
+    });
+});
+
+describe('sortStatisticsRows', () => {
+    const rows = [
+        { name: 'B', count: 3, meanBias: 1.2 },
+        { name: 'A', count: 3, meanBias: null },
+        { name: 'C', count: 5, meanBias: 0.8 },
+        { name: 'D', count: 1, meanBias: 1.2 }
+    ];
+
+    it('sorts numbers either way with unset values last and ties by name', () => {
+        assert.deepEqual(sortStatisticsRows(rows, 'meanBias', true).map(r => r.name), ['B', 'D', 'C', 'A']);
+        assert.deepEqual(sortStatisticsRows(rows, 'meanBias', false).map(r => r.name), ['C', 'B', 'D', 'A']);
+        assert.deepEqual(sortStatisticsRows(rows, 'count', true).map(r => r.name), ['C', 'A', 'B', 'D']);
+    });
+
+    it('sorts names alphabetically without changing the input', () => {
+        assert.deepEqual(sortStatisticsRows(rows, 'name', false).map(r => r.name), ['A', 'B', 'C', 'D']);
+        assert.equal(rows[0].name, 'B');
+    });
+});
+
+describe('updateStatisticsDisplay', () => {
+    afterEach(() => {
+        delete globalThis.document;
+    });
+
+    it('writes formatted values and placeholders for unset metrics', () => {
+        const elements = new Map(['stat-mean-bias', 'stat-cc', 'stat-log-ratio-mean']
+            .map(id => [id, { textContent: '' }]));
+        globalThis.document = { getElementById: id => elements.get(id) || null };
+
+        updateStatisticsDisplay(calculateStatistics([{ x: 1, y: 2 }, { x: 1, y: 2 }]));
+
+        assert.equal(elements.get('stat-mean-bias').textContent, '0.50');
+        assert.equal(elements.get('stat-cc').textContent, '--');
+        assert.equal(elements.get('stat-log-ratio-mean').textContent, '-0.693');
+    });
+});
+
+describe('updateProviderStatisticsTable', () => {
+    afterEach(() => {
+        delete globalThis.document;
+    });
+
+    it('sets provider names as text rather than markup', () => {
+        const createElement = (tagName) => ({
+            tagName,
+            children: [],
+            textContent: '',
+            appendChild(child) { this.children.push(child); }
+        });
+        const tbody = { ...createElement('tbody'), innerHTML: 'old rows' };
+        globalThis.document = { querySelector: () => tbody, createElement };
+
+        updateProviderStatisticsTable([{ provider: '<img src=x onerror=alert(1)>', count: 2, meanBias: 0.5, mae: 1, rmse: 1, cc: null }]);
+
+        assert.equal(tbody.innerHTML, '');
+        assert.equal(tbody.children.length, 1);
+        assert.deepEqual(tbody.children[0].children.map(td => td.textContent),
+            ['<img src=x onerror=alert(1)>', '2', '0.50', '1.00', '1.00', '--']);
+    });
+});
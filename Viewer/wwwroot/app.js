@@ -6,13 +6,40 @@
 import { initializeMap, createBasemapLayers, addBasemapToMap, initializeOverlays, getAllOverlaySettings } from './mapManager.js';
 import { updateQPEColorbar } from './colorbarManager.js';
 import { initializeMadis } from './madis.js';
+import { initializeTimeSeries } from './timeSeries.js';
+import { initializeComparison } from './comparison.js';
+import { initializeSwipeView } from './swipeView.js';
+import { initializeBiasSurface } from './biasSurface.js';
+import { initializeQpeAdjustment } from './qpeAdjustment.js';
+import { initializeExclusions } from './exclusions.js';
+import { initializeSelection } from './selection.js';
+import { initializeRegions } from './regions.js';
+import { initializePermalink } from './permalink.js';
+import { ScatterplotManager } from './scatterplot.js';
 import {
     initializeDateTimeInputs,
     setupProductSelectHandler,
     setupBiasToggleHandler,
     setupShowZeroMrmsToggleHandler,
-    setupExportGaugeButtonHandler,
+    setupSamplingMethodHandler,
+    setupQcHandlers,
+    setupProviderFilterHandler,
+    setupExclusionListHandlers,
+    setupSelectionHandlers,
+    setupRegionHandlers,
+    setupCategoricalScoresHandler,
+    setupStatisticsMetricsHandler,
+    setupScatterplotFitHandler,
+    setupScatterplotDisplayHandlers,
+    setupExportDialogHandlers,
+    setupPermalinkHandlers,
+    setupReportDialogHandlers,
     setupLoadDataButtonHandler,
+    setupTimeSeriesHandlers,
+    setupComparisonHandlers,
+    setupSwipeViewHandlers,
+    setupBiasSurfaceHandlers,
+    setupQpeAdjustmentHandlers,
     setupOverlayTypeSelectHandler,
     setupOverlayToggleHandler,
     setupOverlayColorPickerHandler,
@@ -39,8 +66,11 @@ function initializeApplication() {
     // Initialize the Leaflet map
     const map = initializeMap('map');
 
+    // Load the saved gauge exclusion lists (shared by the scatterplot and markers)
+    window.gaugeExclusions = initializeExclusions();
+
     // Initialize the scatterplot with map reference for crosshairs
-    window.scatterplotManager = new ScatterplotManager('scatterplot-canvas', map);
+    window.scatterplotManager = new ScatterplotManager('scatterplot-canvas', map, window.gaugeExclusions);
 
     // Create all available basemaps
     const basemaps = createBasemapLayers();
@@ -73,12 +103,56 @@ function initializeApplication() {
         // Setup all UI event handlers
         setupBiasToggleHandler(window.madisController);
         setupShowZeroMrmsToggleHandler(window.madisController);
-        setupExportGaugeButtonHandler();
-        setupLoadDataButtonHandler(map, dataLayerState, window.madisController, lastGaugeLoad);
+        setupSamplingMethodHandler(window.madisController);
+        setupQcHandlers(window.madisController);
+        setupProviderFilterHandler(window.madisController);
+        setupCategoricalScoresHandler(map, window.madisController);
+        setupStatisticsMetricsHandler();
+        setupScatterplotFitHandler();
+        setupScatterplotDisplayHandlers();
+        setupExclusionListHandlers(window.gaugeExclusions, window.madisController);
+
+        // Interpolated bias surface from the included gauges
+        const biasSurfaceController = initializeBiasSurface(map);
+        setupBiasSurfaceHandlers(biasSurfaceController);
+
+        // Box/lasso selection on the scatterplot and polygon selection on the map
+        const selectionController = initializeSelection(map, window.madisController, window.gaugeExclusions);
+        setupSelectionHandlers(selectionController);
+
+        // Region-of-interest statistics (states, counties or an uploaded GeoJSON)
+        const regionController = initializeRegions(map, window.madisController, overlays);
+        setupRegionHandlers(regionController);
+
+        // URL hash permalink and session files
+        const permalink = initializePermalink(map, basemaps, overlays, overlaySettings, window.gaugeExclusions);
+        setupExportDialogHandlers(map, window.madisController, permalink, regionController);
+        setupReportDialogHandlers(window.madisController);
+
+        // Initialize time-series mode (cached hourly frames with playback)
+        const timeSeriesController = initializeTimeSeries(map, dataLayerState, window.madisController);
+        setupTimeSeriesHandlers(timeSeriesController);
+
+        // Initialize compare mode (several products for one valid time under separate cache keys)
+        const comparisonController = initializeComparison(map, dataLayerState, window.madisController);
+        setupComparisonHandlers(comparisonController);
+
+        // Initialize the swipe/difference view (second dataset B beside or combined with the loaded product)
+        const swipeController = initializeSwipeView(map, dataLayerState);
+        setupSwipeViewHandlers(swipeController);
+
+        // Gauge-adjusted QPE preview (mean-field or local bias applied to the loaded grid)
+        const adjustmentController = initializeQpeAdjustment(map, dataLayerState, window.madisController, biasSurfaceController);
+        setupQpeAdjustmentHandlers(adjustmentController);
+
+        setupLoadDataButtonHandler(map, dataLayerState, window.madisController, lastGaugeLoad, timeSeriesController, comparisonController);
 
         // Setup map viewport handlers (update scatterplot on pan/zoom)
         setupMapViewportHandlers(map, window.madisController);
 
+        // Restore the state in the URL hash last, once every handler (including Load Data) is in place
+        setupPermalinkHandlers(map, permalink, window.gaugeExclusions);
+
     }).catch(error => {
         console.error('Error loading MADIS module:', error);
     });
@@ -0,0 +1,461 @@
+/**
+ * Bias Surface Module
+ * Interpolates the gauge/QPE bias ratios of the included gauges into a regional bias surface
+ * (inverse distance weighting or ordinary kriging of log ratios within a radius of influence)
+ * and draws it under the gauge markers with the GaugeBias colors
+ */
+
+import { BIAS_SURFACE, GEOGRAPHIC_BOUNDS } from './config.js';
+import { getBiasColor } from './colorbarManager.js';
+import { KM_PER_DEGREE, distanceKm, createNeighborIndex, findNeighbors } from './geoNeighbors.js';
+
+// Points closer than this (km) take the gauge's value directly
+const COINCIDENT_KM = 0.001;
+
+/**
+ * Builds interpolation samples from processed gauges: the log of the gauge/MRMS ratio of each
+ * included gauge where both amounts are measurable (gauges where MRMS is zero have no ratio)
+ *
+ * @param {Array<Object>} gauges - Processed gauge data (stationId, lat, lon, displayValue, mrmsValue, qcFlags)
+ * @param {Function} isExcluded - Returns true if a gauge ({ stationId, qcFlagged }) is excluded from the statistics
+ * @returns {Array<Object>} Samples with stationId, lat, lon, gauge and mrms amounts, and value
+ *     (natural log of the clamped ratio)
+ */
+export function buildBiasSamples(gauges, isExcluded) {
+    return gauges
+        .filter(gauge => gauge &&
+            gauge.displayValue >= BIAS_SURFACE.MIN_AMOUNT &&
+            gauge.mrmsValue !== null && gauge.mrmsValue !== undefined &&
+            gauge.mrmsValue >= BIAS_SURFACE.MIN_AMOUNT &&
+            !isExcluded({ stationId: gauge.stationId, qcFlagged: (gauge.qcFlags || []).length > 0 }))
+        .map(gauge => {
+            const ratio = Math.min(Math.max(gauge.displayValue / gauge.mrmsValue, BIAS_SURFACE.MIN_RATIO), BIAS_SURFACE.MAX_RATIO);
+            return {
+                stationId: gauge.stationId,
+                lat: gauge.lat,
+                lon: gauge.lon,
+                gauge: gauge.displayValue,
+                mrms: gauge.mrmsValue,
+                value: Math.log(ratio)
+            };
+        });
+}
+
+/**
+ * Indexes samples for neighbor lookups within the radius of influence
+ * Also records the sample variance used as the kriging sill
+ *
+ * @param {Array<Object>} samples - Samples from buildBiasSamples
+ * @param {number} radiusKm - Radius of influence
+ * @returns {Object} Sample index (a neighbor index from createNeighborIndex plus samples and variance)
+ */
+export function createSampleIndex(samples, radiusKm) {
+    const mean = samples.reduce((sum, sample) => sum + sample.value, 0) / Math.max(samples.length, 1);
+    const variance = samples.reduce((sum, sample) => sum + (sample.value - mean) ** 2, 0) / Math.max(samples.length, 1);
+
+    return { ...createNeighborIndex(samples, radiusKm), samples, variance };
+}
+
+/**
+ * Solves a square linear system by Gaussian elimination with partial pivoting
+ *
+ * @param {Array<Array<number>>} matrix - Coefficient matrix (modified in place)
+ * @param {Array<number>} rhs - Right-hand side (modified in place)
+ * @returns {Array<number>|null} Solution, or null if the system is singular
+ */
+function solveLinearSystem(matrix, rhs) {
+    const n = rhs.length;
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+        }
+        if (Math.abs(matrix[pivot][col]) < 1e-12) return null;
+
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        [rhs[col], rhs[pivot]] = [rhs[pivot], rhs[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = matrix[row][col] / matrix[col][col];
+            for (let k = col; k < n; k++) {
+                matrix[row][k] -= factor * matrix[col][k];
+            }
+            rhs[row] -= factor * rhs[col];
+        }
+    }
+
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = rhs[row];
+        for (let k = row + 1; k < n; k++) {
+            sum -= matrix[row][k] * solution[k];
+        }
+        solution[row] = sum / matrix[row][row];
+    }
+
+    return solution;
+}
+
+/**
+ * Inverse distance weighted mean of the neighbors' values
+ *
+ * @param {Array<Object>} neighbors - Neighbors from findNeighbors (sample as point, and distance)
+ * @returns {number} Interpolated value
+ */
+function inverseDistanceMean(neighbors) {
+    let weightSum = 0;
+    let valueSum = 0;
+
+    for (const { point: sample, distance } of neighbors) {
+        if (distance < COINCIDENT_KM) return sample.value;
+
+        const weight = 1 / Math.pow(distance, BIAS_SURFACE.IDW_POWER);
+        weightSum += weight;
+        valueSum += weight * sample.value;
+    }
+
+    return valueSum / weightSum;
+}
+
+/**
+ * Ordinary kriging estimate from the neighbors with an exponential variogram
+ * (practical range = radius of influence, sill = sample variance, nugget a fraction of the sill)
+ *
+ * @param {Array<Object>} neighbors - Neighbors from findNeighbors (sample as point, and distance)
+ * @param {number} variance - Sample variance (sill)
+ * @param {number} radiusKm - Radius of influence
+ * @returns {number|null} Estimate, or null if the kriging system is singular
+ */
+function krigingEstimate(neighbors, variance, radiusKm) {
+    const n = neighbors.length;
+    if (n === 1) return neighbors[0].point.value;
+
+    // Uniform values: any weights summing to one give the same estimate
+    if (variance < 1e-12) {
+        return neighbors.reduce((sum, { point }) => sum + point.value, 0) / n;
+    }
+
+    const nugget = variance * BIAS_SURFACE.KRIGING_NUGGET_FRACTION;
+    const covariance = distance => variance * Math.exp(-3 * distance / radiusKm);
+
+    const matrix = [];
+    const rhs = [];
+    for (let i = 0; i < n; i++) {
+        const row = [];
+        for (let j = 0; j < n; j++) {
+            const a = neighbors[i].point;
+            const b = neighbors[j].point;
+            row.push(i === j ? variance + nugget : covariance(distanceKm(a.lat, a.lon, b.lat, b.lon)));
+        }
+        row.push(1);
+        matrix.push(row);
+        rhs.push(covariance(neighbors[i].distance));
+    }
+    matrix.push([...new Array(n).fill(1), 0]);
+    rhs.push(1);
+
+    const weights = solveLinearSystem(matrix, rhs);
+    if (!weights) return null;
+
+    return neighbors.reduce((sum, { point }, i) => sum + weights[i] * point.value, 0);
+}
+
+/**
+ * Picks the nearest neighbors without sorting them all
+ *
+ * @param {Array<Object>} neighbors - Neighbors from findNeighbors
+ * @param {number} count - Number of neighbors to keep
+ * @returns {Array<Object>} Up to count neighbors, nearest first
+ */
+function selectNearest(neighbors, count) {
+    const nearest = [];
+
+    for (const neighbor of neighbors) {
+        if (nearest.length === count && neighbor.distance >= nearest[count - 1].distance) continue;
+
+        let i = Math.min(nearest.length, count - 1);
+        nearest[i] = neighbor;
+        while (i > 0 && nearest[i - 1].distance > neighbor.distance) {
+            nearest[i] = nearest[i - 1];
+            nearest[--i] = neighbor;
+        }
+    }
+
+    return nearest;
+}
+
+/**
+ * Interpolates the log bias ratio at a point from the samples within the radius of influence
+ *
+ * @param {Object} index - Sample index from createSampleIndex
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} method - 'idw' or 'kriging'
+ * @param {string|null} excludeStationId - Station to leave out (for leave-one-out cross-validation)
+ * @returns {number|null} Log bias ratio, or null if no gauge is within the radius
+ */
+export function interpolateLogBias(index, lat, lon, method = BIAS_SURFACE.DEFAULT_METHOD, excludeStationId = null) {
+    const neighbors = findNeighbors(index, lat, lon, excludeStationId ? sample => sample.stationId === excludeStationId : null);
+    if (neighbors.length === 0) return null;
+
+    let value = null;
+    if (method === 'kriging') {
+        value = krigingEstimate(selectNearest(neighbors, BIAS_SURFACE.KRIGING_MAX_NEIGHBORS), index.variance, index.radiusKm);
+    }
+    if (value === null) {
+        value = inverseDistanceMean(neighbors);
+    }
+
+    // Kriging weights can be negative; keep estimates within the clamped ratio range
+    return Math.min(Math.max(value, Math.log(BIAS_SURFACE.MIN_RATIO)), Math.log(BIAS_SURFACE.MAX_RATIO));
+}
+
+/**
+ * Web Mercator y in degree units (so grid rows line up with the map)
+ *
+ * @param {number} lat - Latitude
+ * @returns {number} Mercator y
+ */
+function mercatorY(lat) {
+    return Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360)) * 180 / Math.PI;
+}
+
+/**
+ * Latitude of a Web Mercator y in degree units
+ *
+ * @param {number} y - Mercator y
+ * @returns {number} Latitude
+ */
+function mercatorLat(y) {
+    return Math.atan(Math.sinh(y * Math.PI / 180)) * 180 / Math.PI;
+}
+
+/**
+ * Interpolates the bias surface on a grid covering the samples plus the radius of influence
+ * Rows are evenly spaced in Web Mercator so the grid can be drawn as an image overlay
+ *
+ * @param {Array<Object>} samples - Samples from buildBiasSamples
+ * @param {Object} options - Interpolation options with method ('idw' or 'kriging') and radiusKm
+ * @returns {Object|null} Surface with south, north, west, east, cellDeg, cols, rows, values (log ratios
+ *     by row from the north, NaN outside the radius) and sampleCount; null if there are too few gauges
+ */
+export function computeBiasSurface(samples, options) {
+    if (samples.length < BIAS_SURFACE.MIN_GAUGES) return null;
+
+    const { method, radiusKm } = options;
+    const index = createSampleIndex(samples, radiusKm);
+
+    const lats = samples.map(sample => sample.lat);
+    const lons = samples.map(sample => sample.lon);
+    const padLat = radiusKm / KM_PER_DEGREE;
+    const north = Math.min(Math.max(...lats) + padLat, GEOGRAPHIC_BOUNDS.LAT_UPPER);
+    const southLimit = Math.max(Math.min(...lats) - padLat, GEOGRAPHIC_BOUNDS.LAT_LOWER);
+    const padLon = padLat / Math.cos(Math.max(Math.abs(north), Math.abs(southLimit)) * Math.PI / 180);
+    const west = Math.max(Math.min(...lons) - padLon, GEOGRAPHIC_BOUNDS.LON_LOWER);
+    const eastLimit = Math.min(Math.max(...lons) + padLon, GEOGRAPHIC_BOUNDS.LON_UPPER);
+
+    const yNorth = mercatorY(north);
+    const ySpan = yNorth - mercatorY(southLimit);
+    const cellDeg = Math.max(Math.sqrt((eastLimit - west) * ySpan / BIAS_SURFACE.MAX_CELLS), BIAS_SURFACE.MIN_CELL_DEG);
+    const cols = Math.max(Math.ceil((eastLimit - west) / cellDeg), 1);
+    const rows = Math.max(Math.ceil(ySpan / cellDeg), 1);
+
+    const values = new Float32Array(cols * rows).fill(NaN);
+    for (let row = 0; row < rows; row++) {
+        const lat = mercatorLat(yNorth - (row + 0.5) * cellDeg);
+        for (let col = 0; col < cols; col++) {
+            const lon = west + (col + 0.5) * cellDeg;
+            const value = interpolateLogBias(index, lat, lon, method);
+            if (value !== null) {
+                values[row * cols + col] = value;
+            }
+        }
+    }
+
+    return {
+        south: mercatorLat(yNorth - rows * cellDeg),
+        north,
+        west,
+        east: west + cols * cellDeg,
+        cellDeg,
+        cols,
+        rows,
+        values,
+        sampleCount: samples.length
+    };
+}
+
+/**
+ * Draws a surface on a canvas, one pixel per grid cell, in the GaugeBias colors
+ *
+ * @param {Object} surface - Surface from computeBiasSurface
+ * @returns {HTMLCanvasElement} Canvas of cols x rows pixels
+ */
+function renderSurfaceCanvas(surface) {
+    const canvas = document.createElement('canvas');
+    canvas.width = surface.cols;
+    canvas.height = surface.rows;
+
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(surface.cols, surface.rows);
+    const colors = new Map();
+
+    surface.values.forEach((value, i) => {
+        if (isNaN(value)) return;
+
+        const color = getBiasColor(Math.exp(value));
+        if (!colors.has(color)) {
+            colors.set(color, color.match(/\d+/g).map(Number));
+        }
+
+        const [r, g, b] = colors.get(color);
+        image.data.set([r, g, b, 255], i * 4);
+    });
+
+    ctx.putImageData(image, 0, 0);
+    return canvas;
+}
+
+/**
+ * Initializes the bias surface layer and returns its controller interface
+ * The surface follows the included gauges (exclusions, QC, providers) and is redrawn
+ * whenever the scatterplot statistics change
+ *
+ * @param {Object} map - Leaflet map instance
+ * @returns {Object} Controller object for showing and configuring the surface
+ */
+export function initializeBiasSurface(map) {
+    const state = {
+        enabled: false,
+        method: BIAS_SURFACE.DEFAULT_METHOD,
+        radiusKm: BIAS_SURFACE.DEFAULT_RADIUS_KM,
+        layer: null,
+        surface: null,
+        signature: null    // Options and samples the current surface was computed from
+    };
+
+    /**
+     * Gets the interpolation options in effect: kriging uses at most KRIGING_MAX_RADIUS_KM
+     *
+     * @returns {Object} Options with method and radiusKm
+     */
+    function getInterpolationOptions() {
+        const radiusKm = state.method === 'kriging'
+            ? Math.min(state.radiusKm, BIAS_SURFACE.KRIGING_MAX_RADIUS_KM)
+            : state.radiusKm;
+        return { method: state.method, radiusKm };
+    }
+
+    /**
+     * Shows how many gauges the surface uses
+     */
+    function updateStatus() {
+        const status = document.getElementById('bias-surface-status');
+        if (!status) return;
+
+        if (!state.enabled) {
+            status.textContent = '';
+        } else if (!state.surface) {
+            status.textContent = `Needs at least ${BIAS_SURFACE.MIN_GAUGES} included gauges with gauge and MRMS >= ${BIAS_SURFACE.MIN_AMOUNT} in`;
+        } else {
+            const { radiusKm } = getInterpolationOptions();
+            status.textContent = radiusKm < state.radiusKm
+                ? `Interpolated from ${state.surface.sampleCount} gauges (kriging radius limited to ${radiusKm} km)`
+                : `Interpolated from ${state.surface.sampleCount} gauges`;
+        }
+    }
+
+    /**
+     * Removes the surface from the map
+     */
+    function removeLayer() {
+        if (state.layer) {
+            map.removeLayer(state.layer);
+            state.layer = null;
+        }
+    }
+
+    /**
+     * Recomputes and redraws the surface if the included gauges or options changed
+     */
+    function redraw() {
+        if (!state.enabled) {
+            removeLayer();
+            state.surface = null;
+            state.signature = null;
+            updateStatus();
+            return;
+        }
+
+        const scatterplot = window.scatterplotManager;
+        const samples = buildBiasSamples(
+            window.fullGaugeData || [],
+            point => scatterplot ? scatterplot.isPointExcluded(point) : false
+        );
+
+        const options = getInterpolationOptions();
+        const signature = [options.method, options.radiusKm, ...samples.map(s => `${s.stationId}:${s.value.toFixed(4)}`)].join('|');
+        if (signature === state.signature) {
+            updateStatus();
+            return;
+        }
+        state.signature = signature;
+
+        state.surface = computeBiasSurface(samples, options);
+        removeLayer();
+
+        if (state.surface) {
+            const { south, west, north, east } = state.surface;
+            state.layer = L.imageOverlay(renderSurfaceCanvas(state.surface).toDataURL(), [[south, west], [north, east]], {
+                opacity: BIAS_SURFACE.OPACITY,
+                interactive: false,
+                className: 'bias-surface-layer'
+            }).addTo(map);
+
+            // Below the gauge markers and boundary overlays
+            state.layer.bringToBack();
+        }
+
+        updateStatus();
+    }
+
+    // Exclusions, QC, provider filters and new gauge data all recalculate the statistics
+    if (window.scatterplotManager) {
+        window.scatterplotManager.addStatisticsListener(() => redraw());
+    }
+
+    return {
+        /**
+         * Updates the surface options and redraws
+         *
+         * @param {Object} options - Any of enabled, method ('idw' or 'kriging') and radiusKm
+         */
+        setOptions: function(options) {
+            if (options.enabled !== undefined) state.enabled = options.enabled;
+            if (options.method !== undefined) state.method = options.method;
+            if (options.radiusKm !== undefined) {
+                state.radiusKm = Math.min(Math.max(options.radiusKm, BIAS_SURFACE.MIN_RADIUS_KM), BIAS_SURFACE.MAX_RADIUS_KM);
+            }
+            redraw();
+        },
+
+        /**
+         * Gets the interpolation settings in effect (also used by the gauge-adjusted preview)
+         *
+         * @returns {Object} Options with method and radiusKm
+         */
+        getOptions: function() {
+            return getInterpolationOptions();
+        },
+
+        /**
+         * Checks whether the surface is shown
+         *
+         * @returns {boolean} True when the surface is enabled
+         */
+        isEnabled: function() {
+            return state.enabled;
+        }
+    };
+}
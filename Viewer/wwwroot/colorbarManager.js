@@ -1,9 +1,16 @@
 /**
  * Colorbar Manager Module
- * Handles the display and management of colorbars for QPE products and bias visualization
+ * Handles the display and management of colorbars for QPE products and bias visualization,
+ * and the precipitation and bias color ramps shared by map markers and the scatterplot
  */
 
-import { QPE_COLORBARS } from './config.js';
+import {
+    QPE_COLORBARS,
+    BIAS_COLOR_THRESHOLDS,
+    PRECIP_COLOR_THRESHOLDS,
+    ZERO_PRECIP_COLOR,
+    DIFFERENCE_COLORBARS
+} from './config.js';
 
 /**
  * Determines which colorbar type to use based on the product name
@@ -37,6 +44,47 @@ export function getColorbarTypeForProduct(product) {
     return QPE_COLORBARS.QPE15Min;
 }
 
+/**
+ * Determines the color for a precipitation value based on thresholds
+ *
+ * @param {number} valueInInches - Precipitation value in inches
+ * @returns {string} RGB color string
+ */
+export function getPrecipitationColor(valueInInches) {
+    if (valueInInches <= 0) {
+        return ZERO_PRECIP_COLOR;
+    }
+
+    for (const { threshold, color } of PRECIP_COLOR_THRESHOLDS) {
+        if (valueInInches >= threshold) {
+            return color;
+        }
+    }
+
+    return PRECIP_COLOR_THRESHOLDS[PRECIP_COLOR_THRESHOLDS.length - 1].color;
+}
+
+/**
+ * Determines the color for a bias ratio value
+ * Bias ratio represents gauge/QPE ratio
+ *
+ * @param {number|null} biasRatio - Gauge/QPE ratio
+ * @returns {string} RGB color string
+ */
+export function getBiasColor(biasRatio) {
+    if (biasRatio === null || biasRatio === undefined || !isFinite(biasRatio)) {
+        return ZERO_PRECIP_COLOR;
+    }
+
+    for (const { threshold, color } of BIAS_COLOR_THRESHOLDS) {
+        if (biasRatio >= threshold) {
+            return color;
+        }
+    }
+
+    return BIAS_COLOR_THRESHOLDS[BIAS_COLOR_THRESHOLDS.length - 1].color;
+}
+
 /**
  * Generates HTML for a colorbar display
  *
@@ -123,3 +171,27 @@ export function toggleBiasColorbar(show) {
         hideBiasColorbar();
     }
 }
+
+/**
+ * Shows the diverging colorbar for the difference or ratio layer
+ *
+ * @param {string} mode - 'difference' or 'ratio'
+ */
+export function showDifferenceColorbar(mode) {
+    const colorbarElement = document.getElementById('difference-colorbar');
+    const colorbar = DIFFERENCE_COLORBARS[mode];
+    if (!colorbarElement || !colorbar) return;
+
+    colorbarElement.innerHTML = generateColorbarHTML(colorbar);
+    colorbarElement.style.display = 'block';
+}
+
+/**
+ * Hides the difference/ratio colorbar
+ */
+export function hideDifferenceColorbar() {
+    const colorbarElement = document.getElementById('difference-colorbar');
+    if (colorbarElement) {
+        colorbarElement.style.display = 'none';
+    }
+}
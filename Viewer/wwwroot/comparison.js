@@ -0,0 +1,239 @@
+/**
+ * Product Comparison Module
+ * Loads two or three QPE products for the same valid time under separate cache keys, samples every
+ * gauge against each, and compares them in a statistics table and an overlaid scatterplot
+ */
+
+import { COMPARISON } from './config.js';
+import { createDataTileLayer, replaceDataLayer } from './mapManager.js';
+import { downloadMrmsDataset } from './timeSeries.js';
+import { calculateComparisonStatistics, updateComparisonTable } from './statisticsCalculator.js';
+
+/**
+ * Builds the products to compare for the accumulation period of the selected product
+ *
+ * @param {string} product - Selected QPE product name (sets the accumulation period)
+ * @param {Array<string>} variantKeys - Variant keys to compare (see COMPARISON.VARIANTS)
+ * @returns {Array<Object>} Variants with key, label, color, pointStyle and product name
+ */
+export function getComparisonProducts(product, variantKeys) {
+    const match = product.match(/_(\d{2}H)_/);
+    const period = match ? match[1] : '01H';
+
+    return COMPARISON.VARIANTS
+        .filter(variant => variantKeys.includes(variant.key))
+        .map(variant => ({ ...variant, product: variant.template.replace('{period}', period) }));
+}
+
+/**
+ * Converts processed gauges into comparison points (gauges reporting rain, radar zero where MRMS has no value)
+ *
+ * @param {Array<Object>} gaugeData - Processed gauge data
+ * @returns {Array<Object>} Points with stationId, x (gauge) and y (radar)
+ */
+function toComparisonPoints(gaugeData) {
+    return gaugeData
+        .filter(d => d.displayValue > 0)
+        .map(d => ({
+            stationId: d.stationId,
+            x: d.displayValue,
+            y: d.mrmsValue !== null && d.mrmsValue !== undefined ? d.mrmsValue : 0
+        }));
+}
+
+/**
+ * Initializes product comparison mode and returns its controller interface
+ *
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} dataLayerState - Object containing current dataLayer reference
+ * @param {Object} madisController - MADIS controller instance
+ * @returns {Object} Controller object for loading and switching compared products
+ */
+export function initializeComparison(map, dataLayerState, madisController) {
+    const state = {
+        products: [],
+        plottedIndex: -1
+    };
+
+    /**
+     * Recomputes the comparison table over the stations included in the plotted product's statistics
+     * (so the viewport, exclusions, QC and provider filters apply to every column)
+     */
+    function updateComparison() {
+        if (state.products.length === 0 || !window.scatterplotManager) return;
+
+        const included = new Set(window.scatterplotManager.getIncludedData().map(point => point.stationId));
+        updateComparisonTable(calculateComparisonStatistics(state.products.map(product => ({
+            label: product.label,
+            points: toComparisonPoints(product.frame.gaugeData).filter(point => included.has(point.stationId))
+        }))));
+    }
+
+    /**
+     * Overlays the products not shown on the map in the scatterplot
+     */
+    function updateScatterOverlay() {
+        if (!window.scatterplotManager) return;
+
+        const plotted = state.products[state.plottedIndex];
+        const others = state.products
+            .filter((product, index) => index !== state.plottedIndex)
+            .map(({ label, color, pointStyle, frame }) => ({ label, color, pointStyle, gaugeData: frame.gaugeData }));
+
+        window.scatterplotManager.setComparisonSeries(plotted ? plotted.label : null, others);
+    }
+
+    /**
+     * Shows the comparison panel and fills the selector for the product drawn on the map
+     */
+    function updatePanel() {
+        const panel = document.getElementById('comparison-panel');
+        if (panel) {
+            panel.style.display = state.products.length > 0 ? 'block' : 'none';
+        }
+
+        const select = document.getElementById('comparison-plotted-select');
+        if (select) {
+            select.innerHTML = state.products
+                .map((product, index) => `<option value="${index}">${product.label}</option>`)
+                .join('');
+            select.value = String(state.plottedIndex);
+        }
+
+        if (state.products.length === 0) {
+            updateComparisonTable([]);
+        }
+    }
+
+    /**
+     * Draws one product's tiles and gauges on the map; the others are overlaid in the scatterplot
+     *
+     * @param {number} index - Product index
+     */
+    function showProduct(index) {
+        const product = state.products[index];
+        if (!product) return;
+
+        state.plottedIndex = index;
+        dataLayerState.current = replaceDataLayer(map, dataLayerState.current, product.tileLayer);
+        madisController.showGaugeFrame(product.frame);
+
+        updateScatterOverlay();
+        updatePanel();
+    }
+
+    /**
+     * Removes all compared products and frees their server datasets
+     */
+    async function clear() {
+        const products = state.products;
+        state.products = [];
+        state.plottedIndex = -1;
+
+        for (const product of products) {
+            if (dataLayerState.current === product.tileLayer) {
+                map.removeLayer(product.tileLayer);
+                dataLayerState.current = null;
+            }
+        }
+
+        if (products.length > 0 && window.scatterplotManager) {
+            window.scatterplotManager.setComparisonSeries(null, []);
+        }
+        updatePanel();
+
+        await Promise.all(products.map(product =>
+            fetch(`/api/tiles/cache?cacheKey=${product.cacheKey}`, { method: 'DELETE' })
+                .catch(error => console.error('Error clearing comparison dataset:', error))
+        ));
+    }
+
+    // Keep the table in step with the plotted product's statistics (pan, zoom, exclusions, QC)
+    if (window.scatterplotManager) {
+        window.scatterplotManager.addStatisticsListener(() => updateComparison());
+    }
+
+    // Matching or QC changes resample the plotted product; resample the compared ones to match
+    // (only those changes: recoloring, filters and loads do not touch the compared products)
+    madisController.onResample(async ({ cacheKey, gaugeData, reportPairs }) => {
+        if (state.products.length === 0) return;
+
+        const products = state.products;
+        for (const product of products) {
+            if (product.cacheKey === cacheKey) {
+                Object.assign(product.frame, { gaugeData, reportPairs });
+            } else {
+                Object.assign(product.frame, await madisController.resampleGaugeFrame(product.frame, product.cacheKey));
+            }
+        }
+
+        if (state.products === products) {
+            updateScatterOverlay();
+        }
+    });
+
+    return {
+        /**
+         * Loads several products for one valid time, each under its own cache key
+         * Gauges are fetched once and sampled against every product
+         *
+         * @param {Array<Object>} products - Products from getComparisonProducts
+         * @param {string} date - Date in YYYYMMDD format
+         * @param {string} hour - Hour in HH format
+         * @param {string} accumPeriod - Accumulation period (see ACCUMULATION_PERIODS)
+         * @param {string} plottedProduct - Product name to draw on the map (the first product if not compared)
+         * @param {Function} onProgress - Optional callback (loadedCount, totalCount)
+         * @returns {Promise<number>} Number of products loaded
+         */
+        loadProducts: async function(products, date, hour, accumPeriod, plottedProduct, onProgress = null) {
+            await clear();
+
+            let madisData = null;
+
+            try {
+                for (let i = 0; i < products.length; i++) {
+                    const variant = products[i];
+                    const cacheKey = `${COMPARISON.CACHE_KEY_PREFIX}-${variant.key}`;
+
+                    if (onProgress) onProgress(i, products.length);
+
+                    await downloadMrmsDataset(variant.product, { date, hour }, cacheKey);
+
+                    let gaugeData, reportPairs;
+                    if (madisData === null) {
+                        ({ madisData, gaugeData, reportPairs } = await madisController.buildGaugeFrame(date, hour, accumPeriod, cacheKey));
+                    } else {
+                        ({ gaugeData, reportPairs } = await madisController.resampleGaugeFrame({ madisData, date, hour, accumPeriod }, cacheKey));
+                    }
+
+                    state.products.push({
+                        ...variant,
+                        cacheKey,
+                        tileLayer: createDataTileLayer(cacheKey),
+                        frame: { cacheKey, product: variant.product, date, hour, accumPeriod, madisData, gaugeData, reportPairs }
+                    });
+                }
+            } finally {
+                // Show what loaded, even if a later product failed
+                if (state.products.length > 0) {
+                    const plotted = state.products.findIndex(product => product.product === plottedProduct);
+                    showProduct(plotted === -1 ? 0 : plotted);
+                }
+            }
+
+            return state.products.length;
+        },
+
+        showProduct,
+        clear,
+
+        /**
+         * Checks whether compared products are loaded
+         *
+         * @returns {boolean} True when products are loaded
+         */
+        isActive: function() {
+            return state.products.length > 0;
+        }
+    };
+}
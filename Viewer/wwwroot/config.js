@@ -33,9 +33,271 @@ export const UNIT_CONVERSION = {
 // QPE product accumulation periods
 export const ACCUMULATION_PERIODS = {
     ONE_HOUR: '1H',
-    TWENTY_FOUR_HOUR: '24H'
+    THREE_HOUR: '3H',
+    SIX_HOUR: '6H',
+    TWELVE_HOUR: '12H',
+    TWENTY_FOUR_HOUR: '24H',
+    FORTY_EIGHT_HOUR: '48H',
+    SEVENTY_TWO_HOUR: '72H'
 };
 
+/**
+ * How gauge accumulations are built for each period
+ * Each entry contains:
+ *   - hours: Length of the accumulation period
+ *   - madisVariable: MADIS variable reported natively for the period, and/or
+ *   - componentPeriod/componentCount: consecutive shorter accumulations summed per station
+ *     (with a madisVariable, only for stations missing the native value)
+ */
+export const GAUGE_ACCUMULATION_BUILDS = {
+    [ACCUMULATION_PERIODS.ONE_HOUR]: { hours: 1, madisVariable: 'PCP1H' },
+    [ACCUMULATION_PERIODS.THREE_HOUR]: { hours: 3, madisVariable: 'PCP3H', componentPeriod: ACCUMULATION_PERIODS.ONE_HOUR, componentCount: 3 },
+    [ACCUMULATION_PERIODS.SIX_HOUR]: { hours: 6, madisVariable: 'PCP6H', componentPeriod: ACCUMULATION_PERIODS.ONE_HOUR, componentCount: 6 },
+    [ACCUMULATION_PERIODS.TWELVE_HOUR]: { hours: 12, componentPeriod: ACCUMULATION_PERIODS.ONE_HOUR, componentCount: 12 },
+    [ACCUMULATION_PERIODS.TWENTY_FOUR_HOUR]: { hours: 24, madisVariable: 'PCP24H' },
+    [ACCUMULATION_PERIODS.FORTY_EIGHT_HOUR]: { hours: 48, componentPeriod: ACCUMULATION_PERIODS.TWENTY_FOUR_HOUR, componentCount: 2 },
+    [ACCUMULATION_PERIODS.SEVENTY_TWO_HOUR]: { hours: 72, componentPeriod: ACCUMULATION_PERIODS.TWENTY_FOUR_HOUR, componentCount: 3 }
+};
+
+// Completeness check for summed gauge accumulations
+export const ACCUMULATION_COMPLETENESS = {
+    MIN_FRACTION: 1.0  // Fraction of component periods a station must report (1.0 = all N)
+};
+
+// Gauge-to-grid matching methods used when sampling MRMS at gauge locations
+// Values match the method names accepted by /api/tiles/value and /api/tiles/values
+export const SAMPLING_METHODS = {
+    NEAREST: 'nearest',
+    MEAN_3X3: 'mean3x3',
+    MEAN_5X5: 'mean5x5',
+    BILINEAR: 'bilinear',
+    MAX_IN_RADIUS: 'max',
+    CLOSEST_IN_RADIUS: 'closest'
+};
+
+// Display labels for each matching method
+export const SAMPLING_METHOD_LABELS = {
+    nearest: 'Nearest pixel',
+    mean3x3: '3x3 mean',
+    mean5x5: '5x5 mean',
+    bilinear: 'Bilinear',
+    max: 'Max within radius',
+    closest: 'Closest value within radius'
+};
+
+// Default matching settings (radius is in 0.01° grid pixels)
+export const SAMPLING_DEFAULTS = {
+    METHOD: 'nearest',
+    RADIUS: 2,
+    MAX_RADIUS: 10
+};
+
+// Time-series mode settings
+export const TIME_SERIES = {
+    DEFAULT_FRAMES: 6,           // Consecutive hours loaded by default
+    MAX_FRAMES: 12,              // Upper limit (each frame keeps a ~100 MB MRMS grid in the server cache)
+    FRAME_INTERVAL_MS: 1500,     // Playback delay between frames
+    CACHE_KEY_PREFIX: 'ts'       // Server cache key prefix for frame datasets
+};
+
+// Gauge quality-control (QC) rules, each toggleable in the filters panel
+export const QC_RULES = {
+    MADIS_QC: 'madisQc',
+    BUDDY_CHECK: 'buddy',
+    MAX_RATE: 'maxRate',
+    STUCK_REPORTER: 'stuck'
+};
+
+export const QC_RULE_LABELS = {
+    madisQc: 'MADIS QC flag',
+    buddy: 'Buddy check',
+    maxRate: 'Max rate',
+    stuck: 'Stuck reporter'
+};
+
+export const QC_SETTINGS = {
+    MADIS_QC_TYPE: '0',                     // Request MADIS data quality descriptors
+    MADIS_QC_SELECT: '0',                   // Return all QC levels; failures are flagged client-side
+    MADIS_FAILED_DESCRIPTORS: ['X', 'Q', 'B'],  // Rejected, questioned, subjective bad
+    BUDDY_RADIUS_KM: 25,                    // Neighbors considered by the buddy check
+    BUDDY_MIN_NEIGHBORS: 3,                 // Skip the check for sparser gauges
+    BUDDY_MAX_DIFF_IN: 1.0,                 // Flag only if |gauge - neighbor median| exceeds this...
+    BUDDY_MAX_RATIO: 5,                     // ...and the (offset) ratio exceeds this factor either way
+    BUDDY_RATIO_OFFSET_IN: 0.1,             // Offset added before the ratio so dry neighbors don't divide by zero
+    MAX_RATE_IN_PER_HOUR: 5,                // Physical maximum average rate over the accumulation period
+    STUCK_HOURS: 3,                         // Consecutive hourly reports compared by the stuck check
+    STUCK_MIN_VALUE_IN: 0.05                // Identical hourly values at or above this are flagged
+};
+
+// Marker style for gauges flagged by any QC rule
+export const QC_MARKER = {
+    BORDER_COLOR: '#ff00ff',
+    BORDER_WEIGHT: 3,
+    DASH_ARRAY: '3,2'
+};
+
+// Gauge exclusion lists (named blacklists of station IDs, persisted in localStorage)
+export const EXCLUSIONS = {
+    STORAGE_KEY: 'mrmsViewer.exclusionLists',
+    DEFAULT_LIST: 'Default'
+};
+
+// Marker style for stations on the active exclusion list
+export const EXCLUDED_MARKER = {
+    FILL_COLOR: '#7f8c8d',
+    FILL_OPACITY: 0.35,
+    BORDER_COLOR: '#e74c3c'
+};
+
+// Selected gauges (scatterplot brush or map polygon)
+export const SELECTION = {
+    HIGHLIGHT_COLOR: '#00e5ff',
+    HIGHLIGHT_WEIGHT: 3,
+    POLYGON_STYLE: {
+        color: '#00e5ff',
+        weight: 2,
+        dashArray: '6,4',
+        fillOpacity: 0.05
+    }
+};
+
+// Per-gauge hyetograph shown in gauge popups (hourly gauge vs MRMS)
+export const GAUGE_HISTORY = {
+    HOURS: 12,                   // Hours of history ending at the loaded valid time
+    CHART_WIDTH: 320,            // Popup chart size in pixels
+    CHART_HEIGHT: 180,
+    GAUGE_COLOR: 'rgba(54, 162, 235, 0.8)',
+    MRMS_COLOR: 'rgba(255, 99, 132, 0.8)'
+};
+
+// Statistics panel settings
+export const STATISTICS = {
+    BOOTSTRAP_ITERATIONS: 1000,  // Resamples for the mean bias confidence interval
+    CONFIDENCE_LEVEL: 0.95
+};
+
+// Metrics that can be shown in the statistics panel (key matches the row's data-metric attribute)
+export const STATISTICS_METRICS = [
+    { key: 'meanBias', label: 'Mean Bias (G/R)', visible: true },
+    { key: 'meanBiasCI', label: 'Mean Bias 95% CI', visible: true },
+    { key: 'additiveBias', label: 'Add Bias (G-R)', visible: true },
+    { key: 'mae', label: 'MAE', visible: true },
+    { key: 'rmse', label: 'RMSE', visible: true },
+    { key: 'cc', label: 'CC', visible: true },
+    { key: 'medianBiasRatio', label: 'Median Bias (G/R)', visible: false },
+    { key: 'logRatioMean', label: 'Mean ln(G/R)', visible: false },
+    { key: 'logRatioStd', label: 'Std ln(G/R)', visible: false },
+    { key: 'spearman', label: 'Spearman', visible: false },
+    { key: 'kge', label: 'KGE', visible: false },
+    { key: 'nse', label: 'NSE', visible: false },
+    { key: 'normalizedMae', label: 'Normalized MAE', visible: false },
+    { key: 'fractionalBias', label: 'Fractional Bias', visible: false }
+];
+
+// Product comparison mode: variants of the selected accumulation period loaded under separate cache keys
+export const COMPARISON = {
+    CACHE_KEY_PREFIX: 'cmp',
+    VARIANTS: [
+        { key: 'radar', label: 'Radar Only', template: 'RadarOnly_QPE_{period}_00.00', color: 'rgba(230, 126, 34, 0.7)', pointStyle: 'triangle' },
+        { key: 'pass1', label: 'MS Pass 1', template: 'MultiSensor_QPE_{period}_Pass1_00.00', color: 'rgba(142, 68, 173, 0.7)', pointStyle: 'rect' },
+        { key: 'pass2', label: 'MS Pass 2', template: 'MultiSensor_QPE_{period}_Pass2_00.00', color: 'rgba(39, 174, 96, 0.7)', pointStyle: 'rectRot' }
+    ],
+    // Ideal value of each compared metric; the product closest to it is marked in the table
+    IDEAL_VALUES: {
+        meanBias: 1,
+        additiveBias: 0,
+        mae: 0,
+        rmse: 0,
+        cc: 1,
+        medianBiasRatio: 1,
+        logRatioMean: 0,
+        logRatioStd: 0,
+        spearman: 1,
+        kge: 1,
+        nse: 1,
+        normalizedMae: 0,
+        fractionalBias: 0
+    }
+};
+
+// Second dataset (B) shown beside the loaded product (A) with a swipe divider, or combined with it
+// in a difference (A - B) or ratio (A / B) layer
+export const SWIPE_VIEW = {
+    CACHE_KEY: 'swipe-b',         // Server cache key for dataset B
+    INITIAL_POSITION: 0.5,        // Divider position as a fraction of the map width
+    MIN_POSITION: 0.02,           // Keeps the divider handle on the map
+    MAX_POSITION: 0.98,
+    DIFFERENCE_OPACITY: 0.85      // Opacity of the difference/ratio layer
+};
+
+// Interpolated gauge/QPE bias surface (inverse distance or ordinary kriging of log bias ratios)
+export const BIAS_SURFACE = {
+    DEFAULT_METHOD: 'idw',          // 'idw' or 'kriging'
+    DEFAULT_RADIUS_KM: 100,         // Radius of influence
+    MIN_RADIUS_KM: 10,
+    MAX_RADIUS_KM: 500,
+    MIN_AMOUNT: 0.01,               // Gauges where gauge or MRMS is below this (in) are left out
+    MIN_RATIO: 0.1,                 // Ratios are clamped to this range before taking logs
+    MAX_RATIO: 10,
+    MIN_GAUGES: 3,                  // Fewer usable gauges than this draws no surface
+    IDW_POWER: 2,                   // Inverse distance weighting exponent
+    KRIGING_MAX_NEIGHBORS: 8,       // Nearest gauges used in each kriging system
+    KRIGING_MAX_RADIUS_KM: 200,     // Kriging radius cap (wider radii gather too many gauges per cell for the UI thread)
+    KRIGING_NUGGET_FRACTION: 0.1,   // Nugget of the exponential variogram as a fraction of the sill
+    MAX_CELLS: 40000,               // Grid cells per surface (sets the cell size)
+    MIN_CELL_DEG: 0.02,             // Finest cell size (degrees of longitude)
+    OPACITY: 0.6
+};
+
+// Gauge-adjusted QPE preview (mean-field or local bias applied to the loaded MRMS grid)
+export const QPE_ADJUSTMENT = {
+    DEFAULT_MODE: 'mean-field'    // 'mean-field' or 'local' (uses the bias surface method and radius)
+};
+
+// Region-of-interest statistics (states, counties or an uploaded GeoJSON such as RFC areas or basins)
+export const REGIONS = {
+    OUTLINE_STYLE: { color: '#f1c40f', weight: 1, opacity: 0.6, fillColor: '#f1c40f', fillOpacity: 0 },
+    HOVER_STYLE: { weight: 2, opacity: 1, fillOpacity: 0.08 },
+    ACTIVE_STYLE: { color: '#00e5ff', weight: 3, opacity: 1, fillColor: '#00e5ff', fillOpacity: 0.08 },
+    // Feature properties tried in order for an uploaded region's name
+    NAME_PROPERTIES: ['name', 'NAME', 'Name', 'title', 'LABEL', 'BASIN', 'RFC', 'id', 'ID'],
+    DEFAULT_SORT: { key: 'count', descending: true }   // Initial By Region table order
+};
+
+// Gauge and session exports (CSV, GeoJSON and JSON session file)
+export const SESSION_EXPORT = {
+    FORMAT: 'mrms-qpe-viewer-session',  // Identifies session files
+    VERSION: 1,
+    VALUE_DIGITS: 3                     // Decimal places for exported amounts and ratios
+};
+
+// Generated PNG/PDF report page (sizes in canvas pixels, PDF sizes in points)
+export const REPORT = {
+    MAP_WIDTH: 1100,              // Map image width (height follows the on-screen aspect ratio)
+    SIDE_WIDTH: 560,              // Scatterplot and statistics column width
+    HEADER_HEIGHT: 56,
+    MARGIN: 16,
+    LINE_HEIGHT: 18,
+    TITLE_FONT: 'bold 22px sans-serif',
+    BOLD_FONT: 'bold 13px sans-serif',
+    FONT: '13px sans-serif',
+    TEXT_COLOR: '#2c3e50',
+    BORDER_COLOR: '#bdc3c7',
+    MAP_BACKGROUND: '#dddddd',    // Shown where basemap tiles have not loaded
+    JPEG_QUALITY: 0.92,           // Image quality inside the PDF
+    PDF_PAGE_SIZE: [792, 612],    // US Letter landscape
+    PDF_MARGIN: 24
+};
+
+// URL hash permalinks and session restore
+export const PERMALINK = {
+    COORD_DIGITS: 4,                 // Decimal places for the map center
+    SHARED_LIST_SUFFIX: ' (shared)'  // Appended to a shared exclusion list whose name is taken by a different local list
+};
+
+// Default rain thresholds (inches) for categorical (contingency table) scores
+export const CATEGORICAL_THRESHOLDS = [0.01, 0.1, 0.25, 0.5, 1];
+
 // Minimum threshold for considering MRMS value as non-zero
 export const MRMS_ZERO_THRESHOLD = 0.001;
 
@@ -54,7 +316,40 @@ export const GAUGE_MARKER = {
 export const SCATTERPLOT = {
     DEFAULT_MIN: 0,
     DEFAULT_MAX: 5,
-    SCALE_PADDING_FACTOR: 1.2  // Add 20% padding to max value for scale
+    SCALE_PADDING_FACTOR: 1.2,  // Add 20% padding to max value for scale
+    GAUGE_ZOOM_LEVEL: 11        // Minimum map zoom when shift-clicking a point to zoom to its gauge
+};
+
+// Scatterplot log axes and density rendering
+export const SCATTERPLOT_DISPLAY = {
+    LOG_AXIS_MIN: 0.0004,         // Lower limit of log axes (inches)
+    LOG_ZERO_VALUE: 0.0006,       // Amounts below MRMS_ZERO_THRESHOLD are drawn here, in the zero strip
+    LOG_ZERO_STRIP_MAX: 0.0008,   // Upper edge of the shaded zero strip
+    LOG_TICKS: [0.001, 0.01, 0.1, 1, 10, 100],
+    DENSITY_AUTO_COUNT: 2000,     // 'Auto' display draws the density behind the points from this many points
+    DENSITY_CELL_PIXELS: 8,       // 2D histogram cell size
+    DENSITY_COLORS: ['#d0e6f5', '#8cc3e8', '#4a97d1', '#2166ac', '#08306b']  // Low to high count
+};
+
+// Scatterplot point coloring ("color points by" selector)
+export const SCATTERPLOT_COLORS = {
+    DEFAULT_FILL: 'rgba(52, 152, 219, 0.6)',
+    DEFAULT_BORDER: 'rgba(52, 152, 219, 1)',
+    COLORED_BORDER: 'rgba(0, 0, 0, 0.35)',  // Outline for colored points, so pale colors stay visible
+    PROVIDER_PALETTE: ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#17becf', '#bcbd22'],
+    OTHER_COLOR: 'rgb(160, 160, 160)',     // Providers beyond the palette
+    LATITUDE_RAMP: ['#2c7bb6', '#abd9e9', '#ffffbf', '#fdae61', '#d7191c'],  // South to north
+    QC_PASS_COLOR: 'rgba(46, 204, 113, 0.8)',
+    QC_FLAGGED_COLOR: 'rgba(255, 0, 255, 0.8)'
+};
+
+// Scatterplot fit overlays: least-squares lines and the binned conditional mean of radar given gauge
+export const SCATTERPLOT_FITS = {
+    CONDITIONAL_BIN_EDGES: [0, 0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 10],  // Gauge bins in inches
+    CONDITIONAL_MIN_COUNT: 3,  // Bins with fewer gauges are left off the curve
+    OLS_COLOR: 'rgba(39, 174, 96, 0.9)',
+    ORIGIN_COLOR: 'rgba(142, 68, 173, 0.9)',
+    CONDITIONAL_COLOR: 'rgba(230, 126, 34, 1)'
 };
 
 /**
@@ -270,6 +565,51 @@ export const BIAS_COLOR_THRESHOLDS = [
     { threshold: 0, color: 'rgb(0, 0, 139)' }         // Extreme negative bias
 ];
 
+/**
+ * Diverging colorbars for the difference (A - B, in) and ratio (A / B) layers
+ * Bands match GetColorForDifference/GetColorForRatio in MrmsTileGenerator.cs
+ */
+export const DIFFERENCE_COLORBARS = {
+    difference: {
+        title: 'A - B (in)',
+        bands: [
+            'rgb(0, 60, 48)',      // 2.0+ (A wetter)
+            'rgb(1, 102, 94)',     // 1.0-2.0
+            'rgb(53, 151, 143)',   // 0.50-1.0
+            'rgb(90, 180, 172)',   // 0.25-0.50
+            'rgb(150, 215, 205)',  // 0.10-0.25
+            'rgb(199, 234, 229)',  // 0.01-0.10
+            'rgb(245, 245, 245)',  // No change
+            'rgb(246, 232, 195)',  // -0.01 to -0.10
+            'rgb(232, 200, 140)',  // -0.10 to -0.25
+            'rgb(216, 179, 101)',  // -0.25 to -0.50
+            'rgb(191, 129, 45)',   // -0.50 to -1.0
+            'rgb(140, 81, 10)',    // -1.0 to -2.0
+            'rgb(84, 48, 5)'       // -2.0 or less (A drier)
+        ],
+        labels: ['2.0+', '1.0', '0.50', '0.25', '0.10', '0.01', '0', '-0.01', '-0.10', '-0.25', '-0.50', '-1.0', '-2.0']
+    },
+    ratio: {
+        title: 'A / B',
+        bands: [
+            'rgb(0, 60, 48)',      // 5+ (or B dry)
+            'rgb(1, 102, 94)',     // 2.5-5
+            'rgb(53, 151, 143)',   // 1.6-2.5
+            'rgb(90, 180, 172)',   // 1.3-1.6
+            'rgb(150, 215, 205)',  // 1.1-1.3
+            'rgb(199, 234, 229)',  // 1.05-1.1
+            'rgb(245, 245, 245)',  // Near 1
+            'rgb(246, 232, 195)',  // 1/1.1-1/1.05
+            'rgb(232, 200, 140)',  // 1/1.3-1/1.1
+            'rgb(216, 179, 101)',  // 1/1.6-1/1.3
+            'rgb(191, 129, 45)',   // 1/2.5-1/1.6
+            'rgb(140, 81, 10)',    // 1/5-1/2.5
+            'rgb(84, 48, 5)'       // Under 1/5 (or A dry)
+        ],
+        labels: ['5.0+', '2.5', '1.6', '1.3', '1.1', '1.05', '1', '0.95', '0.91', '0.77', '0.63', '0.40', '0.20-']
+    }
+};
+
 /**
  * Precipitation color thresholds and their corresponding colors
  * Used for mapping precipitation values (in inches) to colors
@@ -0,0 +1,255 @@
+/**
+ * Gauge Exclusions Module
+ * Named blacklists of station IDs, persisted in localStorage and shareable as JSON or CSV
+ */
+
+import { EXCLUSIONS } from './config.js';
+
+/**
+ * Loads the saved exclusion lists, falling back to one empty default list
+ *
+ * @returns {Object} State with active list name and lists (name -> Set of station IDs)
+ */
+function loadState() {
+    const state = { active: EXCLUSIONS.DEFAULT_LIST, lists: new Map([[EXCLUSIONS.DEFAULT_LIST, new Set()]]) };
+
+    try {
+        const saved = JSON.parse(localStorage.getItem(EXCLUSIONS.STORAGE_KEY));
+        if (saved && saved.lists) {
+            state.lists = new Map(Object.entries(saved.lists).map(([name, ids]) => [name, new Set(ids)]));
+            if (state.lists.size === 0) {
+                state.lists.set(EXCLUSIONS.DEFAULT_LIST, new Set());
+            }
+            state.active = state.lists.has(saved.active) ? saved.active : state.lists.keys().next().value;
+        }
+    } catch (error) {
+        console.error('Error loading exclusion lists:', error);
+    }
+
+    return state;
+}
+
+/**
+ * Saves the exclusion lists to localStorage
+ *
+ * @param {Object} state - State with active list name and lists
+ */
+function saveState(state) {
+    const lists = {};
+    for (const [name, ids] of state.lists) {
+        lists[name] = [...ids].sort();
+    }
+
+    try {
+        localStorage.setItem(EXCLUSIONS.STORAGE_KEY, JSON.stringify({ active: state.active, lists }));
+    } catch (error) {
+        console.error('Error saving exclusion lists:', error);
+    }
+}
+
+/**
+ * Parses an exclusion list file
+ * JSON files hold { name, stations: [...] }; CSV files hold one station ID per line
+ * in the first column, with an optional header row
+ *
+ * @param {string} text - File content
+ * @param {string} fileName - File name (used for the format and as the fallback list name)
+ * @returns {Object} Parsed list with name and stations
+ */
+export function parseExclusionFile(text, fileName) {
+    const fallbackName = fileName.replace(/\.[^.]+$/, '');
+
+    if (fileName.toLowerCase().endsWith('.json')) {
+        const parsed = JSON.parse(text);
+        const stations = Array.isArray(parsed) ? parsed : parsed.stations;
+        if (!Array.isArray(stations)) {
+            throw new Error('JSON exclusion list must contain a "stations" array');
+        }
+        return { name: parsed.name || fallbackName, stations: stations.map(String) };
+    }
+
+    const stations = text.split(/\r?\n/)
+        .map(line => line.split(',')[0].trim().replace(/^"|"$/g, ''))
+        .filter(id => id.length > 0);
+
+    // Drop a header row such as "station_id" or "Gauge ID"
+    if (stations.length > 0 && /^(station|gauge)[ _]?id$/i.test(stations[0])) {
+        stations.shift();
+    }
+
+    return { name: fallbackName, stations };
+}
+
+/**
+ * Initializes the exclusion lists and returns the controller interface
+ *
+ * @returns {Object} Controller object for querying and editing exclusion lists
+ */
+export function initializeExclusions() {
+    const state = loadState();
+    const listeners = [];
+
+    /**
+     * Saves and notifies listeners after any change
+     */
+    function changed() {
+        saveState(state);
+        listeners.forEach(listener => listener());
+    }
+
+    /**
+     * Gets the station IDs of the active list
+     *
+     * @returns {Set<string>} Active list
+     */
+    function activeList() {
+        return state.lists.get(state.active);
+    }
+
+    return {
+        /**
+         * Checks whether a station is on the active exclusion list
+         *
+         * @param {string} stationId - Station ID
+         * @returns {boolean} True if excluded
+         */
+        isExcluded: function(stationId) {
+            return activeList().has(stationId);
+        },
+
+        /**
+         * Adds or removes a station on the active list
+         *
+         * @param {string} stationId - Station ID
+         * @param {boolean} excluded - True to exclude, false to include
+         */
+        setExcluded: function(stationId, excluded) {
+            if (excluded === activeList().has(stationId)) return;
+
+            if (excluded) {
+                activeList().add(stationId);
+            } else {
+                activeList().delete(stationId);
+            }
+            changed();
+        },
+
+        /**
+         * Adds or removes many stations on the active list with a single change notification
+         *
+         * @param {Array<string>} stationIds - Station IDs
+         * @param {boolean} excluded - True to exclude, false to include
+         */
+        setExcludedMany: function(stationIds, excluded) {
+            stationIds.forEach(id => excluded ? activeList().add(id) : activeList().delete(id));
+            changed();
+        },
+
+        /**
+         * Toggles a station on the active list
+         *
+         * @param {string} stationId - Station ID
+         */
+        toggle: function(stationId) {
+            this.setExcluded(stationId, !activeList().has(stationId));
+        },
+
+        /**
+         * Removes every station from the active list
+         */
+        clearActiveList: function() {
+            activeList().clear();
+            changed();
+        },
+
+        /**
+         * Gets the active list name and size
+         *
+         * @returns {Object} Active list with name and count
+         */
+        getActiveList: function() {
+            return { name: state.active, count: activeList().size };
+        },
+
+        /**
+         * Gets the names of all saved lists
+         *
+         * @returns {Array<string>} List names
+         */
+        getListNames: function() {
+            return [...state.lists.keys()];
+        },
+
+        /**
+         * Switches the active list
+         *
+         * @param {string} name - List name
+         */
+        setActiveList: function(name) {
+            if (!state.lists.has(name)) return;
+            state.active = name;
+            changed();
+        },
+
+        /**
+         * Creates (or replaces) a list and makes it active
+         *
+         * @param {string} name - List name
+         * @param {Array<string>} stations - Station IDs
+         */
+        createList: function(name, stations = []) {
+            state.lists.set(name, new Set(stations));
+            state.active = name;
+            changed();
+        },
+
+        /**
+         * Deletes the active list; the last remaining list is emptied instead
+         */
+        deleteActiveList: function() {
+            if (state.lists.size === 1) {
+                activeList().clear();
+            } else {
+                state.lists.delete(state.active);
+                state.active = state.lists.keys().next().value;
+            }
+            changed();
+        },
+
+        /**
+         * Imports an exclusion list file as a new active list
+         *
+         * @param {string} text - File content
+         * @param {string} fileName - File name
+         * @returns {Object} Imported list with name and count
+         */
+        importList: function(text, fileName) {
+            const { name, stations } = parseExclusionFile(text, fileName);
+            this.createList(name, stations);
+            return this.getActiveList();
+        },
+
+        /**
+         * Serializes the active list for sharing
+         *
+         * @param {string} format - 'json' or 'csv'
+         * @returns {string} File content
+         */
+        exportActiveList: function(format) {
+            const stations = [...activeList()].sort();
+
+            return format === 'csv'
+                ? ['station_id', ...stations].join('\n') + '\n'
+                : JSON.stringify({ name: state.active, stations }, null, 2);
+        },
+
+        /**
+         * Registers a callback run after any change to the lists
+         *
+         * @param {Function} listener - Callback with no arguments
+         */
+        onChange: function(listener) {
+            listeners.push(listener);
+        }
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * Gauge Accumulation Module
+ * Builds multi-hour gauge accumulations from MADIS reports: sums of consecutive shorter periods
+ * (with a completeness check), and native accumulations with summed values filling in missing stations
+ */
+
+import { GAUGE_ACCUMULATION_BUILDS, ACCUMULATION_COMPLETENESS, QC_SETTINGS } from './config.js';
+
+/**
+ * Sums consecutive component accumulations into one accumulation per station
+ * Stations missing too many components fail the completeness check and are dropped
+ *
+ * @param {Array<Array<Object>>} components - Parsed gauges per component, most recent first
+ * @param {Object} build - Accumulation build from GAUGE_ACCUMULATION_BUILDS
+ * @returns {Array<Object>} Summed gauge objects with hoursReported and hoursExpected
+ */
+export function sumGaugeComponents(components, build) {
+    const componentHours = GAUGE_ACCUMULATION_BUILDS[build.componentPeriod].hours;
+    const requiredCount = Math.ceil(build.componentCount * ACCUMULATION_COMPLETENESS.MIN_FRACTION);
+    const stations = new Map();
+
+    components.forEach(gauges => {
+        const seenInComponent = new Set();
+
+        for (const gauge of gauges) {
+            // Keep one report per station per component, and skip missing values
+            if (seenInComponent.has(gauge.stationId) || !isFinite(gauge.value)) continue;
+            seenInComponent.add(gauge.stationId);
+
+            const station = stations.get(gauge.stationId);
+            if (station) {
+                station.value += gauge.value;
+                station.componentsReported++;
+
+                // A failed QC descriptor in any component carries over to the sum
+                if (QC_SETTINGS.MADIS_FAILED_DESCRIPTORS.includes(gauge.qcDescriptor)) {
+                    station.qcDescriptor = gauge.qcDescriptor;
+                }
+            } else {
+                // First component is the most recent, so it supplies obs time and location
+                stations.set(gauge.stationId, { ...gauge, componentsReported: 1 });
+            }
+        }
+    });
+
+    const summed = [];
+    for (const station of stations.values()) {
+        if (station.componentsReported < requiredCount) continue;
+
+        const { componentsReported, ...gauge } = station;
+        summed.push({
+            ...gauge,
+            value: Math.round(gauge.value * 100) / 100,
+            hoursReported: componentsReported * componentHours,
+            hoursExpected: build.hours
+        });
+    }
+
+    return summed;
+}
+
+/**
+ * Fills in a native accumulation (e.g. PCP3H) with summed components for stations that have no native value
+ * Summed stations must pass the same completeness check as fully summed periods
+ *
+ * @param {Array<Object>} nativeGauges - Parsed gauges of the native accumulation
+ * @param {Array<Array<Object>>} components - Parsed gauges per component, most recent first
+ * @param {Object} build - Accumulation build from GAUGE_ACCUMULATION_BUILDS with madisVariable and components
+ * @returns {Array<Object>} Native gauges, plus summed gauges (with hoursReported and hoursExpected) for the rest
+ */
+export function fillMissingAccumulations(nativeGauges, components, build) {
+    const reported = new Set(nativeGauges.filter(gauge => isFinite(gauge.value)).map(gauge => gauge.stationId));
+    const summed = sumGaugeComponents(components, build).filter(gauge => !reported.has(gauge.stationId));
+    const summedIds = new Set(summed.map(gauge => gauge.stationId));
+
+    // Reports without a value are replaced by the station's sum when it passes the completeness check
+    return [...nativeGauges.filter(gauge => !summedIds.has(gauge.stationId)), ...summed];
+}
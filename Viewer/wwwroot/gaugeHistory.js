@@ -0,0 +1,155 @@
+/**
+ * Gauge History Module
+ * Fetches hourly MRMS point series and draws gauge vs MRMS hyetographs in gauge popups
+ */
+
+import { GAUGE_HISTORY } from './config.js';
+
+/**
+ * Derives the hourly (01H) product matching the selected QPE product
+ *
+ * @param {string} product - QPE product name (e.g., 'MultiSensor_QPE_24H_Pass2_00.00')
+ * @returns {string} Hourly product name (e.g., 'MultiSensor_QPE_01H_Pass2_00.00')
+ */
+export function getHourlyProduct(product) {
+    return product.replace(/_\d{2}H_/, '_01H_');
+}
+
+/**
+ * Samples an hourly MRMS product at many points for consecutive hours
+ *
+ * @param {Array<Object>} points - Points with id, lat, lon
+ * @param {string} product - Hourly QPE product name
+ * @param {string} date - End date in YYYYMMDD format
+ * @param {string} hour - End hour in HH format
+ * @param {number} hours - Number of hours ending at date/hour
+ * @param {string} samplingQuery - Sampling query fragment (method and radius)
+ * @returns {Promise<Map<string, Array<number|null>>>} Hourly MRMS values in inches per point id, oldest first
+ */
+export async function fetchMrmsPointSeries(points, product, date, hour, hours, samplingQuery) {
+    const apiUrl = `/api/tiles/point-series?product=${encodeURIComponent(product)}&date=${date}&time=${hour}0000&hours=${hours}&${samplingQuery}`;
+    const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(points)
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Server returned ${response.status}: ${errorText}`);
+    }
+
+    const result = await response.json();
+    const series = new Map();
+
+    result.ids.forEach((id, i) => {
+        series.set(id, result.hours.map(h => h.available ? h.values[i] : null));
+    });
+
+    return series;
+}
+
+/**
+ * Builds running totals, carrying the total through missing hours
+ *
+ * @param {Array<number|null>} values - Hourly values
+ * @returns {Array<number>} Cumulative values
+ */
+function buildCumulative(values) {
+    let total = 0;
+    return values.map(v => {
+        total += v ?? 0;
+        return Math.round(total * 100) / 100;
+    });
+}
+
+/**
+ * Formats the totals line shown under the hyetograph
+ *
+ * @param {Object} history - Gauge history with gauge and mrms hourly arrays
+ * @returns {string} Summary text
+ */
+export function formatHistorySummary(history) {
+    const hours = history.labels.length;
+    const reported = history.gauge.filter(v => v !== null).length;
+    const gaugeTotal = buildCumulative(history.gauge).at(-1) ?? 0;
+    const mrmsTotal = buildCumulative(history.mrms).at(-1) ?? 0;
+
+    return `${hours}-h total: Gauge ${gaugeTotal.toFixed(2)} in, MRMS ${mrmsTotal.toFixed(2)} in ` +
+        `(gauge reported ${reported}/${hours} h)`;
+}
+
+/**
+ * Draws a gauge vs MRMS hyetograph: hourly bars with cumulative lines on a second axis
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas element inside the popup
+ * @param {Object} history - Gauge history with labels, gauge and mrms hourly arrays (inches)
+ * @returns {Object} Chart.js instance (destroy it when the popup closes)
+ */
+export function renderHyetograph(canvas, history) {
+    return new Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: history.labels,
+            datasets: [
+                {
+                    label: 'Gauge',
+                    data: history.gauge,
+                    backgroundColor: GAUGE_HISTORY.GAUGE_COLOR,
+                    yAxisID: 'y'
+                },
+                {
+                    label: 'MRMS',
+                    data: history.mrms,
+                    backgroundColor: GAUGE_HISTORY.MRMS_COLOR,
+                    yAxisID: 'y'
+                },
+                {
+                    type: 'line',
+                    label: 'Gauge total',
+                    data: buildCumulative(history.gauge),
+                    borderColor: GAUGE_HISTORY.GAUGE_COLOR,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    yAxisID: 'y1'
+                },
+                {
+                    type: 'line',
+                    label: 'MRMS total',
+                    data: buildCumulative(history.mrms),
+                    borderColor: GAUGE_HISTORY.MRMS_COLOR,
+                    borderWidth: 2,
+                    borderDash: [4, 3],
+                    pointRadius: 0,
+                    yAxisID: 'y1'
+                }
+            ]
+        },
+        options: {
+            responsive: false,
+            animation: false,
+            plugins: {
+                legend: {
+                    labels: { boxWidth: 10, font: { size: 10 } }
+                }
+            },
+            scales: {
+                x: {
+                    ticks: { font: { size: 9 }, maxRotation: 0, autoSkip: true }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: 'Hourly (in)', font: { size: 10 } },
+                    ticks: { font: { size: 9 } }
+                },
+                y1: {
+                    beginAtZero: true,
+                    position: 'right',
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: 'Total (in)', font: { size: 10 } },
+                    ticks: { font: { size: 9 } }
+                }
+            }
+        }
+    });
+}
@@ -0,0 +1,86 @@
+/**
+ * Geographic Neighbors Module
+ * Great-circle distances and a lat/lon grid index for finding the points within a radius,
+ * shared by the QC buddy check and the bias surface interpolation
+ */
+
+// Mean Earth radius, and kilometers per degree of latitude (and of longitude at the equator)
+const EARTH_RADIUS_KM = 6371;
+export const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+
+/**
+ * Calculates the great-circle distance between two points
+ *
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometers
+ */
+export function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLon = (lon2 - lon1) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Buckets points on a lat/lon grid one radius wide, for fast neighbor lookups
+ *
+ * @param {Array<Object>} points - Points with lat and lon
+ * @param {number} radiusKm - Search radius
+ * @returns {Object} Neighbor index with radiusKm, cellDeg and cells (points per cell key)
+ */
+export function createNeighborIndex(points, radiusKm) {
+    const cellDeg = radiusKm / KM_PER_DEGREE;
+    const cells = new Map();
+
+    for (const point of points) {
+        const key = `${Math.floor(point.lat / cellDeg)},${Math.floor(point.lon / cellDeg)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(point);
+    }
+
+    return { radiusKm, cellDeg, cells };
+}
+
+/**
+ * Finds the indexed points within the search radius of a coordinate
+ *
+ * @param {Object} index - Neighbor index from createNeighborIndex
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {Function|null} skip - Returns true for points to leave out (e.g. the station itself)
+ * @returns {Array<Object>} Neighbors with point and distance (km)
+ */
+export function findNeighbors(index, lat, lon, skip = null) {
+    const { cellDeg, cells, radiusKm } = index;
+    const row = Math.floor(lat / cellDeg);
+    const col = Math.floor(lon / cellDeg);
+
+    // A radius spans more degrees of longitude away from the equator
+    const cosLat = Math.cos(Math.min(Math.abs(lat) + cellDeg, 89) * Math.PI / 180);
+    const colSpan = Math.ceil(1 / cosLat);
+
+    const neighbors = [];
+    for (let r = row - 1; r <= row + 1; r++) {
+        for (let c = col - colSpan; c <= col + colSpan; c++) {
+            const bucket = cells.get(`${r},${c}`);
+            if (!bucket) continue;
+
+            for (const point of bucket) {
+                if (skip && skip(point)) continue;
+
+                const distance = distanceKm(lat, lon, point.lat, point.lon);
+                if (distance <= radiusKm) {
+                    neighbors.push({ point, distance });
+                }
+            }
+        }
+    }
+
+    return neighbors;
+}
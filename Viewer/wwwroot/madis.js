@@ -10,17 +10,57 @@ import {
     MRMS_ZERO_THRESHOLD,
     BIAS_RATIO_FOR_ZERO_MRMS,
     GAUGE_MARKER,
-    BIAS_COLOR_THRESHOLDS,
-    PRECIP_COLOR_THRESHOLDS,
-    ZERO_PRECIP_COLOR
+    SAMPLING_DEFAULTS,
+    ACCUMULATION_PERIODS,
+    GAUGE_ACCUMULATION_BUILDS,
+    GAUGE_HISTORY,
+    QC_RULES,
+    QC_SETTINGS,
+    QC_MARKER,
+    EXCLUDED_MARKER,
+    SELECTION
 } from './config.js';
-import { updateGaugeCountStatistics } from './statisticsCalculator.js';
+import { updateGaugeCountStatistics, updateSamplingMethodDisplay, updateQcFlaggedCount } from './statisticsCalculator.js';
+import { runQualityControl } from './qualityControl.js';
+import { samplingMethodUsesRadius, getSamplingMethodLabel } from './samplingMethods.js';
+import { sumGaugeComponents, fillMissingAccumulations } from './gaugeAccumulation.js';
+import { getPrecipitationColor, getBiasColor } from './colorbarManager.js';
+import { getHourlyProduct, fetchMrmsPointSeries, renderHyetograph, formatHistorySummary } from './gaugeHistory.js';
 
 // Global state for MADIS data and markers
 window.madisData = [];
 window.madisMarkersLayer = null;
 window.fullGaugeData = [];
 
+// MRMS dataset (server cache key) that gauges are currently sampled against
+let activeCacheKey = 'default';
+
+// Product and valid time of the loaded dataset, used for gauge popup history
+let activeValidTime = null;
+
+// Valid time and accumulation period of the gauges in window.madisData, used by QC
+let activeGaugeLoad = null;
+
+// Processed gauges before the provider filter, and the providers the user has deselected
+let processedGaugeData = [];
+// Every in-bounds report paired with MRMS (dry ones included), for the categorical scores
+let processedReportPairs = [];
+const hiddenProviders = new Set();
+
+// Region of interest the plotted gauges are restricted to: predicate (gauge) => boolean, or null for all
+let regionFilter = null;
+
+// Plotted markers keyed by station ID, and stations highlighted by the current selection
+const markersByStation = new Map();
+let highlightedStations = new Set();
+
+// Callbacks run after gauges are resampled with changed matching or QC settings (used by product comparison and time series)
+const resampleListeners = [];
+
+// Hourly gauge reports keyed by YYYYMMDDHH, and MRMS point series keyed by product/time/sampling
+const hourlyGaugeCache = new Map();
+const mrmsSeriesCache = new Map();
+
 /**
  * Builds the MADIS API URL for fetching gauge precipitation data
  *
@@ -29,11 +69,12 @@ window.fullGaugeData = [];
  * @param {string} startMinute - Minute in MM format
  * @param {number} lookBack - Minutes to look back from start time
  * @param {number} lookForward - Minutes to look forward from start time
- * @param {string} accumPeriod - Accumulation period ('1H' or '24H')
+ * @param {string} accumPeriod - Accumulation period reported natively by MADIS ('1H', '3H', '6H' or '24H')
  * @returns {string} Complete MADIS API URL
  */
-function buildMadisApiUrl(startDate, startHour, startMinute, lookBack, lookForward, accumPeriod = '1H') {
-    const precipVariable = accumPeriod === '24H' ? 'PCP24H' : 'PCP1H';
+function buildMadisApiUrl(startDate, startHour, startMinute, lookBack, lookForward, accumPeriod = ACCUMULATION_PERIODS.ONE_HOUR) {
+    const build = GAUGE_ACCUMULATION_BUILDS[accumPeriod];
+    const precipVariable = build && build.madisVariable ? build.madisVariable : 'PCP1H';
 
     const params = new URLSearchParams({
         rdr: '',
@@ -51,8 +92,8 @@ function buildMadisApiUrl(startDate, startHour, startMinute, lookBack, lookForwa
         stasel: '0',
         pvdrsel: '0',
         varsel: '1',
-        qctype: '0',
-        qcsel: '0',
+        qctype: QC_SETTINGS.MADIS_QC_TYPE,
+        qcsel: QC_SETTINGS.MADIS_QC_SELECT,
         xml: '5',
         csvmiss: '0'
     });
@@ -85,16 +126,92 @@ function convertInchesToMM(valueInInches) {
     return valueInInches * UNIT_CONVERSION.INCHES_TO_MM;
 }
 
+/**
+ * Reads the gauge-to-grid matching settings from the filters panel
+ *
+ * @returns {Object} Sampling settings with method and radius (in grid pixels)
+ */
+function getSamplingSettings() {
+    const method = document.getElementById('sampling-method-select')?.value || SAMPLING_DEFAULTS.METHOD;
+    const radiusInput = parseInt(document.getElementById('sampling-radius-input')?.value, 10);
+    const radius = isNaN(radiusInput)
+        ? SAMPLING_DEFAULTS.RADIUS
+        : Math.min(Math.max(radiusInput, 0), SAMPLING_DEFAULTS.MAX_RADIUS);
+
+    return { method, radius };
+}
+
+/**
+ * Builds the sampling query string shared by the single and bulk value endpoints
+ *
+ * @param {Object} sampling - Sampling settings with method and radius
+ * @returns {string} Query string fragment (without leading '&')
+ */
+function buildSamplingQuery(sampling) {
+    return `method=${encodeURIComponent(sampling.method)}&radius=${sampling.radius}`;
+}
+
+/**
+ * Reads the enabled QC rules from the filters panel
+ *
+ * @returns {Set<string>} Enabled rule IDs (see QC_RULES)
+ */
+function getEnabledQcRules() {
+    return new Set(Object.values(QC_RULES).filter(rule =>
+        document.getElementById(`qc-rule-${rule}`)?.checked ?? true
+    ));
+}
+
+/**
+ * Runs the enabled QC rules over raw gauges for one load
+ * The stuck-reporter rule needs recent hourly reports, which are fetched (and cached) on demand
+ *
+ * @param {Array<Object>} gauges - Parsed gauge objects with values in mm
+ * @param {Object|null} load - Gauge load with date, hour and accumPeriod
+ * @returns {Promise<Map<string, Array<string>>>} Flag reasons per station ID
+ */
+async function evaluateGaugeQc(gauges, load) {
+    const enabledRules = getEnabledQcRules();
+    if (enabledRules.size === 0 || gauges.length === 0) {
+        return new Map();
+    }
+
+    const build = load && GAUGE_ACCUMULATION_BUILDS[load.accumPeriod];
+    let hourlyReports = null;
+
+    if (enabledRules.has(QC_RULES.STUCK_REPORTER) && load) {
+        try {
+            const times = [];
+            for (let i = 0; i < QC_SETTINGS.STUCK_HOURS; i++) {
+                times.push(shiftValidTime(load.date, load.hour, i));
+            }
+            hourlyReports = await Promise.all(times.map(getHourlyGaugeReports));
+        } catch (error) {
+            console.error('Error fetching hourly reports for the stuck-reporter check:', error);
+        }
+    }
+
+    return runQualityControl(gauges, enabledRules, {
+        periodHours: build ? build.hours : 1,
+        hourlyReports
+    });
+}
+
 /**
  * Retrieves the MRMS QPE value at a specific lat/lon coordinate
  *
  * @param {number} lat - Latitude
  * @param {number} lon - Longitude
+ * @param {string} cacheKey - MRMS dataset cache key to sample
+ * @param {Object} sampling - Sampling settings with method and radius
+ * @param {number|null} target - Gauge value in inches (used by the closest-value method)
  * @returns {Promise<number|null>} MRMS value in inches, or null if not available
  */
-async function getMrmsValueAtLocation(lat, lon) {
+async function getMrmsValueAtLocation(lat, lon, cacheKey, sampling, target = null) {
+    const targetParam = target !== null ? `&target=${target}` : '';
+
     try {
-        const response = await fetch(`/api/tiles/value?lat=${lat}&lon=${lon}&cacheKey=default`);
+        const response = await fetch(`/api/tiles/value?lat=${lat}&lon=${lon}&cacheKey=${encodeURIComponent(cacheKey)}&${buildSamplingQuery(sampling)}${targetParam}`);
         const result = await response.json();
         return result.value;
     } catch (error) {
@@ -103,6 +220,46 @@ async function getMrmsValueAtLocation(lat, lon) {
     }
 }
 
+/**
+ * Retrieves MRMS QPE values for many gauges with a single bulk request
+ * Values are returned in the same order as the input gauges
+ *
+ * @param {Array<Object>} gauges - Array of gauge objects with stationId, lat, lon, value (mm)
+ * @param {string} cacheKey - MRMS dataset cache key to sample
+ * @param {Object} sampling - Sampling settings with method and radius
+ * @returns {Promise<Array<number|null>|null>} MRMS values in inches, or null if the bulk request failed
+ */
+async function getMrmsValuesForGauges(gauges, cacheKey, sampling) {
+    const points = gauges.map(({ stationId, lat, lon, value }) => ({
+        id: stationId,
+        lat,
+        lon,
+        target: convertMMToInches(value)
+    }));
+
+    try {
+        const response = await fetch(`/api/tiles/values?cacheKey=${encodeURIComponent(cacheKey)}&${buildSamplingQuery(sampling)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(points)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}`);
+        }
+
+        const result = await response.json();
+        if (!Array.isArray(result.values) || result.values.length !== gauges.length) {
+            throw new Error('Bulk value response does not match the requested gauges');
+        }
+
+        return result.values.map(v => v.value);
+    } catch (error) {
+        console.error('Error fetching bulk MRMS values:', error);
+        return null;
+    }
+}
+
 /**
  * Processes items in batches to avoid overwhelming the browser/server
  * Includes a small delay between batches for rate limiting
@@ -129,47 +286,6 @@ async function processBatches(items, batchSize, processFn) {
     return results;
 }
 
-/**
- * Determines the color for a precipitation value based on thresholds
- *
- * @param {number} valueInInches - Precipitation value in inches
- * @returns {string} RGB color string
- */
-function getPrecipitationColor(valueInInches) {
-    if (valueInInches <= 0) {
-        return ZERO_PRECIP_COLOR;
-    }
-
-    for (const { threshold, color } of PRECIP_COLOR_THRESHOLDS) {
-        if (valueInInches >= threshold) {
-            return color;
-        }
-    }
-
-    return PRECIP_COLOR_THRESHOLDS[PRECIP_COLOR_THRESHOLDS.length - 1].color;
-}
-
-/**
- * Determines the color for a bias ratio value
- * Bias ratio represents gauge/QPE ratio
- *
- * @param {number|null} biasRatio - Gauge/QPE ratio
- * @returns {string} RGB color string
- */
-function getBiasColor(biasRatio) {
-    if (biasRatio === null || biasRatio === undefined || !isFinite(biasRatio)) {
-        return ZERO_PRECIP_COLOR;
-    }
-
-    for (const { threshold, color } of BIAS_COLOR_THRESHOLDS) {
-        if (biasRatio >= threshold) {
-            return color;
-        }
-    }
-
-    return BIAS_COLOR_THRESHOLDS[BIAS_COLOR_THRESHOLDS.length - 1].color;
-}
-
 /**
  * Calculates the bias ratio between gauge and MRMS values
  * Handles special cases for zero MRMS values
@@ -204,6 +320,8 @@ function calculateBiasRatio(gaugeValue, mrmsValue, showZeroMrms) {
  * @param {Object} map - Leaflet map instance
  */
 function clearGaugeMarkers(map) {
+    markersByStation.clear();
+
     if (window.madisMarkersLayer) {
         window.madisMarkersLayer.clearLayers();
     } else if (map) {
@@ -212,39 +330,58 @@ function clearGaugeMarkers(map) {
 }
 
 /**
- * Filters gauges to only those with precipitation and within bounds
+ * Filters gauges to those with a position inside the MRMS domain (dry reports included)
  *
  * @param {Array} gauges - Array of gauge objects
  * @returns {Array} Filtered array of gauge objects
  */
-function filterGaugesWithPrecipitation(gauges) {
+function filterGaugesInBounds(gauges) {
     return gauges.filter(item => {
-        const { lat, lon, value } = item;
+        const { lat, lon } = item;
         return !isNaN(lat) && !isNaN(lon) &&
                lat >= GEOGRAPHIC_BOUNDS.LAT_LOWER &&
                lat <= GEOGRAPHIC_BOUNDS.LAT_UPPER &&
                lon >= GEOGRAPHIC_BOUNDS.LON_LOWER &&
-               lon <= GEOGRAPHIC_BOUNDS.LON_UPPER &&
-               value > 0;
+               lon <= GEOGRAPHIC_BOUNDS.LON_UPPER;
     });
 }
 
 /**
- * Processes a single gauge: converts units, fetches MRMS value, calculates bias
+ * Pairs a gauge report with its MRMS value for the categorical scores
+ * Unlike processGauge, dry gauges and dry MRMS cells are kept; radar counts as zero where MRMS has no value
  *
- * @param {Object} gauge - Gauge object with stationId, lat, lon, value, etc.
+ * @param {Object} gauge - Gauge object with stationId, provider, lat, lon, value (mm) and qcFlags
+ * @param {number|null} mrmsValue - MRMS value in inches
+ * @returns {Object|null} Pair with stationId, provider, lat, lon, x (gauge), y (MRMS) and qcFlags, or null if the value is invalid
+ */
+function buildReportPair(gauge, mrmsValue) {
+    const { stationId, provider, lat, lon, value, qcFlags } = gauge;
+    const displayValue = convertMMToInches(value);
+
+    if (!isFinite(displayValue) || displayValue < 0) {
+        return null;
+    }
+
+    return { stationId, provider, lat, lon, x: displayValue, y: mrmsValue ?? 0, qcFlags };
+}
+
+/**
+ * Processes a single gauge: converts units and calculates bias against its sampled MRMS value
+ *
+ * @param {Object} gauge - Gauge object with stationId, lat, lon, value, qcFlags, etc.
+ * @param {number|null} mrmsValue - MRMS value in inches sampled at the gauge
  * @param {boolean} showZeroMrms - Whether to include gauges where MRMS is zero
- * @returns {Promise<Object|null>} Processed gauge data or null if should be excluded
+ * @param {Object} sampling - Sampling settings with method and radius
+ * @returns {Object|null} Processed gauge data or null if should be excluded
  */
-async function processGauge(gauge, showZeroMrms) {
-    const { stationId, obvTime, provider, value, lat, lon } = gauge;
+function processGauge(gauge, mrmsValue, showZeroMrms, sampling) {
+    const { stationId, obvTime, provider, value, lat, lon, hoursReported, hoursExpected, qcFlags } = gauge;
     const displayValue = convertMMToInches(value);
 
     if (!isFinite(displayValue) || isNaN(displayValue)) {
         return null;
     }
 
-    const mrmsValue = await getMrmsValueAtLocation(lat, lon);
     const { biasRatio, shouldInclude } = calculateBiasRatio(displayValue, mrmsValue, showZeroMrms);
 
     if (!shouldInclude) {
@@ -259,80 +396,289 @@ async function processGauge(gauge, showZeroMrms) {
         mrmsValue,
         biasRatio,
         lat,
-        lon
+        lon,
+        samplingMethod: sampling.method,
+        samplingRadius: samplingMethodUsesRadius(sampling.method) ? sampling.radius : null,
+        hoursReported: hoursReported ?? null,
+        hoursExpected: hoursExpected ?? null,
+        qcFlags: qcFlags || []
     };
 }
 
 /**
- * Creates a Leaflet marker for a gauge
+ * Checks whether a station is on the active exclusion list
+ *
+ * @param {string} stationId - Station ID
+ * @returns {boolean} True if excluded
+ */
+function isStationExcluded(stationId) {
+    return window.gaugeExclusions ? window.gaugeExclusions.isExcluded(stationId) : false;
+}
+
+/**
+ * Builds the marker style for a gauge from its value, QC flags, exclusion and selection state
  *
  * @param {Object} gaugeData - Processed gauge data
  * @param {boolean} biasMode - Whether to color by bias or magnitude
- * @param {string} unit - Display unit ('in' for inches)
- * @returns {Object} Leaflet circle marker
+ * @returns {Object} Leaflet path style options
  */
-function createGaugeMarker(gaugeData, biasMode, unit) {
-    const { stationId, obvTime, provider, displayValue, mrmsValue, biasRatio, lat, lon } = gaugeData;
+function getGaugeMarkerStyle(gaugeData, biasMode) {
+    const qcFlagged = gaugeData.qcFlags.length > 0;
+    const excluded = isStationExcluded(gaugeData.stationId);
+    const highlighted = highlightedStations.has(gaugeData.stationId);
+
+    let color = GAUGE_MARKER.BORDER_COLOR;
+    if (highlighted) color = SELECTION.HIGHLIGHT_COLOR;
+    else if (qcFlagged) color = QC_MARKER.BORDER_COLOR;
+    else if (excluded) color = EXCLUDED_MARKER.BORDER_COLOR;
+
+    let weight = GAUGE_MARKER.BORDER_WEIGHT;
+    if (highlighted) weight = SELECTION.HIGHLIGHT_WEIGHT;
+    else if (qcFlagged) weight = QC_MARKER.BORDER_WEIGHT;
+
+    return {
+        color,
+        fillColor: excluded
+            ? EXCLUDED_MARKER.FILL_COLOR
+            : (biasMode ? getBiasColor(gaugeData.biasRatio) : getPrecipitationColor(gaugeData.displayValue)),
+        fillOpacity: excluded ? EXCLUDED_MARKER.FILL_OPACITY : GAUGE_MARKER.FILL_OPACITY,
+        weight,
+        dashArray: qcFlagged ? QC_MARKER.DASH_ARRAY : null
+    };
+}
 
-    const fillColor = biasMode ? getBiasColor(biasRatio) : getPrecipitationColor(displayValue);
+/**
+ * Builds the popup content for a gauge
+ * Built when the popup opens so the exclusion state is current
+ *
+ * @param {Object} gaugeData - Processed gauge data
+ * @param {string} unit - Display unit ('in' for inches)
+ * @returns {string} Popup HTML
+ */
+function buildGaugePopupContent(gaugeData, unit) {
+    const { stationId, obvTime, provider, displayValue, mrmsValue, samplingMethod, samplingRadius, hoursReported, hoursExpected, qcFlags } = gaugeData;
+    const excluded = isStationExcluded(stationId);
 
     const mrmsText = mrmsValue !== null && mrmsValue !== undefined
         ? `<strong>MRMS:</strong> ${mrmsValue.toFixed(2)} ${unit}<br/><strong>Gauge:</strong> ${displayValue.toFixed(2)} ${unit}`
         : `<strong>Gauge:</strong> ${displayValue.toFixed(2)} ${unit}`;
 
-    return L.circleMarker([lat, lon], {
-        radius: GAUGE_MARKER.RADIUS,
-        color: GAUGE_MARKER.BORDER_COLOR,
-        fillColor: fillColor,
-        fillOpacity: GAUGE_MARKER.FILL_OPACITY,
-        weight: GAUGE_MARKER.BORDER_WEIGHT
-    }).bindPopup(
-        `<strong>${stationId}</strong><br/>` +
+    return `<strong>${stationId}</strong><br/>` +
         `Obs Time: ${obvTime}<br/>` +
         `Provider: ${provider}<br/>` +
-        mrmsText
+        `Matching: ${getSamplingMethodLabel(samplingMethod, samplingRadius)}<br/>` +
+        (hoursExpected ? `Hours Reported: ${hoursReported}/${hoursExpected}<br/>` : '') +
+        qcFlags.map(reason => `<span class="qc-flag">QC: ${reason}</span><br/>`).join('') +
+        (excluded ? `<span class="excluded-flag">Excluded (${window.gaugeExclusions.getActiveList().name})</span><br/>` : '') +
+        mrmsText +
+        (window.gaugeExclusions
+            ? `<br/><button type="button" class="popup-exclude-btn">${excluded ? 'Include gauge' : 'Exclude gauge'}</button>`
+            : '') +
+        `<div class="gauge-history">` +
+        `<canvas width="${GAUGE_HISTORY.CHART_WIDTH}" height="${GAUGE_HISTORY.CHART_HEIGHT}"></canvas>` +
+        `<div class="gauge-history-status">Loading hourly history...</div>` +
+        `</div>`;
+}
+
+/**
+ * Creates a Leaflet marker for a gauge
+ *
+ * @param {Object} gaugeData - Processed gauge data
+ * @param {boolean} biasMode - Whether to color by bias or magnitude
+ * @param {string} unit - Display unit ('in' for inches)
+ * @returns {Object} Leaflet circle marker
+ */
+function createGaugeMarker(gaugeData, biasMode, unit) {
+    const marker = L.circleMarker([gaugeData.lat, gaugeData.lon], {
+        radius: GAUGE_MARKER.RADIUS,
+        ...getGaugeMarkerStyle(gaugeData, biasMode)
+    });
+
+    marker.bindPopup(
+        () => buildGaugePopupContent(gaugeData, unit),
+        { minWidth: GAUGE_HISTORY.CHART_WIDTH, maxWidth: GAUGE_HISTORY.CHART_WIDTH + 20 }
     );
+
+    // Draw the hyetograph only when the popup is opened, and free it on close
+    let historyChart = null;
+
+    marker.on('popupopen', async (e) => {
+        const popupElement = e.popup.getElement();
+
+        const excludeBtn = popupElement?.querySelector('.popup-exclude-btn');
+        if (excludeBtn) {
+            excludeBtn.addEventListener('click', () => {
+                window.gaugeExclusions.toggle(gaugeData.stationId);
+                marker.closePopup();
+            });
+        }
+
+        const container = popupElement?.querySelector('.gauge-history');
+        if (!container) return;
+
+        const status = container.querySelector('.gauge-history-status');
+
+        try {
+            const history = await getGaugeHistory(gaugeData);
+            if (!marker.isPopupOpen()) return;
+
+            if (historyChart) historyChart.destroy();
+            historyChart = renderHyetograph(container.querySelector('canvas'), history);
+            status.textContent = formatHistorySummary(history);
+        } catch (error) {
+            console.error('Error loading gauge history:', error);
+            status.textContent = `Hourly history unavailable: ${error.message}`;
+        }
+    });
+
+    marker.on('popupclose', () => {
+        if (historyChart) {
+            historyChart.destroy();
+            historyChart = null;
+        }
+        highlightScatterPoint(null);
+    });
+
+    // Hovering or opening a marker rings its point in the scatterplot
+    marker.on('mouseover popupopen', () => highlightScatterPoint(gaugeData.stationId));
+    marker.on('mouseout', () => {
+        if (!marker.isPopupOpen()) highlightScatterPoint(null);
+    });
+
+    return marker;
 }
 
 /**
- * Plots all processed gauge data on the map with MRMS comparison
+ * Highlights a station's point in the scatterplot
  *
- * @param {Object} map - Leaflet map instance
+ * @param {string|null} stationId - Station ID, or null to clear
  */
-async function plotGaugeData(map) {
-    if (!map) {
-        console.error('Leaflet map is not initialized.');
-        return;
+function highlightScatterPoint(stationId) {
+    if (window.scatterplotManager) {
+        window.scatterplotManager.highlightStation(stationId);
     }
+}
 
-    clearGaugeMarkers(map);
-
-    const unit = 'in';
+/**
+ * Restyles the plotted markers in place (e.g. after the exclusion list or selection changes)
+ */
+function restyleGaugeMarkers() {
     const biasMode = document.getElementById('bias-toggle')?.checked || false;
+
+    for (const gaugeData of window.fullGaugeData) {
+        const marker = markersByStation.get(gaugeData.stationId);
+        if (marker) {
+            marker.setStyle(getGaugeMarkerStyle(gaugeData, biasMode));
+            if (highlightedStations.has(gaugeData.stationId)) {
+                marker.bringToFront();
+            }
+        }
+    }
+}
+
+/**
+ * Samples MRMS for each gauge and builds the processed gauge records
+ * Uses the current filter settings (zero-MRMS toggle and matching method)
+ * Dry reports are sampled too: they are dropped from the gauge records but kept as report pairs
+ * for the categorical scores, which need dry gauges and dry MRMS cells
+ *
+ * @param {Array<Object>} gauges - Parsed gauge objects with values in mm
+ * @param {string} cacheKey - MRMS dataset cache key to sample
+ * @param {Object|null} load - Gauge load with date, hour and accumPeriod (used by QC)
+ * @returns {Promise<Object>} gaugeData (processed gauges, excluded gauges removed) and
+ *     reportPairs (every in-bounds report paired with MRMS, see buildReportPair)
+ */
+async function processGaugeData(gauges, cacheKey, load) {
     const showZeroMrms = document.getElementById('show-zero-mrms-toggle')?.checked || false;
+    const sampling = getSamplingSettings();
+
+    // QC runs on every report (including zeros) so the buddy check sees dry neighbors
+    const qcFlags = await evaluateGaugeQc(gauges, load);
+    const inBoundsGauges = filterGaugesInBounds(gauges)
+        .map(gauge => ({ ...gauge, qcFlags: qcFlags.get(gauge.stationId) || [] }));
 
-    const totalGaugesLoaded = window.madisData.length;
-    const filteredGauges = filterGaugesWithPrecipitation(window.madisData);
+    // Sample MRMS for every gauge in one request; fall back to per-point batches if that fails
+    const sampledValues = inBoundsGauges.length > 0
+        ? await getMrmsValuesForGauges(inBoundsGauges, cacheKey, sampling)
+        : [];
 
-    // Process gauges in batches to avoid overwhelming the server
-    const gaugeData = await processBatches(
-        filteredGauges,
+    const mrmsValues = sampledValues || await processBatches(
+        inBoundsGauges,
         BATCH_PROCESSING.BATCH_SIZE,
-        async (gauge) => await processGauge(gauge, showZeroMrms)
+        async (gauge) => await getMrmsValueAtLocation(gauge.lat, gauge.lon, cacheKey, sampling, convertMMToInches(gauge.value))
     );
 
-    // Store processed gauge data globally for filtering by map bounds
-    window.fullGaugeData = gaugeData.filter(d => d !== null);
+    const gaugeData = inBoundsGauges
+        .map((gauge, i) => gauge.value > 0 ? processGauge(gauge, mrmsValues[i], showZeroMrms, sampling) : null)
+        .filter(d => d !== null);
+    const reportPairs = inBoundsGauges
+        .map((gauge, i) => buildReportPair(gauge, mrmsValues[i]))
+        .filter(pair => pair !== null);
+
+    return { gaugeData, reportPairs };
+}
+
+/**
+ * Rebuilds the provider filter options from the processed gauges, keeping deselected providers
+ * Providers seen for the first time are selected
+ *
+ * @param {Array<Object>} gaugeData - Processed gauge data (before the provider filter)
+ */
+function updateProviderOptions(gaugeData) {
+    const providerSelect = document.getElementById('provider-filter-select');
+    if (!providerSelect) return;
+
+    const counts = new Map();
+    for (const { provider } of gaugeData) {
+        counts.set(provider, (counts.get(provider) || 0) + 1);
+    }
+
+    providerSelect.innerHTML = '';
+    [...counts.keys()].sort().forEach(provider => {
+        const option = document.createElement('option');
+        option.value = provider;
+        option.textContent = `${provider} (${counts.get(provider)})`;
+        option.selected = !hiddenProviders.has(provider);
+        providerSelect.appendChild(option);
+    });
+}
+
+/**
+ * Draws processed gauge data as markers and updates the statistics and scatterplot
+ * Gauges from deselected providers are skipped
+ *
+ * @param {Object} map - Leaflet map instance
+ * @param {number} totalGaugesLoaded - Number of gauges returned by MADIS
+ * @param {Array<Object>} gaugeData - Processed gauge data from processGaugeData
+ * @param {Array<Object>} reportPairs - Report pairs from processGaugeData
+ */
+function renderGaugeData(map, totalGaugesLoaded, gaugeData, reportPairs) {
+    clearGaugeMarkers(map);
+
+    const unit = 'in';
+    const biasMode = document.getElementById('bias-toggle')?.checked || false;
+    const sampling = getSamplingSettings();
+
+    processedGaugeData = gaugeData;
+    processedReportPairs = reportPairs;
+    updateProviderOptions(gaugeData);
+
+    // Store provider- and region-filtered gauge data globally for filtering by map bounds
+    window.fullGaugeData = gaugeData.filter(d => !hiddenProviders.has(d.provider) && (!regionFilter || regionFilter(d)));
 
     // Update statistics display
     updateGaugeCountStatistics(totalGaugesLoaded, window.fullGaugeData.length);
+    updateQcFlaggedCount(window.fullGaugeData.filter(d => d.qcFlags.length > 0).length);
+    updateSamplingMethodDisplay(getSamplingMethodLabel(
+        sampling.method,
+        samplingMethodUsesRadius(sampling.method) ? sampling.radius : null
+    ));
 
     // Plot all gauges as markers
-    for (const data of gaugeData) {
-        if (!data) continue;
-
+    for (const data of window.fullGaugeData) {
         const marker = createGaugeMarker(data, biasMode, unit);
         marker.addTo(window.madisMarkersLayer);
+        markersByStation.set(data.stationId, marker);
     }
 
     // Update scatterplot with gauge data
@@ -342,25 +688,142 @@ async function plotGaugeData(map) {
 }
 
 /**
- * Fetches MADIS CSV data from the proxy and parses it
+ * Plots all processed gauge data on the map with MRMS comparison
  *
- * @param {string} url - Proxy URL for MADIS data
  * @param {Object} map - Leaflet map instance
+ * @returns {Promise<Object|undefined>} Plotted cacheKey, gaugeData and reportPairs
  */
-async function fetchAndParseMadisData(url, map) {
+async function plotGaugeData(map) {
+    if (!map) {
+        console.error('Leaflet map is not initialized.');
+        return;
+    }
+
+    clearGaugeMarkers(map);
+
+    const { gaugeData, reportPairs } = await processGaugeData(window.madisData, activeCacheKey, activeGaugeLoad);
+    renderGaugeData(map, window.madisData.length, gaugeData, reportPairs);
+
+    return { cacheKey: activeCacheKey, gaugeData, reportPairs };
+}
+
+/**
+ * Fetches one MADIS CSV request through the proxy and parses it
+ *
+ * @param {string} madisUrl - MADIS API URL
+ * @returns {Promise<Array<Object>>} Array of parsed gauge objects (empty if no data)
+ */
+async function fetchMadisGauges(madisUrl) {
+    console.log('MADIS URL:', madisUrl);
+
+    const proxyUrl = `/api/madisproxy?url=${encodeURIComponent(madisUrl)}`;
+    const response = await fetch(proxyUrl);
+
+    if (!response.ok) {
+        throw new Error(`MADIS proxy returned ${response.status}`);
+    }
+
+    const text = await response.text();
+    const lines = text.trim().split('\n');
+
+    return lines.length < 2 ? [] : parseMADISCSV(lines);
+}
+
+/**
+ * Shifts a MADIS valid time back by a number of hours
+ *
+ * @param {string} date - Date in YYYYMMDD format
+ * @param {string} hour - Hour in HH format
+ * @param {number} hoursBack - Hours to subtract
+ * @returns {Object} Shifted time with date (YYYYMMDD) and hour (HH)
+ */
+export function shiftValidTime(date, hour, hoursBack) {
+    const time = new Date(Date.UTC(
+        parseInt(date.slice(0, 4), 10),
+        parseInt(date.slice(4, 6), 10) - 1,
+        parseInt(date.slice(6, 8), 10),
+        parseInt(hour, 10) - hoursBack
+    ));
+
+    return {
+        date: time.toISOString().slice(0, 10).replace(/-/g, ''),
+        hour: time.getUTCHours().toString().padStart(2, '0')
+    };
+}
+
+/**
+ * Fetches the component accumulations of a summed period, ending at the valid time and stepping back one component at a time
+ *
+ * @param {string} date - Date in YYYYMMDD format
+ * @param {string} hour - Hour in HH format
+ * @param {string} minute - Minute in MM format
+ * @param {number} lookBack - Minutes to look back
+ * @param {number} lookForward - Minutes to look forward
+ * @param {Object} build - Accumulation build from GAUGE_ACCUMULATION_BUILDS
+ * @returns {Promise<Array<Array<Object>>>} Parsed gauges per component, most recent first
+ */
+async function fetchComponentGauges(date, hour, minute, lookBack, lookForward, build) {
+    const componentHours = GAUGE_ACCUMULATION_BUILDS[build.componentPeriod].hours;
+    const componentUrls = [];
+    for (let i = 0; i < build.componentCount; i++) {
+        const validTime = shiftValidTime(date, hour, i * componentHours);
+        componentUrls.push(buildMadisApiUrl(validTime.date, validTime.hour, minute, lookBack, lookForward, build.componentPeriod));
+    }
+
+    return Promise.all(componentUrls.map(fetchMadisGauges));
+}
+
+/**
+ * Fetches gauge accumulations for a period, natively from MADIS or by summing shorter periods
+ * Periods with both a MADIS variable and components use the native value, summing components
+ * for stations that have none
+ *
+ * @param {string} date - Date in YYYYMMDD format
+ * @param {string} hour - Hour in HH format
+ * @param {string} minute - Minute in MM format
+ * @param {number} lookBack - Minutes to look back
+ * @param {number} lookForward - Minutes to look forward
+ * @param {string} accumPeriod - Accumulation period (see ACCUMULATION_PERIODS)
+ * @returns {Promise<Array<Object>>} Array of gauge objects with values in mm
+ */
+async function fetchAccumulatedGauges(date, hour, minute, lookBack, lookForward, accumPeriod) {
+    const build = GAUGE_ACCUMULATION_BUILDS[accumPeriod] || GAUGE_ACCUMULATION_BUILDS[ACCUMULATION_PERIODS.ONE_HOUR];
+
+    if (!build.componentPeriod) {
+        return fetchMadisGauges(buildMadisApiUrl(date, hour, minute, lookBack, lookForward, accumPeriod));
+    }
+
+    if (!build.madisVariable) {
+        return sumGaugeComponents(await fetchComponentGauges(date, hour, minute, lookBack, lookForward, build), build);
+    }
+
+    const [nativeGauges, components] = await Promise.all([
+        fetchMadisGauges(buildMadisApiUrl(date, hour, minute, lookBack, lookForward, accumPeriod)),
+        fetchComponentGauges(date, hour, minute, lookBack, lookForward, build)
+    ]);
+    return fillMissingAccumulations(nativeGauges, components, build);
+}
+
+/**
+ * Fetches MADIS gauge accumulations for a period and plots them
+ *
+ * @param {Object} params - Load parameters (date, hour, minute, lookBack, lookForward, accumPeriod)
+ * @param {Object} map - Leaflet map instance
+ */
+async function fetchAndParseMadisData(params, map) {
     clearGaugeMarkers(map);
 
     try {
-        const response = await fetch(url);
-        const text = await response.text();
-        const lines = text.trim().split('\n');
+        const { date, hour, minute, lookBack, lookForward, accumPeriod } = params;
+        const gauges = await fetchAccumulatedGauges(date, hour, minute, lookBack, lookForward, accumPeriod);
 
-        if (lines.length < 2) {
+        if (gauges.length === 0) {
             console.warn('No MADIS data returned');
             return;
         }
 
-        window.madisData = parseMADISCSV(lines);
+        window.madisData = gauges;
+        activeGaugeLoad = { date, hour, accumPeriod };
         await plotGaugeData(map);
 
     } catch (error) {
@@ -389,10 +852,13 @@ function parseMADISCSV(lines) {
         let value = Math.round((parseFloat(cols[5]) * 1000) * 100) / 100;
         value = Math.max(0, value);
 
+        // MADIS data quality descriptor for the precip value (e.g. V verified, X rejected)
+        const qcDescriptor = (cols[6] || '').trim();
+
         const lat = parseFloat(cols[7]);
         const lon = parseFloat(cols[9]);
 
-        gauges.push({ stationId, obvTime, provider, value, lat, lon });
+        gauges.push({ stationId, obvTime, provider, value, qcDescriptor, lat, lon });
     }
 
     return gauges;
@@ -428,6 +894,105 @@ function updateScatterplotByBounds(map) {
     }
 }
 
+/**
+ * Fetches hourly (1H) gauge reports for one hour, cached for later popups
+ *
+ * @param {Object} time - Valid time with date (YYYYMMDD) and hour (HH)
+ * @returns {Promise<Map<string, number>>} Hourly values in mm per station ID
+ */
+function getHourlyGaugeReports(time) {
+    const key = `${time.date}${time.hour}`;
+
+    if (!hourlyGaugeCache.has(key)) {
+        const request = fetchMadisGauges(buildMadisApiUrl(time.date, time.hour, '00', 0, 0, ACCUMULATION_PERIODS.ONE_HOUR))
+            .then(gauges => {
+                const reports = new Map();
+                for (const gauge of gauges) {
+                    if (!reports.has(gauge.stationId) && isFinite(gauge.value)) {
+                        reports.set(gauge.stationId, gauge.value);
+                    }
+                }
+                return reports;
+            });
+
+        // Drop failed requests so the hour is retried on the next popup
+        request.catch(() => hourlyGaugeCache.delete(key));
+        hourlyGaugeCache.set(key, request);
+    }
+
+    return hourlyGaugeCache.get(key);
+}
+
+/**
+ * Fetches the hourly MRMS series for every plotted gauge in one request, so the server reads each
+ * hourly grid once and later popups are instant
+ * A gauge missing from the cached series (e.g. after a filter change) is requested on its own
+ *
+ * @param {Object} gaugeData - Processed gauge data for the clicked station
+ * @param {string} product - Hourly QPE product name
+ * @param {Object} sampling - Sampling settings with method and radius
+ * @returns {Promise<Array<number|null>>} Hourly MRMS values in inches, oldest first
+ */
+async function getMrmsHourlySeries(gaugeData, product, sampling) {
+    const { date, hour } = activeValidTime;
+    const samplingQuery = buildSamplingQuery(sampling);
+    const key = `${product}|${date}${hour}|${samplingQuery}`;
+    const toPoint = ({ stationId, lat, lon }) => ({ id: stationId, lat, lon });
+
+    if (!mrmsSeriesCache.has(key)) {
+        const points = window.fullGaugeData.map(toPoint);
+        const request = fetchMrmsPointSeries(points, product, date, hour, GAUGE_HISTORY.HOURS, samplingQuery);
+
+        request.catch(() => mrmsSeriesCache.delete(key));
+        mrmsSeriesCache.set(key, request);
+    }
+
+    const series = await mrmsSeriesCache.get(key);
+    if (!series.has(gaugeData.stationId)) {
+        // Cache the pending request so a second popup for the station does not repeat it
+        const single = fetchMrmsPointSeries([toPoint(gaugeData)], product, date, hour, GAUGE_HISTORY.HOURS, samplingQuery)
+            .then(result => result.get(gaugeData.stationId));
+        series.set(gaugeData.stationId, single);
+        single.catch(() => series.delete(gaugeData.stationId));
+    }
+
+    return series.get(gaugeData.stationId);
+}
+
+/**
+ * Builds the hourly gauge vs MRMS history ending at the loaded valid time
+ *
+ * @param {Object} gaugeData - Processed gauge data for the clicked station
+ * @returns {Promise<Object>} History with labels, gauge and mrms hourly arrays (inches, null if missing)
+ */
+async function getGaugeHistory(gaugeData) {
+    if (!activeValidTime) {
+        throw new Error('no MRMS dataset loaded');
+    }
+
+    const { product, date, hour } = activeValidTime;
+    const sampling = {
+        method: gaugeData.samplingMethod,
+        radius: gaugeData.samplingRadius ?? SAMPLING_DEFAULTS.RADIUS
+    };
+
+    const times = [];
+    for (let i = GAUGE_HISTORY.HOURS - 1; i >= 0; i--) {
+        times.push(shiftValidTime(date, hour, i));
+    }
+
+    const [reports, mrms] = await Promise.all([
+        Promise.all(times.map(getHourlyGaugeReports)),
+        getMrmsHourlySeries(gaugeData, getHourlyProduct(product), sampling)
+    ]);
+
+    return {
+        labels: times.map(t => `${t.hour}Z`),
+        gauge: reports.map(r => r.has(gaugeData.stationId) ? convertMMToInches(r.get(gaugeData.stationId)) : null),
+        mrms
+    };
+}
+
 /**
  * Initializes the MADIS functionality and returns controller interface
  *
@@ -442,6 +1007,11 @@ export function initializeMadis(map) {
 
     window.madisMarkersLayer = L.layerGroup().addTo(map);
 
+    // Scatter points carry a reference to their map marker
+    if (window.scatterplotManager) {
+        window.scatterplotManager.setMarkerLookup(stationId => markersByStation.get(stationId));
+    }
+
     return {
         /**
          * Loads MADIS gauge data for a specific time period
@@ -451,19 +1021,151 @@ export function initializeMadis(map) {
          * @param {string} minute - Minute in MM format
          * @param {number} lookBack - Minutes to look back
          * @param {number} lookForward - Minutes to look forward
-         * @param {string} accumPeriod - Accumulation period ('1H' or '24H')
+         * @param {string} accumPeriod - Accumulation period (see ACCUMULATION_PERIODS)
          * @returns {Promise<number>} Number of gauges loaded
          */
         loadMadisData: async function(date, hour, minute, lookBack, lookForward, accumPeriod) {
-            const madisUrl = buildMadisApiUrl(date, hour, minute, lookBack, lookForward, accumPeriod);
-            console.log('MADIS URL:', madisUrl);
+            await fetchAndParseMadisData({ date, hour, minute, lookBack, lookForward, accumPeriod }, map);
+
+            return window.madisData.length;
+        },
 
-            const proxyUrl = `/api/madisproxy?url=${encodeURIComponent(madisUrl)}`;
-            console.log('Proxy URL:', proxyUrl);
+        /**
+         * Fetches and processes one time-series frame without drawing it
+         *
+         * @param {string} date - Date in YYYYMMDD format
+         * @param {string} hour - Hour in HH format
+         * @param {string} accumPeriod - Accumulation period (see ACCUMULATION_PERIODS)
+         * @param {string} cacheKey - MRMS dataset cache key loaded for this frame
+         * @returns {Promise<Object>} Frame with madisData (raw gauges), gaugeData (processed) and reportPairs
+         */
+        buildGaugeFrame: async function(date, hour, accumPeriod, cacheKey) {
+            const madisData = await fetchAccumulatedGauges(date, hour, '00', 0, 0, accumPeriod);
+            const { gaugeData, reportPairs } = await processGaugeData(madisData, cacheKey, { date, hour, accumPeriod });
 
-            await fetchAndParseMadisData(proxyUrl, map);
+            return { madisData, gaugeData, reportPairs };
+        },
 
-            return window.madisData.length;
+        /**
+         * Samples an already fetched set of gauges against another MRMS dataset
+         *
+         * @param {Object} frame - Frame with madisData, date, hour and accumPeriod
+         * @param {string} cacheKey - MRMS dataset cache key to sample
+         * @returns {Promise<Object>} gaugeData (processed) and reportPairs
+         */
+        resampleGaugeFrame: async function(frame, cacheKey) {
+            const { date, hour, accumPeriod } = frame;
+            return processGaugeData(frame.madisData, cacheKey, { date, hour, accumPeriod });
+        },
+
+        /**
+         * Draws a previously built frame and makes it the active gauge data
+         *
+         * @param {Object} frame - Frame with cacheKey, product, date, hour, accumPeriod, madisData, gaugeData and reportPairs
+         */
+        showGaugeFrame: function(frame) {
+            activeCacheKey = frame.cacheKey;
+            activeValidTime = { product: frame.product, date: frame.date, hour: frame.hour };
+            activeGaugeLoad = { date: frame.date, hour: frame.hour, accumPeriod: frame.accumPeriod };
+            window.madisData = frame.madisData;
+            renderGaugeData(map, frame.madisData.length, frame.gaugeData, frame.reportPairs);
+        },
+
+        /**
+         * Sets the MRMS dataset cache key gauges are sampled against
+         *
+         * @param {string} cacheKey - MRMS dataset cache key
+         */
+        setCacheKey: function(cacheKey) {
+            activeCacheKey = cacheKey;
+        },
+
+        /**
+         * Records the product and valid time of the loaded MRMS dataset (used for gauge history)
+         *
+         * @param {string} product - QPE product name
+         * @param {string} date - Date in YYYYMMDD format
+         * @param {string} hour - Hour in HH format
+         */
+        setValidTime: function(product, date, hour) {
+            activeValidTime = { product, date, hour };
+        },
+
+        /**
+         * Gets the settings the current gauges were loaded and filtered with (for session export)
+         *
+         * @returns {Object} Cache key, product, date, hour, accumPeriod, sampling, hiddenProviders, qcRules and showZeroMrms
+         */
+        getSessionInfo: function() {
+            return {
+                cacheKey: activeCacheKey,
+                product: activeValidTime ? activeValidTime.product : null,
+                date: activeValidTime ? activeValidTime.date : null,
+                hour: activeValidTime ? activeValidTime.hour : null,
+                accumPeriod: activeGaugeLoad ? activeGaugeLoad.accumPeriod : null,
+                sampling: getSamplingSettings(),
+                hiddenProviders: [...hiddenProviders].sort(),
+                qcRules: [...getEnabledQcRules()],
+                showZeroMrms: document.getElementById('show-zero-mrms-toggle')?.checked || false
+            };
+        },
+
+        /**
+         * Shows only gauges from the given providers, redrawing without resampling MRMS
+         *
+         * @param {Array<string>} deselectedProviders - Providers to hide
+         */
+        setHiddenProviders: function(deselectedProviders) {
+            hiddenProviders.clear();
+            deselectedProviders.forEach(provider => hiddenProviders.add(provider));
+
+            renderGaugeData(map, window.madisData.length, processedGaugeData, processedReportPairs);
+        },
+
+        /**
+         * Restricts the plotted gauges, scatterplot and statistics to a region, redrawing without resampling MRMS
+         *
+         * @param {Function|null} filter - Predicate (gauge) => boolean, or null to show every region
+         */
+        setRegionFilter: function(filter) {
+            regionFilter = filter;
+
+            renderGaugeData(map, window.madisData.length, processedGaugeData, processedReportPairs);
+        },
+
+        /**
+         * Gets the gauges of the shown providers, ignoring the region restriction
+         *
+         * @returns {Array<Object>} Processed gauge data
+         */
+        getUnrestrictedGaugeData: function() {
+            return processedGaugeData.filter(d => !hiddenProviders.has(d.provider));
+        },
+
+        /**
+         * Gets every report of the shown providers and region paired with MRMS, dry gauges and dry MRMS cells included
+         *
+         * @returns {Array<Object>} Pairs with stationId, provider, lat, lon, x (gauge), y (MRMS) and qcFlags
+         */
+        getReportPairs: function() {
+            return processedReportPairs.filter(d => !hiddenProviders.has(d.provider) && (!regionFilter || regionFilter(d)));
+        },
+
+        /**
+         * Restyles gauge markers in place (e.g. after the exclusion list changes)
+         */
+        restyleMarkers: function() {
+            restyleGaugeMarkers();
+        },
+
+        /**
+         * Highlights the selected stations' markers
+         *
+         * @param {Set<string>} stationIds - Selected station IDs
+         */
+        setHighlightedStations: function(stationIds) {
+            highlightedStations = stationIds;
+            restyleGaugeMarkers();
         },
 
         /**
@@ -496,10 +1198,34 @@ export function initializeMadis(map) {
         },
 
         /**
-         * Replots gauges with current data (useful for bias mode toggle or filter changes)
+         * Registers a callback run after gauges are resampled with changed matching or QC settings
+         *
+         * @param {Function} listener - Callback receiving the resampled plotted gauges ({ cacheKey, gaugeData, reportPairs })
          */
-        replotGauges: function() {
-            plotGaugeData(map);
+        onResample: function(listener) {
+            resampleListeners.push(listener);
+        },
+
+        /**
+         * Replots gauges with current data (useful for filter changes or a new MRMS product)
+         *
+         * @returns {Promise<void>}
+         */
+        replotGauges: async function() {
+            await plotGaugeData(map);
+        },
+
+        /**
+         * Resamples the plotted gauges after the matching method or QC rules change,
+         * then lets other cached gauge sets (time-series frames, compared products) resample too
+         *
+         * @returns {Promise<void>}
+         */
+        resampleGauges: async function() {
+            const plotted = await plotGaugeData(map);
+            if (plotted) {
+                resampleListeners.forEach(listener => listener(plotted));
+            }
         }
     };
 }
@@ -32,7 +32,8 @@ export function createBasemapLayers() {
     for (const [name, config] of Object.entries(BASEMAPS)) {
         basemapLayers[name] = L.tileLayer(config.url, {
             attribution: config.attribution,
-            maxZoom: config.maxZoom
+            maxZoom: config.maxZoom,
+            crossOrigin: true  // Lets the report generator draw the tiles onto a canvas
         });
     }
 
@@ -155,6 +156,7 @@ export function getOverlayLabel(overlayType) {
 
 /**
  * Creates a tile layer for MRMS data
+ * The cache key is kept in the layer options so other views can tell which dataset it draws
  *
  * @param {string} cacheKey - Cache key for the tile layer
  * @param {number} opacity - Opacity of the tile layer (0-1)
@@ -163,6 +165,24 @@ export function getOverlayLabel(overlayType) {
 export function createDataTileLayer(cacheKey = 'default', opacity = 0.7) {
     const cacheBuster = Date.now();
     return L.tileLayer(`/api/tiles/{z}/{x}/{y}.png?dataset=${cacheKey}&_=${cacheBuster}`, {
+        maxZoom: 20,
+        opacity: opacity,
+        cacheKey: cacheKey
+    });
+}
+
+/**
+ * Creates a tile layer comparing two MRMS datasets (A - B or A / B on a diverging color ramp)
+ *
+ * @param {string} cacheKeyA - Cache key of dataset A
+ * @param {string} cacheKeyB - Cache key of dataset B
+ * @param {string} mode - 'difference' or 'ratio'
+ * @param {number} opacity - Opacity of the tile layer (0-1)
+ * @returns {Object} Leaflet tile layer
+ */
+export function createDifferenceTileLayer(cacheKeyA, cacheKeyB, mode = 'difference', opacity = 0.85) {
+    const cacheBuster = Date.now();
+    return L.tileLayer(`/api/tiles/{z}/{x}/{y}.png?dataset=${cacheKeyA}&compareDataset=${cacheKeyB}&mode=${mode}&_=${cacheBuster}`, {
         maxZoom: 20,
         opacity: opacity
     });
@@ -6,6 +6,7 @@
         constructor(map) {
             this.map = map;
             this.layer = null;
+            this.geojson = null;
             this.enabled = false;
             this.color = '#00FF00';
             this.weight = 1;
@@ -21,6 +22,7 @@
                 // Use US counties GeoJSON from a CDN
                 const response = await fetch('https://raw.githubusercontent.com/plotly/datasets/master/geojson-counties-fips.json');
                 const geojsonData = await response.json();
+                this.geojson = geojsonData;
 
                 this.layer = L.geoJSON(geojsonData, {
                     style: () => ({
@@ -83,6 +85,14 @@
         isEnabled() {
             return this.enabled;
         }
+
+        // Boundary features (also used for region statistics), loaded on first use
+        async getGeoJSON() {
+            if (!this.geojson) {
+                await this.load();
+            }
+            return this.geojson;
+        }
     }
 
     // Export to global scope
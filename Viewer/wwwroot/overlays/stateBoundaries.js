@@ -6,6 +6,7 @@
         constructor(map) {
             this.map = map;
             this.layer = null;
+            this.geojson = null;
             this.enabled = false;
             this.color = '#FFFFFF';
             this.weight = 2;
@@ -21,6 +22,7 @@
                 // Use US states GeoJSON from a CDN
                 const response = await fetch('https://raw.githubusercontent.com/PublicaMundi/MappingAPI/master/data/geojson/us-states.json');
                 const geojsonData = await response.json();
+                this.geojson = geojsonData;
 
                 this.layer = L.geoJSON(geojsonData, {
                     style: () => ({
@@ -83,6 +85,14 @@
         isEnabled() {
             return this.enabled;
         }
+
+        // Boundary features (also used for region statistics), loaded on first use
+        async getGeoJSON() {
+            if (!this.geojson) {
+                await this.load();
+            }
+            return this.geojson;
+        }
     }
 
     // Export to global scope
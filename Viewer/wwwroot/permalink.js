@@ -0,0 +1,313 @@
+/**
+ * Permalink Module
+ * Encodes the viewer state (product, valid time, gauge display settings, basemap, overlays,
+ * map view and excluded gauges) in the URL hash, and restores it from a link or session file
+ */
+
+import { PERMALINK } from './config.js';
+import { applyOverlaySettings, toggleOverlay } from './mapManager.js';
+import { updateSamplingRadiusVisibility, updateBiasColorbarVisibility } from './uiHandlers.js';
+
+/**
+ * Serializes a viewer state as URL hash parameters
+ * Only enabled overlays are written; the exclusion list is written as its name and station IDs
+ *
+ * @param {Object} state - Viewer state from the permalink controller's captureState
+ * @returns {string} Hash parameters (without the leading '#')
+ */
+export function encodeAppState(state) {
+    const params = new URLSearchParams();
+
+    if (state.product) params.set('p', state.product);
+    if (state.date) params.set('d', state.date);
+    if (state.hour) params.set('h', state.hour);
+    if (state.bias) params.set('bias', '1');
+    if (state.showZeroMrms) params.set('zero', '1');
+
+    if (state.sampling) {
+        params.set('sm', state.sampling.method);
+        params.set('sr', String(state.sampling.radius));
+    }
+
+    if (state.basemap) params.set('bm', state.basemap);
+
+    const overlays = Object.entries(state.overlays || {})
+        .filter(([, overlay]) => overlay.enabled)
+        .map(([type, overlay]) => [type, overlay.color.replace('#', ''), overlay.weight, overlay.opacity].join('_'));
+    if (overlays.length > 0) params.set('ov', overlays.join(','));
+
+    if (state.center && state.zoom !== undefined) {
+        const [lat, lng] = state.center.map(v => v.toFixed(PERMALINK.COORD_DIGITS));
+        params.set('map', `${lat},${lng},${state.zoom}`);
+    }
+
+    if (state.exclusions) {
+        params.set('xl', state.exclusions.name);
+        if (state.exclusions.stations.length > 0) {
+            params.set('x', state.exclusions.stations.join(','));
+        }
+    }
+
+    return params.toString();
+}
+
+/**
+ * Parses URL hash parameters written by encodeAppState
+ * Malformed values are dropped, so a partial link restores what it can
+ *
+ * @param {string} hash - URL hash, with or without the leading '#'
+ * @returns {Object|null} Viewer state, or null if the hash holds no state
+ */
+export function decodeAppState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if ([...params.keys()].length === 0) return null;
+
+    const state = {};
+
+    if (params.has('p')) state.product = params.get('p');
+    if (/^\d{8}$/.test(params.get('d'))) state.date = params.get('d');
+    if (/^([01]\d|2[0-3])$/.test(params.get('h'))) state.hour = params.get('h');
+    state.bias = params.get('bias') === '1';
+    state.showZeroMrms = params.get('zero') === '1';
+
+    if (params.has('sm')) {
+        const radius = parseInt(params.get('sr'), 10);
+        state.sampling = { method: params.get('sm'), radius: isNaN(radius) ? null : radius };
+    }
+
+    if (params.has('bm')) state.basemap = params.get('bm');
+
+    state.overlays = {};
+    (params.get('ov') || '').split(',').filter(Boolean).forEach(entry => {
+        const [type, color, weight, opacity] = entry.split('_');
+        if (!/^[0-9a-f]{6}$/i.test(color) || isNaN(weight) || isNaN(opacity)) return;
+        state.overlays[type] = { enabled: true, color: `#${color.toUpperCase()}`, weight: Number(weight), opacity: Number(opacity) };
+    });
+
+    const view = (params.get('map') || '').split(',').map(Number);
+    if (view.length === 3 && view.every(isFinite)) {
+        state.center = [view[0], view[1]];
+        state.zoom = view[2];
+    }
+
+    if (params.has('xl')) {
+        state.exclusions = {
+            name: params.get('xl'),
+            stations: (params.get('x') || '').split(',').filter(Boolean)
+        };
+    }
+
+    return state;
+}
+
+/**
+ * Initializes the permalink and returns its controller interface
+ *
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} basemaps - Object containing basemap layers keyed by name
+ * @param {Object} overlays - Object containing overlay instances
+ * @param {Object} overlaySettings - Object containing overlay settings (updated when restoring)
+ * @param {Object} exclusions - Exclusion list controller
+ * @returns {Object} Controller object for capturing, restoring and sharing the viewer state
+ */
+export function initializePermalink(map, basemaps, overlays, overlaySettings, exclusions) {
+    // Suppresses hash updates while a state is being applied
+    let restoring = false;
+
+    /**
+     * Sets a select's value if it has a matching option
+     *
+     * @param {string} id - Select element ID
+     * @param {string} value - Option value
+     * @returns {boolean} True if the value was set
+     */
+    function setSelectValue(id, value) {
+        const select = document.getElementById(id);
+        if (!select || ![...select.options].some(option => option.value === value)) return false;
+
+        select.value = value;
+        return true;
+    }
+
+    /**
+     * Sets a checkbox's checked state
+     *
+     * @param {string} id - Checkbox element ID
+     * @param {boolean} checked - Checked state
+     */
+    function setChecked(id, checked) {
+        const checkbox = document.getElementById(id);
+        if (checkbox) checkbox.checked = checked;
+    }
+
+    /**
+     * Makes a shared exclusion list active without overwriting a different local list of the same name
+     *
+     * @param {Object} list - Exclusion list with name and stations
+     */
+    function restoreExclusions(list) {
+        const stations = [...new Set(list.stations.map(String))].sort();
+
+        if (exclusions.getListNames().includes(list.name)) {
+            exclusions.setActiveList(list.name);
+            const local = JSON.parse(exclusions.exportActiveList('json')).stations;
+            if (local.join(',') === stations.join(',')) return;
+
+            exclusions.createList(`${list.name}${PERMALINK.SHARED_LIST_SUFFIX}`, stations);
+            return;
+        }
+
+        exclusions.createList(list.name, stations);
+    }
+
+    /**
+     * Applies overlay visibility and styling; overlays missing from the state are turned off
+     *
+     * @param {Object} states - Overlay states keyed by type
+     */
+    function restoreOverlays(states) {
+        for (const [type, overlay] of Object.entries(overlays)) {
+            const state = states[type];
+
+            if (state) {
+                overlaySettings[type] = { color: state.color, weight: state.weight, opacity: state.opacity };
+                applyOverlaySettings(overlay, overlaySettings[type]);
+            }
+
+            const enabled = Boolean(state && state.enabled);
+            if (overlay.isEnabled() !== enabled) {
+                toggleOverlay(overlay, enabled);
+            }
+        }
+
+        // Refresh the overlay controls for the type being edited
+        document.getElementById('overlay-type-select')?.dispatchEvent(new Event('change'));
+    }
+
+    return {
+        /**
+         * Reads the current viewer state from the controls, map and exclusion list
+         *
+         * @returns {Object} Viewer state
+         */
+        captureState: function() {
+            const overlayStates = {};
+            for (const [type, overlay] of Object.entries(overlays)) {
+                overlayStates[type] = { enabled: overlay.isEnabled(), ...overlaySettings[type] };
+            }
+
+            const center = map.getCenter();
+            const radius = parseInt(document.getElementById('sampling-radius-input')?.value, 10);
+
+            return {
+                product: document.getElementById('product-select')?.value,
+                date: (document.getElementById('date-input')?.value || '').replace(/-/g, ''),
+                hour: document.getElementById('hour-input')?.value,
+                bias: document.getElementById('bias-toggle')?.checked || false,
+                showZeroMrms: document.getElementById('show-zero-mrms-toggle')?.checked || false,
+                sampling: {
+                    method: document.getElementById('sampling-method-select')?.value,
+                    radius: isNaN(radius) ? null : radius
+                },
+                basemap: document.getElementById('basemap-select')?.value,
+                overlays: overlayStates,
+                center: [center.lat, center.lng],
+                zoom: map.getZoom(),
+                exclusions: JSON.parse(exclusions.exportActiveList('json'))
+            };
+        },
+
+        /**
+         * Applies a viewer state to the controls, map and exclusion list
+         * Does not load data; returns whether the state names a product and valid time to load
+         *
+         * @param {Object} state - Viewer state (from decodeAppState or a session file)
+         * @returns {boolean} True if the state can be replayed with a load
+         */
+        applyState: function(state) {
+            restoring = true;
+
+            try {
+                const hasProduct = state.product ? setSelectValue('product-select', state.product) : false;
+
+                const dateInput = document.getElementById('date-input');
+                if (state.date && dateInput) {
+                    dateInput.value = `${state.date.slice(0, 4)}-${state.date.slice(4, 6)}-${state.date.slice(6, 8)}`;
+                }
+                const hasHour = state.hour ? setSelectValue('hour-input', state.hour) : false;
+
+                setChecked('bias-toggle', Boolean(state.bias));
+                updateBiasColorbarVisibility();
+                setChecked('show-zero-mrms-toggle', Boolean(state.showZeroMrms));
+
+                if (state.sampling) {
+                    setSelectValue('sampling-method-select', state.sampling.method);
+                    const radiusInput = document.getElementById('sampling-radius-input');
+                    if (radiusInput && state.sampling.radius !== null && state.sampling.radius !== undefined) {
+                        radiusInput.value = state.sampling.radius;
+                    }
+                    updateSamplingRadiusVisibility();
+                }
+
+                if (state.basemap && basemaps[state.basemap] && setSelectValue('basemap-select', state.basemap)) {
+                    document.getElementById('basemap-select').dispatchEvent(new Event('change'));
+                }
+
+                if (state.overlays) {
+                    restoreOverlays(state.overlays);
+                }
+
+                if (state.center && state.zoom !== undefined) {
+                    map.setView(state.center, state.zoom);
+                }
+
+                if (state.exclusions) {
+                    restoreExclusions(state.exclusions);
+                }
+
+                // A shared link always replays a single-hour, single-product load
+                ['time-series-toggle', 'compare-toggle'].forEach(id => {
+                    const toggle = document.getElementById(id);
+                    if (toggle && toggle.checked) {
+                        toggle.checked = false;
+                        toggle.dispatchEvent(new Event('change'));
+                    }
+                });
+
+                return hasProduct && Boolean(state.date) && hasHour;
+            } finally {
+                restoring = false;
+            }
+        },
+
+        /**
+         * Applies the viewer state in the URL hash, if any
+         *
+         * @returns {boolean} True if the state can be replayed with a load
+         */
+        restoreFromHash: function() {
+            const state = decodeAppState(location.hash);
+            return state ? this.applyState(state) : false;
+        },
+
+        /**
+         * Writes the current viewer state to the URL hash without adding a history entry
+         */
+        updateHash: function() {
+            if (restoring) return;
+
+            const hash = encodeAppState(this.captureState());
+            history.replaceState(null, '', `${location.pathname}${location.search}#${hash}`);
+        },
+
+        /**
+         * Gets a link to the current viewer state
+         *
+         * @returns {string} Permalink URL
+         */
+        getLink: function() {
+            this.updateHash();
+            return location.href;
+        }
+    };
+}
@@ -0,0 +1,315 @@
+/**
+ * QPE Adjustment Module
+ * Previews a gauge-adjusted QPE: the loaded MRMS grid multiplied by the mean-field bias or by the
+ * interpolated local bias surface, drawn as a tile layer and scored against the gauges with
+ * leave-one-out cross-validation (each gauge is checked against an adjustment built without it)
+ */
+
+import { QPE_ADJUSTMENT } from './config.js';
+import { buildBiasSamples, createSampleIndex, interpolateLogBias, computeBiasSurface } from './biasSurface.js';
+import { createDataTileLayer, replaceDataLayer } from './mapManager.js';
+import { calculateComparisonStatistics, updateComparisonTable } from './statisticsCalculator.js';
+
+/**
+ * Calculates the mean-field bias (total gauge over total MRMS) of the bias samples
+ *
+ * @param {Array<Object>} samples - Samples from buildBiasSamples (with gauge and mrms amounts)
+ * @returns {number|null} Mean-field bias, or null without samples
+ */
+export function calculateMeanFieldBias(samples) {
+    const totalGauge = samples.reduce((sum, sample) => sum + sample.gauge, 0);
+    const totalMrms = samples.reduce((sum, sample) => sum + sample.mrms, 0);
+
+    return totalMrms > 0 ? totalGauge / totalMrms : null;
+}
+
+/**
+ * Adjusts each gauge's MRMS value with a bias estimated without that gauge
+ * Mean-field: totals without the gauge; local: the bias surface interpolated without the gauge
+ * (no adjustment where no other gauge is within the radius)
+ *
+ * @param {Array<Object>} pairs - Gauge/MRMS pairs with stationId, lat, lon, x (gauge) and y (MRMS)
+ * @param {Array<Object>} samples - Samples from buildBiasSamples
+ * @param {Object} options - Adjustment options with mode ('mean-field' or 'local'), method and radiusKm
+ * @returns {Array<Object>} Pairs with stationId, x (gauge) and y (cross-validated adjusted MRMS)
+ */
+export function crossValidateAdjustment(pairs, samples, options) {
+    if (options.mode === 'local') {
+        const index = createSampleIndex(samples, options.radiusKm);
+
+        return pairs.map(pair => {
+            const logBias = interpolateLogBias(index, pair.lat, pair.lon, options.method, pair.stationId);
+            return { stationId: pair.stationId, x: pair.x, y: logBias === null ? pair.y : pair.y * Math.exp(logBias) };
+        });
+    }
+
+    const samplesById = new Map(samples.map(sample => [sample.stationId, sample]));
+    const totalGauge = samples.reduce((sum, sample) => sum + sample.gauge, 0);
+    const totalMrms = samples.reduce((sum, sample) => sum + sample.mrms, 0);
+
+    return pairs.map(pair => {
+        const own = samplesById.get(pair.stationId);
+        const gauge = totalGauge - (own ? own.gauge : 0);
+        const mrms = totalMrms - (own ? own.mrms : 0);
+        return { stationId: pair.stationId, x: pair.x, y: mrms > 0 ? pair.y * gauge / mrms : pair.y };
+    });
+}
+
+/**
+ * Initializes the gauge-adjusted preview and returns its controller interface
+ *
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} dataLayerState - Object containing current dataLayer reference
+ * @param {Object} madisController - MADIS controller instance
+ * @param {Object} biasSurfaceController - Bias surface controller (interpolation method and radius)
+ * @returns {Object} Controller object for building, showing and clearing the preview
+ */
+export function initializeQpeAdjustment(map, dataLayerState, madisController, biasSurfaceController) {
+    const state = {
+        mode: QPE_ADJUSTMENT.DEFAULT_MODE,
+        preview: null,          // Source dataset, settings and server cache key of the adjusted grid
+        layer: null,
+        replacedLayer: null     // Unadjusted layer to restore when the preview is hidden
+    };
+
+    /**
+     * Gets the bias samples from the gauges currently included in the statistics
+     *
+     * @returns {Array<Object>} Samples from buildBiasSamples
+     */
+    function collectSamples() {
+        const scatterplot = window.scatterplotManager;
+        return buildBiasSamples(
+            window.fullGaugeData || [],
+            point => scatterplot ? scatterplot.isPointExcluded(point) : false
+        );
+    }
+
+    /**
+     * Gets the adjustment options: the selected mode plus the bias surface's method and radius
+     *
+     * @returns {Object} Options with mode, method and radiusKm
+     */
+    function getOptions() {
+        return { mode: state.mode, ...biasSurfaceController.getOptions() };
+    }
+
+    /**
+     * Checks whether the adjusted layer is the data layer on the map
+     *
+     * @returns {boolean} True when shown
+     */
+    function isShown() {
+        return state.layer !== null && dataLayerState.current === state.layer;
+    }
+
+    /**
+     * Updates the preview controls and summary line
+     */
+    function updatePanel() {
+        const showToggle = document.getElementById('adjustment-show-toggle');
+        if (showToggle) {
+            showToggle.disabled = state.preview === null;
+            showToggle.checked = isShown();
+        }
+
+        const summary = document.getElementById('adjustment-summary');
+        if (summary) {
+            if (!state.preview) {
+                summary.textContent = '';
+            } else if (state.preview.mode === 'local') {
+                summary.textContent = `Local bias from ${state.preview.sampleCount} gauges (${state.preview.method}, ${state.preview.radiusKm} km)`;
+            } else {
+                summary.textContent = `Mean-field bias ${state.preview.meanFieldBias.toFixed(3)} from ${state.preview.sampleCount} gauges`;
+            }
+        }
+    }
+
+    /**
+     * Scores the unadjusted and cross-validated adjusted MRMS over the gauges in the statistics
+     */
+    function evaluate() {
+        if (!window.scatterplotManager) return;
+
+        const locations = new Map((window.fullGaugeData || []).map(gauge => [gauge.stationId, gauge]));
+        const pairs = window.scatterplotManager.getIncludedData()
+            .filter(point => locations.has(point.stationId))
+            .map(point => {
+                const { lat, lon } = locations.get(point.stationId);
+                return { stationId: point.stationId, lat, lon, x: point.x, y: point.y };
+            });
+
+        const adjusted = crossValidateAdjustment(pairs, collectSamples(), getOptions());
+        updateComparisonTable(calculateComparisonStatistics([
+            { label: 'MRMS', points: pairs },
+            { label: 'Adjusted (LOO)', points: adjusted }
+        ]), 'adjustment-stats-table');
+    }
+
+    /**
+     * Checks whether the gauges now come from a different dataset than the preview
+     *
+     * @returns {boolean} True if the preview no longer matches the loaded data
+     */
+    function isStale() {
+        if (!state.preview) return false;
+
+        const info = madisController.getSessionInfo();
+        const source = state.preview.source;
+        return info.cacheKey !== source.cacheKey || info.product !== source.product ||
+            info.date !== source.date || info.hour !== source.hour;
+    }
+
+    /**
+     * Shows or hides the adjusted layer in place of the unadjusted one
+     *
+     * @param {boolean} show - True to show the adjusted layer
+     */
+    function showAdjusted(show) {
+        if (show && state.layer && !isShown()) {
+            state.replacedLayer = dataLayerState.current;
+            dataLayerState.current = replaceDataLayer(map, dataLayerState.current, state.layer);
+        } else if (!show && isShown()) {
+            if (state.replacedLayer) {
+                dataLayerState.current = replaceDataLayer(map, state.layer, state.replacedLayer);
+            } else {
+                map.removeLayer(state.layer);
+                dataLayerState.current = null;
+            }
+            state.replacedLayer = null;
+        }
+
+        updatePanel();
+    }
+
+    /**
+     * Frees an adjusted dataset on the server
+     *
+     * @param {string} cacheKey - Cache key returned by /api/tiles/adjust
+     * @returns {Promise<void>}
+     */
+    async function freeAdjustedDataset(cacheKey) {
+        await fetch(`/api/tiles/cache?cacheKey=${encodeURIComponent(cacheKey)}`, { method: 'DELETE' })
+            .catch(error => console.error('Error clearing adjusted dataset:', error));
+    }
+
+    /**
+     * Removes the preview and frees the adjusted server dataset
+     */
+    async function clear() {
+        const previous = state.preview;
+
+        showAdjusted(false);
+        state.preview = null;
+        state.layer = null;
+        state.replacedLayer = null;
+        updatePanel();
+        updateComparisonTable([], 'adjustment-stats-table');
+
+        if (previous) {
+            await freeAdjustedDataset(previous.cacheKey);
+        }
+    }
+
+    // Follow the gauges in the statistics; a new load or time-series frame invalidates the grid
+    if (window.scatterplotManager) {
+        window.scatterplotManager.addStatisticsListener(() => {
+            if (!state.preview) return;
+
+            if (isStale()) {
+                clear();
+                return;
+            }
+
+            evaluate();
+            updatePanel();
+        });
+    }
+
+    return {
+        /**
+         * Builds the adjusted grid from the included gauges, shows it on the map and scores it
+         *
+         * @returns {Promise<void>}
+         */
+        preview: async function() {
+            const info = madisController.getSessionInfo();
+            if (!info.product || !window.fullGaugeData || window.fullGaugeData.length === 0) {
+                throw new Error('Load a product with gauges first');
+            }
+
+            const options = getOptions();
+            const samples = collectSamples();
+            const request = { sourceCacheKey: info.cacheKey };
+            const preview = {
+                source: { cacheKey: info.cacheKey, product: info.product, date: info.date, hour: info.hour },
+                ...options,
+                sampleCount: samples.length
+            };
+
+            if (options.mode === 'local') {
+                const surface = computeBiasSurface(samples, options);
+                if (!surface) {
+                    throw new Error('Not enough included gauges with measurable gauge and MRMS amounts');
+                }
+
+                request.field = {
+                    west: surface.west,
+                    north: surface.north,
+                    cellDeg: surface.cellDeg,
+                    cols: surface.cols,
+                    rows: surface.rows,
+                    logBias: Array.from(surface.values, value => isNaN(value) ? null : Number(value.toFixed(4)))
+                };
+            } else {
+                const meanFieldBias = calculateMeanFieldBias(samples);
+                if (meanFieldBias === null) {
+                    throw new Error('No included gauges with measurable gauge and MRMS amounts');
+                }
+
+                request.meanFieldBias = meanFieldBias;
+                preview.meanFieldBias = meanFieldBias;
+            }
+
+            const response = await fetch('/api/tiles/adjust', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`Server returned ${response.status}: ${errorText}`);
+            }
+
+            // The server names the adjusted dataset after its source
+            const { cacheKey } = await response.json();
+            preview.cacheKey = cacheKey;
+
+            // Restore the unadjusted layer before swapping in the new grid
+            showAdjusted(false);
+
+            if (state.preview && state.preview.cacheKey !== cacheKey) {
+                await freeAdjustedDataset(state.preview.cacheKey);
+            }
+
+            state.preview = preview;
+            state.layer = createDataTileLayer(cacheKey);
+            showAdjusted(true);
+            evaluate();
+        },
+
+        /**
+         * Sets the adjustment mode and rescores the cross-validation (the map keeps the last preview)
+         *
+         * @param {string} mode - 'mean-field' or 'local'
+         */
+        setMode: function(mode) {
+            state.mode = mode;
+            if (state.preview) evaluate();
+        },
+
+        showAdjusted,
+        clear
+    };
+}
@@ -0,0 +1,143 @@
+/**
+ * Quality Control Module
+ * Flags suspect gauges before they reach the statistics: MADIS QC descriptors,
+ * buddy check against neighbors, physical max-rate and stuck/repeating reporters
+ */
+
+import { QC_RULES, QC_SETTINGS, UNIT_CONVERSION } from './config.js';
+import { createNeighborIndex, findNeighbors } from './geoNeighbors.js';
+
+/**
+ * Calculates the median of a list of numbers
+ *
+ * @param {Array<number>} values - Values (not modified)
+ * @returns {number} Median value
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Checks the MADIS data quality descriptor of a gauge
+ *
+ * @param {Object} gauge - Gauge object with qcDescriptor
+ * @returns {string|null} Flag reason, or null if the gauge passes
+ */
+function checkMadisQc(gauge) {
+    return QC_SETTINGS.MADIS_FAILED_DESCRIPTORS.includes(gauge.qcDescriptor)
+        ? `MADIS QC descriptor ${gauge.qcDescriptor}`
+        : null;
+}
+
+/**
+ * Checks that the average rate over the accumulation period is physically plausible
+ *
+ * @param {number} valueIn - Gauge value in inches
+ * @param {number} periodHours - Accumulation period in hours
+ * @returns {string|null} Flag reason, or null if the gauge passes
+ */
+function checkMaxRate(valueIn, periodHours) {
+    const rate = valueIn / periodHours;
+    return rate > QC_SETTINGS.MAX_RATE_IN_PER_HOUR
+        ? `Max rate: ${rate.toFixed(2)} in/h exceeds ${QC_SETTINGS.MAX_RATE_IN_PER_HOUR} in/h`
+        : null;
+}
+
+/**
+ * Checks for a reporter repeating the same non-trivial hourly value
+ *
+ * @param {string} stationId - Station ID
+ * @param {Array<Map<string, number>>} hourlyReports - Hourly values in mm per station, one map per hour
+ * @returns {string|null} Flag reason, or null if the gauge passes
+ */
+function checkStuckReporter(stationId, hourlyReports) {
+    const values = hourlyReports.map(reports => reports.get(stationId));
+    if (values.some(v => v === undefined)) return null;
+
+    const valueIn = values[0] * UNIT_CONVERSION.MM_TO_INCHES;
+    const repeated = values.every(v => v === values[0]);
+
+    return repeated && valueIn >= QC_SETTINGS.STUCK_MIN_VALUE_IN
+        ? `Stuck: ${valueIn.toFixed(2)} in repeated for ${values.length} h`
+        : null;
+}
+
+/**
+ * Compares a gauge with the median of its neighbors within the buddy radius
+ *
+ * @param {Object} gauge - Gauge object with stationId, lat, lon, value (mm)
+ * @param {Object} neighborIndex - Gauges indexed by createNeighborIndex with the buddy radius
+ * @returns {string|null} Flag reason, or null if the gauge passes or has too few neighbors
+ */
+function checkBuddies(gauge, neighborIndex) {
+    const buddies = findNeighbors(neighborIndex, gauge.lat, gauge.lon, other => other.stationId === gauge.stationId)
+        .map(({ point }) => point.value * UNIT_CONVERSION.MM_TO_INCHES);
+
+    if (buddies.length < QC_SETTINGS.BUDDY_MIN_NEIGHBORS) return null;
+
+    const valueIn = gauge.value * UNIT_CONVERSION.MM_TO_INCHES;
+    const neighborMedian = median(buddies);
+    const offset = QC_SETTINGS.BUDDY_RATIO_OFFSET_IN;
+    const ratio = (valueIn + offset) / (neighborMedian + offset);
+
+    const disagrees = Math.abs(valueIn - neighborMedian) > QC_SETTINGS.BUDDY_MAX_DIFF_IN &&
+        (ratio > QC_SETTINGS.BUDDY_MAX_RATIO || ratio < 1 / QC_SETTINGS.BUDDY_MAX_RATIO);
+
+    return disagrees
+        ? `Buddy check: ${valueIn.toFixed(2)} in vs neighbor median ${neighborMedian.toFixed(2)} in (${buddies.length} neighbors)`
+        : null;
+}
+
+/**
+ * Runs the enabled QC rules over a set of gauges
+ * Zero reports are kept in the input so the buddy check can see dry neighbors
+ *
+ * @param {Array<Object>} gauges - Parsed gauge objects with values in mm
+ * @param {Set<string>} enabledRules - Enabled rule IDs (see QC_RULES)
+ * @param {Object} context - Rule inputs: periodHours, and hourlyReports (Array of Maps, most recent first) or null
+ * @returns {Map<string, Array<string>>} Flag reasons per station ID (flagged stations only)
+ */
+export function runQualityControl(gauges, enabledRules, context) {
+    const flags = new Map();
+    const addFlag = (stationId, reason) => {
+        if (!reason) return;
+        if (!flags.has(stationId)) flags.set(stationId, []);
+        flags.get(stationId).push(reason);
+    };
+
+    // One report per station, with usable coordinates and value
+    const seen = new Set();
+    const stations = gauges.filter(g => {
+        if (seen.has(g.stationId) || !isFinite(g.lat) || !isFinite(g.lon) || !isFinite(g.value)) return false;
+        seen.add(g.stationId);
+        return true;
+    });
+
+    const neighborIndex = enabledRules.has(QC_RULES.BUDDY_CHECK)
+        ? createNeighborIndex(stations, QC_SETTINGS.BUDDY_RADIUS_KM)
+        : null;
+
+    for (const gauge of stations) {
+        const valueIn = gauge.value * UNIT_CONVERSION.MM_TO_INCHES;
+
+        if (enabledRules.has(QC_RULES.MADIS_QC)) {
+            addFlag(gauge.stationId, checkMadisQc(gauge));
+        }
+
+        if (enabledRules.has(QC_RULES.MAX_RATE)) {
+            addFlag(gauge.stationId, checkMaxRate(valueIn, gauge.hoursExpected ?? context.periodHours));
+        }
+
+        if (enabledRules.has(QC_RULES.STUCK_REPORTER) && context.hourlyReports) {
+            addFlag(gauge.stationId, checkStuckReporter(gauge.stationId, context.hourlyReports));
+        }
+
+        if (neighborIndex) {
+            addFlag(gauge.stationId, checkBuddies(gauge, neighborIndex));
+        }
+    }
+
+    return flags;
+}
@@ -0,0 +1,431 @@
+/**
+ * Region Statistics Module
+ * Restricts the gauges, scatterplot and statistics to one state, county or uploaded GeoJSON polygon
+ * (e.g. an RFC area or river basin), and fills a By Region table with statistics for every region
+ */
+
+import { REGIONS } from './config.js';
+import { pointInPolygon } from './selection.js';
+import {
+    calculateRegionStatistics,
+    sortStatisticsRows,
+    updateRegionStatisticsTable
+} from './statisticsCalculator.js';
+
+/**
+ * Gets the polygons of a GeoJSON geometry (other geometry types have none)
+ *
+ * @param {Object|null} geometry - GeoJSON geometry
+ * @returns {Array<Array<Array<Array<number>>>>} Polygons, each an outer ring followed by its holes as [lon, lat] vertices
+ */
+function getPolygons(geometry) {
+    if (!geometry) return [];
+
+    switch (geometry.type) {
+        case 'Polygon':
+            return [geometry.coordinates];
+        case 'MultiPolygon':
+            return geometry.coordinates;
+        case 'GeometryCollection':
+            return (geometry.geometries || []).flatMap(getPolygons);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Gets a region name from the first of REGIONS.NAME_PROPERTIES a feature has
+ * Falls back to the feature ID, then to its position in the file
+ *
+ * @param {Object} feature - GeoJSON feature
+ * @param {number} index - Feature index
+ * @returns {string} Region name
+ */
+export function getRegionName(feature, index) {
+    const properties = feature.properties || {};
+
+    for (const key of REGIONS.NAME_PROPERTIES) {
+        const value = properties[key];
+        if (value !== undefined && value !== null && value !== '') {
+            return String(value);
+        }
+    }
+
+    return feature.id !== undefined && feature.id !== null ? String(feature.id) : `Region ${index + 1}`;
+}
+
+/**
+ * Builds regions from the polygon features of a GeoJSON FeatureCollection, Feature or geometry
+ * Features without polygons (points, lines) are skipped
+ *
+ * @param {Object} geojson - Parsed GeoJSON
+ * @param {Function} nameOf - Function (feature, index) => region name
+ * @returns {Array<Object>} Regions with id, name, feature, polygons and bounds (west, south, east, north)
+ */
+export function parseRegions(geojson, nameOf = getRegionName) {
+    if (!geojson || typeof geojson !== 'object') {
+        throw new Error('Not a GeoJSON object');
+    }
+
+    let features;
+    if (geojson.type === 'FeatureCollection') {
+        features = geojson.features || [];
+    } else if (geojson.type === 'Feature') {
+        features = [geojson];
+    } else {
+        features = [{ type: 'Feature', properties: {}, geometry: geojson }];
+    }
+
+    const regions = [];
+    features.forEach((feature, index) => {
+        const polygons = getPolygons(feature && feature.geometry);
+        if (polygons.length === 0) return;
+
+        const bounds = { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity };
+        for (const [outer] of polygons) {
+            for (const [lon, lat] of outer) {
+                bounds.west = Math.min(bounds.west, lon);
+                bounds.east = Math.max(bounds.east, lon);
+                bounds.south = Math.min(bounds.south, lat);
+                bounds.north = Math.max(bounds.north, lat);
+            }
+        }
+
+        regions.push({ id: String(index), name: nameOf(feature, index), feature, polygons, bounds });
+    });
+
+    return regions;
+}
+
+/**
+ * Tests whether a point lies inside a region (inside an outer ring and outside its holes)
+ *
+ * @param {Object} region - Region from parseRegions
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @returns {boolean} True if the point is inside
+ */
+export function regionContains(region, lon, lat) {
+    const { west, south, east, north } = region.bounds;
+    if (lon < west || lon > east || lat < south || lat > north) return false;
+
+    return region.polygons.some(([outer, ...holes]) =>
+        pointInPolygon(lon, lat, outer) && !holes.some(hole => pointInPolygon(lon, lat, hole))
+    );
+}
+
+/**
+ * Finds every region containing a point (uploaded regions such as nested basins may overlap)
+ *
+ * @param {Array<Object>} regions - Regions from parseRegions
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @returns {Array<string>} IDs of the containing regions
+ */
+export function findRegions(regions, lon, lat) {
+    return regions.filter(region => regionContains(region, lon, lat)).map(region => region.id);
+}
+
+/**
+ * Initializes region statistics and returns its controller interface
+ *
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} madisController - MADIS controller instance
+ * @param {Object} overlays - Overlay instances from initializeOverlays (state and county boundaries)
+ * @returns {Object} Controller object for choosing region sets and restricting to a region
+ */
+export function initializeRegions(map, madisController, overlays) {
+    const state = {
+        set: null,              // 'states', 'counties', 'custom' or null
+        regions: [],
+        regionsOf: new Map(),   // Containing region IDs per station ID, filled as gauges arrive
+        active: null,           // Region ID the gauges are restricted to
+        layer: null,
+        layersById: new Map(),
+        custom: null,           // Regions parsed from the uploaded GeoJSON
+        sort: { ...REGIONS.DEFAULT_SORT },
+        loadId: 0
+    };
+
+    /**
+     * Gets the regions containing a gauge, caching them by station ID
+     *
+     * @param {Object} gauge - Processed gauge with stationId, lat and lon
+     * @returns {Array<string>} Containing region IDs
+     */
+    function getGaugeRegions(gauge) {
+        if (!state.regionsOf.has(gauge.stationId)) {
+            state.regionsOf.set(gauge.stationId, findRegions(state.regions, gauge.lon, gauge.lat));
+        }
+        return state.regionsOf.get(gauge.stationId);
+    }
+
+    /**
+     * Loads the regions of a region set
+     * County names include the state, looked up from the state boundaries by FIPS code
+     *
+     * @param {string} set - 'states', 'counties' or 'custom'
+     * @returns {Promise<Array<Object>>} Regions from parseRegions
+     */
+    async function loadRegions(set) {
+        if (set === 'custom') {
+            return state.custom || [];
+        }
+
+        if (set === 'states') {
+            const states = await overlays.states.getGeoJSON();
+            if (!states) throw new Error('Could not load state boundaries');
+            return parseRegions(states, (feature, index) => feature.properties.name || getRegionName(feature, index));
+        }
+
+        const [counties, states] = await Promise.all([overlays.counties.getGeoJSON(), overlays.states.getGeoJSON()]);
+        if (!counties) throw new Error('Could not load county boundaries');
+
+        const stateNames = new Map((states ? states.features : []).map(feature => [String(feature.id), feature.properties.name]));
+        return parseRegions(counties, (feature) => {
+            const { NAME, LSAD, STATE } = feature.properties;
+            const county = [NAME, LSAD].filter(Boolean).join(' ');
+            return stateNames.has(STATE) ? `${county}, ${stateNames.get(STATE)}` : county;
+        });
+    }
+
+    /**
+     * Styles a region's outline (highlighted while it is the active region)
+     *
+     * @param {string|null} regionId - Region ID
+     */
+    function styleRegion(regionId) {
+        const layer = state.layersById.get(regionId);
+        if (layer) {
+            layer.setStyle(regionId === state.active ? { ...REGIONS.OUTLINE_STYLE, ...REGIONS.ACTIVE_STYLE } : REGIONS.OUTLINE_STYLE);
+        }
+    }
+
+    /**
+     * Removes the region outlines from the map
+     */
+    function removeRegionLayer() {
+        if (state.layer) {
+            map.removeLayer(state.layer);
+        }
+        state.layer = null;
+        state.layersById.clear();
+    }
+
+    /**
+     * Draws the region outlines; clicking one restricts the gauges to it (clicking it again shows all)
+     * The outlines sit behind the gauge markers so gauge popups keep working
+     */
+    function drawRegions() {
+        removeRegionLayer();
+
+        const regionByFeature = new Map(state.regions.map(region => [region.feature, region]));
+
+        state.layer = L.geoJSON(
+            { type: 'FeatureCollection', features: state.regions.map(region => region.feature) },
+            {
+                style: () => REGIONS.OUTLINE_STYLE,
+                onEachFeature: (feature, layer) => {
+                    const region = regionByFeature.get(feature);
+                    state.layersById.set(region.id, layer);
+
+                    layer.bindTooltip(region.name, { sticky: true });
+                    layer.on('mouseover', () => {
+                        if (region.id !== state.active) layer.setStyle(REGIONS.HOVER_STYLE);
+                    });
+                    layer.on('mouseout', () => styleRegion(region.id));
+                    layer.on('click', () => selectRegion(region.id === state.active ? null : region.id));
+                }
+            }
+        ).addTo(map);
+
+        state.layer.bringToBack();
+    }
+
+    /**
+     * Updates the active region label and the Show all button
+     */
+    function updatePanel() {
+        const active = state.regions.find(region => region.id === state.active);
+
+        const label = document.getElementById('region-active-label');
+        if (label) {
+            if (active) {
+                label.textContent = active.name;
+            } else {
+                label.textContent = state.set ? 'All regions (click one on the map or in the table)' : 'All gauges';
+            }
+        }
+
+        const clearBtn = document.getElementById('region-clear-btn');
+        if (clearBtn) {
+            clearBtn.disabled = !active;
+        }
+
+        const select = document.getElementById('region-set-select');
+        if (select) {
+            select.value = state.set || '';
+        }
+    }
+
+    /**
+     * Fills the By Region table from every gauge of the shown providers (not only the active region
+     * or the map view), leaving out excluded and QC-excluded gauges as the statistics do
+     */
+    function updateTable() {
+        if (!state.set) {
+            updateRegionStatisticsTable([], null, state.sort);
+            return;
+        }
+
+        const scatterplot = window.scatterplotManager;
+        const points = madisController.getUnrestrictedGaugeData()
+            .filter(d => d.displayValue > 0)
+            .map(d => {
+                getGaugeRegions(d);
+                return {
+                    stationId: d.stationId,
+                    x: d.displayValue,
+                    y: d.mrmsValue !== null && d.mrmsValue !== undefined ? d.mrmsValue : 0,
+                    qcFlagged: d.qcFlags && d.qcFlags.length > 0
+                };
+            })
+            .filter(point => !scatterplot || !scatterplot.isPointExcluded(point));
+
+        const rows = calculateRegionStatistics(points, state.regionsOf, state.regions);
+        updateRegionStatisticsTable(sortStatisticsRows(rows, state.sort.key, state.sort.descending), state.active, state.sort);
+    }
+
+    /**
+     * Restricts the gauges, scatterplot and statistics to a region
+     *
+     * @param {string|null} regionId - Region ID, or null for all gauges
+     */
+    function selectRegion(regionId) {
+        const previous = state.active;
+        state.active = regionId;
+        styleRegion(previous);
+        styleRegion(regionId);
+
+        madisController.setRegionFilter(regionId === null ? null : (gauge) => getGaugeRegions(gauge).includes(regionId));
+
+        updatePanel();
+        updateTable();
+    }
+
+    /**
+     * Switches the region set, clearing any restriction to a region of the previous set
+     *
+     * @param {string|null} set - 'states', 'counties', 'custom' or null for none
+     * @returns {Promise<void>}
+     */
+    async function setRegionSet(set) {
+        const loadId = ++state.loadId;
+
+        if (state.active !== null) {
+            selectRegion(null);
+        }
+        removeRegionLayer();
+
+        state.set = set || null;
+        state.regions = [];
+        state.regionsOf.clear();
+        updatePanel();
+
+        if (!state.set) {
+            updateTable();
+            return;
+        }
+
+        const regions = await loadRegions(state.set);
+
+        // A later choice replaced this one while the boundaries were loading
+        if (loadId !== state.loadId) return;
+
+        state.regions = regions;
+        drawRegions();
+        updatePanel();
+        updateTable();
+    }
+
+    // Gauge loads, exclusions and QC changes all recompute the statistics; keep the table in step
+    if (window.scatterplotManager) {
+        window.scatterplotManager.addStatisticsListener(() => {
+            if (state.set) updateTable();
+        });
+    }
+
+    return {
+        setRegionSet,
+        selectRegion,
+
+        /**
+         * Parses an uploaded GeoJSON file and shows its polygons as the region set
+         *
+         * @param {string} text - File contents
+         * @returns {Promise<number>} Number of regions loaded
+         */
+        loadCustomRegions: async function(text) {
+            let geojson;
+            try {
+                geojson = JSON.parse(text);
+            } catch (error) {
+                throw new Error('File is not valid JSON');
+            }
+
+            const regions = parseRegions(geojson);
+            if (regions.length === 0) {
+                throw new Error('No Polygon or MultiPolygon features found');
+            }
+
+            state.custom = regions;
+            await setRegionSet('custom');
+            return regions.length;
+        },
+
+        /**
+         * Restricts the gauges to a region and zooms the map to it
+         *
+         * @param {string} regionId - Region ID
+         */
+        zoomToRegion: function(regionId) {
+            const region = state.regions.find(r => r.id === regionId);
+            if (!region) return;
+
+            selectRegion(regionId);
+            const { west, south, east, north } = region.bounds;
+            map.fitBounds([[south, west], [north, east]]);
+        },
+
+        /**
+         * Sorts the By Region table by a column; choosing the sorted column again reverses the order
+         *
+         * @param {string} key - Column key ('name', 'count', 'meanBias', 'mae', 'rmse' or 'cc')
+         */
+        setSort: function(key) {
+            state.sort = state.sort.key === key
+                ? { key, descending: !state.sort.descending }
+                : { key, descending: key !== 'name' };
+            updateTable();
+        },
+
+        /**
+         * Gets the region the gauges are restricted to
+         *
+         * @returns {Object|null} Region set, ID and name, or null when no region is selected
+         */
+        getActiveRegion: function() {
+            const region = state.regions.find(r => r.id === state.active);
+            return region ? { set: state.set, id: region.id, name: region.name } : null;
+        },
+
+        /**
+         * Checks whether a GeoJSON file has been uploaded
+         *
+         * @returns {boolean} True when custom regions are available
+         */
+        hasCustomRegions: function() {
+            return state.custom !== null;
+        }
+    };
+}
@@ -0,0 +1,402 @@
+/**
+ * Report Generator Module
+ * Composes a one-page event summary (header, map with MRMS tiles, gauge markers and colorbars,
+ * scatterplot and statistics) on a canvas, and saves it as PNG or as a single-page PDF
+ */
+
+import { REPORT } from './config.js';
+
+/**
+ * Loads an image from a URL
+ *
+ * @param {string} url - Image URL (object or data URL)
+ * @returns {Promise<HTMLImageElement>} Loaded image
+ */
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not render map layer'));
+        image.src = url;
+    });
+}
+
+/**
+ * Draws an SVG element (Leaflet's vector renderer) onto a canvas
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {SVGElement} svg - SVG element
+ * @param {DOMRect} rect - Element's rectangle relative to the drawing origin
+ */
+async function drawSvgElement(ctx, svg, rect) {
+    const markup = new XMLSerializer().serializeToString(svg);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+
+    try {
+        ctx.drawImage(await loadImage(url), rect.x, rect.y, rect.width, rect.height);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Gets an element's rectangle relative to a container
+ *
+ * @param {Element} element - Element
+ * @param {DOMRect} origin - Container rectangle
+ * @returns {Object} Rectangle with x, y, width and height
+ */
+function relativeRect(element, origin) {
+    const rect = element.getBoundingClientRect();
+    return { x: rect.left - origin.left, y: rect.top - origin.top, width: rect.width, height: rect.height };
+}
+
+/**
+ * Gets a layer's CSS clip rectangle (set by the swipe view) relative to a container
+ *
+ * @param {HTMLElement} layer - Leaflet layer container
+ * @param {DOMRect} origin - Container rectangle
+ * @returns {Object|null} Rectangle with x, y, width and height, or null if the layer is not clipped
+ */
+function layerClipRect(layer, origin) {
+    const match = layer.style.clip.match(/rect\(([-\d.]+)px,? ([-\d.]+)px,? ([-\d.]+)px,? ([-\d.]+)px\)/);
+    if (!match) return null;
+
+    const [top, right, bottom, left] = match.slice(1).map(Number);
+    const box = layer.getBoundingClientRect();
+    return { x: box.left - origin.left + left, y: box.top - origin.top + top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Draws an on-screen colorbar (title, color swatches and labels) at its position over the map
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {HTMLElement} element - Colorbar element (#colorbar, #bias-colorbar or #difference-colorbar)
+ * @param {DOMRect} origin - Map container rectangle
+ */
+function drawColorbar(ctx, element, origin) {
+    const box = relativeRect(element, origin);
+
+    ctx.fillStyle = getComputedStyle(element).backgroundColor;
+    ctx.fillRect(box.x, box.y, box.width, box.height);
+
+    element.querySelectorAll('.colorbar-color').forEach(swatch => {
+        const rect = relativeRect(swatch, origin);
+        ctx.fillStyle = getComputedStyle(swatch).backgroundColor;
+        ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+    });
+
+    ctx.textBaseline = 'middle';
+    element.querySelectorAll('h3, .colorbar-label').forEach(label => {
+        const rect = relativeRect(label, origin);
+        const style = getComputedStyle(label);
+        ctx.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+        ctx.fillStyle = style.color;
+        ctx.textAlign = style.textAlign === 'center' ? 'center' : 'left';
+        ctx.fillText(label.textContent.trim(), style.textAlign === 'center' ? rect.x + rect.width / 2 : rect.x, rect.y + rect.height / 2);
+    });
+    ctx.textAlign = 'left';
+}
+
+/**
+ * Renders the map container as shown on screen: tile layers at their opacity, the bias surface,
+ * vector layers (gauge markers, overlays, selection polygon) and the visible colorbars
+ * Basemap tiles must be loaded with CORS enabled, otherwise the canvas cannot be exported
+ *
+ * @param {HTMLElement} container - Map container element (#map-container)
+ * @returns {Promise<HTMLCanvasElement>} Canvas the size of the container
+ */
+async function renderMapCanvas(container) {
+    const origin = container.getBoundingClientRect();
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(origin.width);
+    canvas.height = Math.round(origin.height);
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = REPORT.MAP_BACKGROUND;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Document order matches the pane stacking order (tiles below vectors)
+    const layers = container.querySelectorAll(
+        '.leaflet-tile-pane img.leaflet-tile-loaded, .leaflet-overlay-pane img, .leaflet-overlay-pane svg, .leaflet-overlay-pane canvas'
+    );
+
+    for (const element of layers) {
+        const rect = relativeRect(element, origin);
+        const layer = element.closest('.leaflet-layer, .leaflet-image-layer');
+        ctx.globalAlpha = layer ? parseFloat(getComputedStyle(layer).opacity) : 1;
+
+        const clip = layer ? layerClipRect(layer, origin) : null;
+        if (clip) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(clip.x, clip.y, clip.width, clip.height);
+            ctx.clip();
+        }
+
+        if (element.tagName.toLowerCase() === 'svg') {
+            await drawSvgElement(ctx, element, rect);
+        } else {
+            ctx.drawImage(element, rect.x, rect.y, rect.width, rect.height);
+        }
+
+        if (clip) {
+            ctx.restore();
+        }
+    }
+    ctx.globalAlpha = 1;
+
+    ['colorbar', 'bias-colorbar', 'difference-colorbar'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element && getComputedStyle(element).display !== 'none') {
+            drawColorbar(ctx, element, origin);
+        }
+    });
+
+    return canvas;
+}
+
+/**
+ * Reads the visible summary lines of the statistics panel
+ *
+ * @returns {Array<string>} Lines such as 'MAE: 0.123 in'
+ */
+function getStatisticsLines() {
+    return [...document.querySelectorAll('#statistics-panel .statistics-content > div')]
+        .filter(row => getComputedStyle(row).display !== 'none')
+        .map(row => row.textContent.replace(/\s+/g, ' ').trim());
+}
+
+/**
+ * Reads a statistics table's header and body cells
+ *
+ * @param {string} id - Table element ID
+ * @returns {Array<Array<string>>} Rows of cell text (header first)
+ */
+function getTableRows(id) {
+    const table = document.getElementById(id);
+    if (!table) return [];
+
+    return [...table.querySelectorAll('tr')].map(row =>
+        [...row.querySelectorAll('th, td')].map(cell => cell.textContent.trim())
+    );
+}
+
+/**
+ * Draws text lines and returns the y position below them
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Array<string>} lines - Lines to draw
+ * @param {number} x - Left edge
+ * @param {number} y - Top of the first line
+ * @returns {number} Y position after the last line
+ */
+function drawLines(ctx, lines, x, y) {
+    lines.forEach(line => {
+        ctx.fillText(line, x, y);
+        y += REPORT.LINE_HEIGHT;
+    });
+    return y;
+}
+
+/**
+ * Draws a statistics table as evenly spaced columns and returns the y position below it
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {string} title - Table title
+ * @param {Array<Array<string>>} rows - Rows of cell text (header first)
+ * @param {number} x - Left edge
+ * @param {number} y - Top of the title
+ * @param {number} width - Available width
+ * @returns {number} Y position after the table
+ */
+function drawTable(ctx, title, rows, x, y, width) {
+    if (rows.length < 2) return y;
+
+    ctx.font = REPORT.BOLD_FONT;
+    ctx.fillText(title, x, y);
+    y += REPORT.LINE_HEIGHT;
+
+    const columnWidth = width / Math.max(...rows.map(row => row.length));
+    rows.forEach((row, index) => {
+        ctx.font = index === 0 ? REPORT.BOLD_FONT : REPORT.FONT;
+        row.forEach((cell, column) => ctx.fillText(cell, x + column * columnWidth, y, columnWidth - 4));
+        y += REPORT.LINE_HEIGHT;
+    });
+
+    return y + REPORT.LINE_HEIGHT / 2;
+}
+
+/**
+ * Builds the report header lines from the loaded session
+ *
+ * @param {Object} info - Session info from the MADIS controller's getSessionInfo
+ * @returns {Array<string>} Title line and detail line
+ */
+function getHeaderLines(info) {
+    const productSelect = document.getElementById('product-select');
+    const option = productSelect ? [...productSelect.options].find(o => o.value === info.product) : null;
+    const productLabel = option
+        ? `${option.parentElement.label ? option.parentElement.label + ' ' : ''}${option.textContent}`
+        : (info.product || 'No product loaded');
+
+    const validTime = info.date
+        ? `${info.date.slice(0, 4)}-${info.date.slice(4, 6)}-${info.date.slice(6, 8)} ${info.hour}:00 UTC`
+        : '--';
+
+    const loaded = document.getElementById('stat-total-loaded')?.textContent || '0';
+    const withData = document.getElementById('stat-total-with-data')?.textContent || '0';
+    const included = window.scatterplotManager ? window.scatterplotManager.getIncludedData().length : 0;
+
+    return [
+        `MRMS QPE Report: ${productLabel}`,
+        `Valid ${validTime}   |   Gauges loaded: ${loaded}   with data > 0: ${withData}   ` +
+            `in statistics: ${included}   |   Generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`
+    ];
+}
+
+/**
+ * Composes the report page on a canvas
+ *
+ * @param {Object} info - Session info from the MADIS controller's getSessionInfo
+ * @returns {Promise<HTMLCanvasElement>} Report canvas
+ */
+export async function renderReportCanvas(info) {
+    const margin = REPORT.MARGIN;
+    const mapCanvas = await renderMapCanvas(document.getElementById('map-container'));
+    const mapWidth = REPORT.MAP_WIDTH;
+    const mapHeight = Math.round(mapCanvas.height * mapWidth / mapCanvas.width);
+
+    const scatterCanvas = document.getElementById('scatterplot-canvas');
+    const sideWidth = REPORT.SIDE_WIDTH;
+    const scatterHeight = scatterCanvas && scatterCanvas.width > 0
+        ? Math.round(scatterCanvas.height * sideWidth / scatterCanvas.width)
+        : 0;
+
+    const statsLines = getStatisticsLines();
+    const categoricalRows = getTableRows('categorical-stats-table');
+    const providerRows = getTableRows('provider-stats-table');
+    const statsHeight = (statsLines.length + categoricalRows.length + providerRows.length + 4) * REPORT.LINE_HEIGHT;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = margin * 3 + mapWidth + sideWidth;
+    canvas.height = REPORT.HEADER_HEIGHT + margin * 2 + Math.max(mapHeight, scatterHeight + margin + statsHeight);
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Header
+    const [title, details] = getHeaderLines(info);
+    ctx.fillStyle = REPORT.TEXT_COLOR;
+    ctx.textBaseline = 'top';
+    ctx.font = REPORT.TITLE_FONT;
+    ctx.fillText(title, margin, margin);
+    ctx.font = REPORT.FONT;
+    ctx.fillText(details, margin, margin + 30);
+
+    const top = REPORT.HEADER_HEIGHT + margin;
+    ctx.drawImage(mapCanvas, margin, top, mapWidth, mapHeight);
+    ctx.strokeStyle = REPORT.BORDER_COLOR;
+    ctx.strokeRect(margin, top, mapWidth, mapHeight);
+
+    // Scatterplot and statistics column
+    const sideX = margin * 2 + mapWidth;
+    let y = top;
+    if (scatterHeight > 0) {
+        ctx.drawImage(scatterCanvas, sideX, y, sideWidth, scatterHeight);
+        ctx.strokeRect(sideX, y, sideWidth, scatterHeight);
+        y += scatterHeight + margin;
+    }
+
+    ctx.fillStyle = REPORT.TEXT_COLOR;
+    ctx.font = REPORT.BOLD_FONT;
+    ctx.fillText('Gauge Statistics', sideX, y);
+    ctx.font = REPORT.FONT;
+    y = drawLines(ctx, statsLines, sideX, y + REPORT.LINE_HEIGHT) + REPORT.LINE_HEIGHT / 2;
+    y = drawTable(ctx, 'Categorical Scores', categoricalRows, sideX, y, sideWidth);
+    drawTable(ctx, 'By Provider', providerRows, sideX, y, sideWidth);
+
+    return canvas;
+}
+
+/**
+ * Builds a single-page PDF (US Letter landscape) holding one JPEG image scaled to fit the page
+ *
+ * @param {Uint8Array} jpegBytes - JPEG image data
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Uint8Array} PDF file content
+ */
+export function buildImagePdf(jpegBytes, width, height) {
+    const [pageWidth, pageHeight] = REPORT.PDF_PAGE_SIZE;
+    const margin = REPORT.PDF_MARGIN;
+    const scale = Math.min((pageWidth - margin * 2) / width, (pageHeight - margin * 2) / height);
+    const drawWidth = width * scale;
+    const drawHeight = height * scale;
+    const x = (pageWidth - drawWidth) / 2;
+    const y = (pageHeight - drawHeight) / 2;
+
+    const content = `q ${drawWidth.toFixed(2)} 0 0 ${drawHeight.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm /Im0 Do Q`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+            '/Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>',
+        [`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB ` +
+            `/BitsPerComponent 8 /Filter /DCTDecode /Length ${jpegBytes.length} >>\nstream\n`, jpegBytes, '\nendstream'],
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    ];
+
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const write = (part) => {
+        const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+
+    write('%PDF-1.4\n');
+    objects.forEach((body, index) => {
+        offsets.push(length);
+        write(`${index + 1} 0 obj\n`);
+        (Array.isArray(body) ? body : [body]).forEach(write);
+        write('\nendobj\n');
+    });
+
+    const xrefOffset = length;
+    write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+    offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+    write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+    const pdf = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        pdf.set(chunk, position);
+        position += chunk.length;
+    });
+
+    return pdf;
+}
+
+/**
+ * Generates the report as a PNG or PDF file
+ *
+ * @param {Object} info - Session info from the MADIS controller's getSessionInfo
+ * @param {string} format - 'png' or 'pdf'
+ * @returns {Promise<Blob>} Report file
+ */
+export async function generateReport(info, format) {
+    const canvas = await renderReportCanvas(info);
+
+    if (format === 'png') {
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    const jpeg = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', REPORT.JPEG_QUALITY));
+    const pdf = buildImagePdf(new Uint8Array(await jpeg.arrayBuffer()), canvas.width, canvas.height);
+    return new Blob([pdf], { type: 'application/pdf' });
+}
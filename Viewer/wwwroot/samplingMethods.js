@@ -0,0 +1,30 @@
+/**
+ * Sampling Methods Module
+ * Labels for the gauge-to-grid matching methods, shared by the gauge popups, the filters panel and the exports
+ */
+
+import { SAMPLING_METHODS, SAMPLING_METHOD_LABELS } from './config.js';
+
+/**
+ * Checks whether a matching method uses the search radius
+ *
+ * @param {string} method - Matching method name
+ * @returns {boolean} True for the radius-based methods
+ */
+export function samplingMethodUsesRadius(method) {
+    return method === SAMPLING_METHODS.MAX_IN_RADIUS || method === SAMPLING_METHODS.CLOSEST_IN_RADIUS;
+}
+
+/**
+ * Builds a human-readable label for a matching method
+ *
+ * @param {string} method - Matching method name
+ * @param {number|null} radius - Search radius in grid pixels (radius-based methods only)
+ * @returns {string} Display label, e.g. 'Max within radius (2 px)'
+ */
+export function getSamplingMethodLabel(method, radius = null) {
+    const label = SAMPLING_METHOD_LABELS[method] || method || '--';
+    return samplingMethodUsesRadius(method) && radius !== null && radius !== undefined
+        ? `${label} (${radius} px)`
+        : label;
+}
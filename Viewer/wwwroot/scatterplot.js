@@ -4,540 +4,1369 @@
  * Provides interactive features including point exclusion and crosshair mapping
  */
 
-(function(window) {
-    'use strict';
-
-    // Default scatterplot configuration
-    const SCATTERPLOT_DEFAULTS = {
-        DEFAULT_MIN: 0,
-        DEFAULT_MAX: 5,
-        SCALE_PADDING_FACTOR: 1.2
-    };
-
-    /**
-     * ScatterplotManager Class
-     * Handles all scatterplot rendering, interaction, and statistics display
-     */
-    class ScatterplotManager {
-        /**
-         * Creates a new scatterplot manager
-         *
-         * @param {string} canvasId - ID of the canvas element for the scatterplot
-         * @param {Object} map - Leaflet map instance for crosshair display
-         */
-        constructor(canvasId, map) {
-            this.canvas = document.getElementById(canvasId);
-            this.chart = null;
-            this.data = [];
-            this.map = map;
-            this.crosshairMarker = null;
-            this.excludedIndices = new Set();
-            this.fullGaugeData = [];
+import {
+    SCATTERPLOT,
+    SCATTERPLOT_FITS,
+    SCATTERPLOT_DISPLAY,
+    SCATTERPLOT_COLORS,
+    MRMS_ZERO_THRESHOLD,
+    BIAS_COLOR_THRESHOLDS,
+    PRECIP_COLOR_THRESHOLDS,
+    ZERO_PRECIP_COLOR
+} from './config.js';
+import { getBiasColor, getPrecipitationColor } from './colorbarManager.js';
+import {
+    calculateStatistics,
+    updateStatisticsDisplay,
+    calculateLinearFit,
+    calculateOriginFit,
+    calculateConditionalMean
+} from './statisticsCalculator.js';
 
-            this.initializeChart();
-            this.setupClickHandler();
-        }
+// Brush (box/lasso) and selected-point styling
+const SELECTION_STYLE = {
+    BRUSH_STROKE: 'rgba(0, 150, 200, 0.9)',
+    BRUSH_FILL: 'rgba(0, 229, 255, 0.12)',
+    SELECTED_FILL: 'rgba(0, 229, 255, 0.9)',
+    SELECTED_BORDER: 'rgba(0, 120, 160, 1)',
+    LINKED_RING: 'rgba(255, 152, 0, 1)',
+    LINKED_MARKER_RADIUS_FACTOR: 1.8
+};
 
-        /**
-         * Initializes the Chart.js scatterplot with default configuration
-         */
-        initializeChart() {
-            const ctx = this.canvas.getContext('2d');
-            const self = this;
-
-            this.chart = new Chart(ctx, {
-                type: 'scatter',
-                data: {
-                    datasets: [
-                        this.createIncludedDataset(),
-                        this.createExcludedDataset()
-                    ]
-                },
-                options: this.createChartOptions(self)
-            });
+/**
+ * ScatterplotManager Class
+ * Handles all scatterplot rendering, interaction, and statistics display
+ */
+export class ScatterplotManager {
+    /**
+     * Creates a new scatterplot manager
+     *
+     * @param {string} canvasId - ID of the canvas element for the scatterplot
+     * @param {Object} map - Leaflet map instance for crosshair display
+     * @param {Object} exclusions - Exclusion list controller (station IDs excluded from statistics)
+     */
+    constructor(canvasId, map, exclusions) {
+        this.canvas = document.getElementById(canvasId);
+        this.chart = null;
+        this.data = [];
+        this.map = map;
+        this.crosshairMarker = null;
+        this.exclusions = exclusions;
+        this.qcOverrides = new Set();
+        this.fullGaugeData = [];
+        this.includeQcFlagged = false;
+        this.statisticsListeners = [];
+        this.includedData = [];
 
-            this.addReferenceLine();
-        }
+        // Brush selection: mode ('box', 'lasso' or null), path in canvas pixels, and callback with the finished polygon
+        this.brushMode = null;
+        this.brushPath = null;
+        this.onBrushEnd = null;
+        this.selectedStations = new Set();
+        this.focusStations = null;
 
-        /**
-         * Creates the dataset configuration for included (non-excluded) gauge points
-         *
-         * @returns {Object} Chart.js dataset configuration
-         */
-        createIncludedDataset() {
-            return {
-                label: 'Gauge vs Radar QPE',
-                data: [],
-                backgroundColor: 'rgba(52, 152, 219, 0.6)',
-                borderColor: 'rgba(52, 152, 219, 1)',
-                borderWidth: 1,
-                pointRadius: 4,
-                pointHoverRadius: 6
-            };
-        }
+        // Link between points and map markers: lookup by station ID, the hovered marker, and the station highlighted from the map
+        this.markerLookup = null;
+        this.linkedMarker = null;
+        this.linkedMarkerRadius = null;
+        this.highlightedStation = null;
 
-        /**
-         * Creates the dataset configuration for excluded gauge points
-         *
-         * @returns {Object} Chart.js dataset configuration
-         */
-        createExcludedDataset() {
-            return {
-                label: 'Excluded Gauges',
-                data: [],
-                pointStyle: 'cross',
-                backgroundColor: 'rgba(231, 76, 60, 0.8)',
-                borderColor: 'rgba(231, 76, 60, 1)',
-                borderWidth: 2,
-                pointRadius: 8,
-                pointHoverRadius: 10,
-                rotation: 45
-            };
-        }
+        // Fit overlays shown ('ols', 'origin', 'conditional') and their chart datasets
+        this.fitOverlays = new Set();
+        this.fitDatasets = null;
+        this.referenceLine = null;
 
-        /**
-         * Creates chart options configuration
-         *
-         * @param {ScatterplotManager} self - Reference to this instance for event handlers
-         * @returns {Object} Chart.js options configuration
-         */
-        createChartOptions(self) {
-            return {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    title: {
-                        display: true,
-                        text: 'Gauge QPE vs Radar QPE',
-                        font: {
-                            size: 14,
-                            weight: 'bold'
-                        }
-                    },
-                    legend: {
-                        display: false
-                    },
-                    tooltip: {
-                        enabled: false
-                    }
-                },
-                onHover: function(event, activeElements) {
-                    self.handleChartHover(activeElements);
-                },
-                scales: {
-                    x: this.createXAxisConfig(),
-                    y: this.createYAxisConfig()
-                }
-            };
-        }
+        // Axis scaling and rendering: log axes, density mode ('auto', 'points', 'density', 'density-only'),
+        // manual axis limits (null = automatic) and the automatic maximum from the data
+        this.logScale = false;
+        this.densityMode = 'auto';
+        this.axisLimits = { min: null, max: null };
+        this.autoMax = SCATTERPLOT.DEFAULT_MAX;
+
+        // Point coloring: attribute ('none', 'map', 'bias', 'magnitude', 'provider', 'latitude', 'qc'),
+        // the map's bias mode (used by 'map'), and the color scale built from the included points
+        this.colorBy = 'none';
+        this.biasMode = false;
+        this.colorScale = null;
+
+        // Product comparison: other products' points for the included stations, one chart dataset each
+        this.comparisonSeries = [];
+        this.comparisonDatasets = [];
+
+        this.initializeChart();
+        this.setupClickHandler();
+        this.setupBrushHandlers();
+    }
+
+    /**
+     * Initializes the Chart.js scatterplot with default configuration
+     */
+    initializeChart() {
+        const ctx = this.canvas.getContext('2d');
+        const self = this;
+
+        this.chart = new Chart(ctx, {
+            type: 'scatter',
+            data: {
+                datasets: [
+                    this.createIncludedDataset(),
+                    this.createExcludedDataset()
+                ]
+            },
+            options: this.createChartOptions(self),
+            plugins: [this.createZeroStripPlugin(), this.createDensityPlugin(), this.createBrushPlugin()]
+        });
 
-        /**
-         * Creates X-axis configuration for gauge QPE
-         *
-         * @returns {Object} Chart.js axis configuration
-         */
-        createXAxisConfig() {
-            return {
-                type: 'linear',
-                position: 'bottom',
+        this.addReferenceLine();
+        this.addFitDatasets();
+    }
+
+    /**
+     * Creates the dataset configuration for included (non-excluded) gauge points
+     *
+     * @returns {Object} Chart.js dataset configuration
+     */
+    createIncludedDataset() {
+        const isSelected = (ctx) => ctx.raw && this.selectedStations.has(ctx.raw.stationId);
+
+        return {
+            label: 'Gauge vs Radar QPE',
+            data: [],
+            parsing: { xAxisKey: 'plotX', yAxisKey: 'plotY' },
+            backgroundColor: (ctx) => {
+                if (isSelected(ctx)) return SELECTION_STYLE.SELECTED_FILL;
+                return this.colorScale && ctx.raw ? this.colorScale.colorFor(ctx.raw) : SCATTERPLOT_COLORS.DEFAULT_FILL;
+            },
+            borderColor: (ctx) => {
+                if (isSelected(ctx)) return SELECTION_STYLE.SELECTED_BORDER;
+                return this.colorScale ? SCATTERPLOT_COLORS.COLORED_BORDER : SCATTERPLOT_COLORS.DEFAULT_BORDER;
+            },
+            borderWidth: 1,
+            // Density-only mode hides the points but keeps them hoverable
+            pointRadius: () => this.densityMode === 'density-only' ? 0 : 4,
+            pointHoverRadius: 6
+        };
+    }
+
+    /**
+     * Creates the dataset configuration for excluded gauge points
+     *
+     * @returns {Object} Chart.js dataset configuration
+     */
+    createExcludedDataset() {
+        return {
+            label: 'Excluded Gauges',
+            data: [],
+            parsing: { xAxisKey: 'plotX', yAxisKey: 'plotY' },
+            // QC-flagged gauges are drawn as magenta triangles, manual exclusions as red X
+            pointStyle: (ctx) => ctx.raw && ctx.raw.qcFlagged ? 'triangle' : 'cross',
+            backgroundColor: (ctx) => ctx.raw && ctx.raw.qcFlagged ? 'rgba(255, 0, 255, 0.5)' : 'rgba(231, 76, 60, 0.8)',
+            borderColor: (ctx) => ctx.raw && ctx.raw.qcFlagged ? 'rgba(255, 0, 255, 1)' : 'rgba(231, 76, 60, 1)',
+            borderWidth: 2,
+            pointRadius: 8,
+            pointHoverRadius: 10,
+            rotation: (ctx) => ctx.raw && ctx.raw.qcFlagged ? 0 : 45
+        };
+    }
+
+    /**
+     * Creates chart options configuration
+     *
+     * @param {ScatterplotManager} self - Reference to this instance for event handlers
+     * @returns {Object} Chart.js options configuration
+     */
+    createChartOptions(self) {
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
                 title: {
                     display: true,
-                    text: 'Gauge QPE (inches)',
+                    text: 'Gauge QPE vs Radar QPE',
                     font: {
-                        size: 12,
+                        size: 14,
                         weight: 'bold'
                     }
                 },
-                min: SCATTERPLOT_DEFAULTS.DEFAULT_MIN,
-                max: SCATTERPLOT_DEFAULTS.DEFAULT_MAX,
-                ticks: {
-                    stepSize: 0.5
-                }
-            };
-        }
-
-        /**
-         * Creates Y-axis configuration for radar QPE
-         *
-         * @returns {Object} Chart.js axis configuration
-         */
-        createYAxisConfig() {
-            return {
-                type: 'linear',
-                title: {
-                    display: true,
-                    text: 'Radar QPE (inches)',
+                subtitle: {
+                    display: false,
+                    text: '',
                     font: {
-                        size: 12,
-                        weight: 'bold'
+                        size: 10
+                    }
+                },
+                legend: {
+                    display: false
+                },
+                tooltip: this.createTooltipConfig()
+            },
+            onHover: function(event, activeElements) {
+                self.handleChartHover(activeElements);
+            },
+            scales: {
+                x: this.createXAxisConfig(),
+                y: this.createYAxisConfig()
+            }
+        };
+    }
+
+    /**
+     * Creates the tooltip configuration for gauge points (not the reference or fit lines)
+     *
+     * @returns {Object} Chart.js tooltip configuration
+     */
+    createTooltipConfig() {
+        const format = (value) => value !== null && value !== undefined ? `${value.toFixed(2)} in` : '--';
+
+        return {
+            enabled: true,
+            filter: (item) => item.datasetIndex === 0 || item.datasetIndex === 1 ||
+                this.comparisonDatasets.includes(item.dataset),
+            displayColors: false,
+            callbacks: {
+                title: (items) => items.length > 0 ? items[0].raw.stationId : '',
+                label: (item) => {
+                    const point = item.raw;
+                    const ratio = point.y >= MRMS_ZERO_THRESHOLD ? (point.x / point.y).toFixed(2) : 'n/a (MRMS zero)';
+                    const lines = [
+                        ...(item.datasetIndex > 1 ? [`Product: ${item.dataset.label}`] : []),
+                        `Provider: ${point.provider || 'Unknown'}`,
+                        `Obs Time: ${point.obvTime || '--'}`,
+                        `Gauge: ${format(point.x)}`,
+                        `MRMS: ${format(point.y)}`,
+                        `Bias (G/R): ${ratio}`
+                    ];
+
+                    if (item.datasetIndex === 1) {
+                        lines.push(point.qcFlagged && !this.exclusions.isExcluded(point.stationId)
+                            ? 'Excluded by QC'
+                            : 'Excluded');
                     }
+                    (point.qcFlags || []).forEach(reason => lines.push(`QC: ${reason}`));
+
+                    return lines;
                 },
-                min: SCATTERPLOT_DEFAULTS.DEFAULT_MIN,
-                max: SCATTERPLOT_DEFAULTS.DEFAULT_MAX,
-                ticks: {
-                    stepSize: 0.5
+                footer: () => 'Shift-click: zoom to gauge'
+            }
+        };
+    }
+
+    /**
+     * Creates X-axis configuration for gauge QPE
+     *
+     * @returns {Object} Chart.js axis configuration
+     */
+    createXAxisConfig() {
+        const axis = {
+            type: 'linear',
+            position: 'bottom',
+            title: {
+                display: true,
+                text: 'Gauge QPE (inches)',
+                font: {
+                    size: 12,
+                    weight: 'bold'
                 }
-            };
-        }
+            },
+            min: SCATTERPLOT.DEFAULT_MIN,
+            max: SCATTERPLOT.DEFAULT_MAX,
+            ticks: {
+                stepSize: 0.5
+            }
+        };
 
-        /**
-         * Adds a 1:1 reference line to the scatterplot
-         * This helps visualize perfect agreement between gauge and radar
-         */
-        addReferenceLine() {
-            const refLineData = [
-                { x: 0, y: 0 },
-                { x: 10, y: 10 }
-            ];
-
-            this.chart.data.datasets.push({
-                label: '1:1 Line',
-                data: refLineData,
-                type: 'line',
-                borderColor: 'rgba(231, 76, 60, 0.8)',
-                borderWidth: 2,
-                borderDash: [5, 5],
-                pointRadius: 0,
-                fill: false,
-                showLine: true
-            });
+        return this.logScale ? { ...axis, ...this.createLogAxisOptions() } : axis;
+    }
+
+    /**
+     * Creates Y-axis configuration for radar QPE
+     *
+     * @returns {Object} Chart.js axis configuration
+     */
+    createYAxisConfig() {
+        const axis = {
+            type: 'linear',
+            title: {
+                display: true,
+                text: 'Radar QPE (inches)',
+                font: {
+                    size: 12,
+                    weight: 'bold'
+                }
+            },
+            min: SCATTERPLOT.DEFAULT_MIN,
+            max: SCATTERPLOT.DEFAULT_MAX,
+            ticks: {
+                stepSize: 0.5
+            }
+        };
+
+        return this.logScale ? { ...axis, ...this.createLogAxisOptions() } : axis;
+    }
 
-            this.chart.update('none');
+    /**
+     * Creates the axis options that switch an axis to a log scale
+     * Ticks are fixed at powers of ten, plus a '0' tick at the zero strip
+     *
+     * @returns {Object} Partial Chart.js axis configuration
+     */
+    createLogAxisOptions() {
+        return {
+            type: 'logarithmic',
+            min: SCATTERPLOT_DISPLAY.LOG_AXIS_MIN,
+            ticks: {
+                callback: (value) => value === SCATTERPLOT_DISPLAY.LOG_ZERO_VALUE ? '0' : String(value)
+            },
+            afterBuildTicks: (axis) => {
+                axis.ticks = [SCATTERPLOT_DISPLAY.LOG_ZERO_VALUE, ...SCATTERPLOT_DISPLAY.LOG_TICKS]
+                    .filter(value => value >= axis.min && value <= axis.max)
+                    .map(value => ({ value }));
+            }
+        };
+    }
+
+    /**
+     * Converts an amount to its plotted position
+     * On log axes, amounts that count as zero are drawn in the zero strip
+     *
+     * @param {number} value - Amount in inches
+     * @returns {number} Plotted value
+     */
+    toPlotValue(value) {
+        return this.logScale && value < MRMS_ZERO_THRESHOLD ? SCATTERPLOT_DISPLAY.LOG_ZERO_VALUE : value;
+    }
+
+    /**
+     * Creates the Chart.js plugin that shades the zero strips along both log axes
+     *
+     * @returns {Object} Chart.js inline plugin
+     */
+    createZeroStripPlugin() {
+        return {
+            id: 'logZeroStrip',
+            beforeDatasetsDraw: (chart) => {
+                if (!this.logScale) return;
+
+                const { ctx, chartArea, scales } = chart;
+                const stripRight = scales.x.getPixelForValue(SCATTERPLOT_DISPLAY.LOG_ZERO_STRIP_MAX);
+                const stripTop = scales.y.getPixelForValue(SCATTERPLOT_DISPLAY.LOG_ZERO_STRIP_MAX);
+
+                ctx.save();
+                ctx.fillStyle = 'rgba(0, 0, 0, 0.06)';
+                ctx.fillRect(chartArea.left, chartArea.top, stripRight - chartArea.left, chartArea.bottom - chartArea.top);
+                ctx.fillRect(chartArea.left, stripTop, chartArea.right - chartArea.left, chartArea.bottom - stripTop);
+                ctx.restore();
+            }
+        };
+    }
+
+    /**
+     * Checks whether the density layer is drawn for the current mode and point count
+     *
+     * @returns {boolean} True if the density layer is shown
+     */
+    isDensityShown() {
+        if (this.densityMode === 'auto') {
+            return this.chart.data.datasets[0].data.length >= SCATTERPLOT_DISPLAY.DENSITY_AUTO_COUNT;
         }
+        return this.densityMode === 'density' || this.densityMode === 'density-only';
+    }
 
-        /**
-         * Handles hover events over chart points
-         * Shows crosshair on map when hovering over a gauge point
-         *
-         * @param {Array} activeElements - Array of active chart elements under cursor
-         */
-        handleChartHover(activeElements) {
-            if (activeElements.length > 0) {
-                const element = activeElements[0];
-                const datasetIndex = element.datasetIndex;
-
-                // Only show crosshair for data points (dataset 0 or 1), not the reference line
-                if (datasetIndex === 0 || datasetIndex === 1) {
-                    const chartPoint = this.chart.data.datasets[datasetIndex].data[element.index];
-                    const gaugeData = this.findMatchingGauge(chartPoint);
+    /**
+     * Creates the Chart.js plugin that draws a 2D histogram of the included points behind the datasets
+     * Cells are square in screen space, so the binning follows log axes too
+     *
+     * @returns {Object} Chart.js inline plugin
+     */
+    createDensityPlugin() {
+        return {
+            id: 'densityBackground',
+            beforeDatasetsDraw: (chart) => {
+                if (!this.isDensityShown()) return;
 
-                    if (gaugeData) {
-                        this.showCrosshair(gaugeData.lat, gaugeData.lon);
-                    }
+                const { ctx, chartArea, scales } = chart;
+                const cell = SCATTERPLOT_DISPLAY.DENSITY_CELL_PIXELS;
+                const counts = new Map();
+
+                for (const point of chart.data.datasets[0].data) {
+                    const px = scales.x.getPixelForValue(point.plotX);
+                    const py = scales.y.getPixelForValue(point.plotY);
+                    if (px < chartArea.left || px > chartArea.right || py < chartArea.top || py > chartArea.bottom) continue;
+
+                    const key = `${Math.floor((px - chartArea.left) / cell)},${Math.floor((py - chartArea.top) / cell)}`;
+                    counts.set(key, (counts.get(key) || 0) + 1);
                 }
-            } else {
-                this.hideCrosshair();
+
+                if (counts.size === 0) return;
+
+                const maxCount = Math.max(...counts.values());
+                const colors = SCATTERPLOT_DISPLAY.DENSITY_COLORS;
+
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+                ctx.clip();
+
+                for (const [key, count] of counts) {
+                    const [col, row] = key.split(',').map(Number);
+                    const level = maxCount > 1 ? Math.log(count) / Math.log(maxCount) : 1;
+                    ctx.fillStyle = colors[Math.round(level * (colors.length - 1))];
+                    ctx.fillRect(chartArea.left + col * cell, chartArea.top + row * cell, cell, cell);
+                }
+
+                ctx.fillStyle = '#333';
+                ctx.font = '10px sans-serif';
+                ctx.textBaseline = 'top';
+                ctx.fillText(`Density: 1-${maxCount} gauges per cell`, chartArea.left + 4, chartArea.top + 4);
+                ctx.restore();
             }
+        };
+    }
+
+    /**
+     * Adds a 1:1 reference line to the scatterplot
+     * This helps visualize perfect agreement between gauge and radar
+     */
+    addReferenceLine() {
+        const refLineData = [
+            { x: 0, y: 0 },
+            { x: 10, y: 10 }
+        ];
+
+        this.referenceLine = {
+            label: '1:1 Line',
+            data: refLineData,
+            type: 'line',
+            borderColor: 'rgba(231, 76, 60, 0.8)',
+            borderWidth: 2,
+            borderDash: [5, 5],
+            pointRadius: 0,
+            fill: false,
+            showLine: true
+        };
+        this.chart.data.datasets.push(this.referenceLine);
+
+        this.chart.update('none');
+    }
+
+    /**
+     * Adds the (initially hidden) fit overlay datasets: OLS line, fit through the origin and conditional mean curve
+     */
+    addFitDatasets() {
+        const lineDataset = (label, color, extra = {}) => ({
+            label,
+            data: [],
+            type: 'line',
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false,
+            showLine: true,
+            hidden: true,
+            ...extra
+        });
+
+        this.fitDatasets = {
+            ols: lineDataset('OLS Fit', SCATTERPLOT_FITS.OLS_COLOR),
+            origin: lineDataset('Fit Through Origin', SCATTERPLOT_FITS.ORIGIN_COLOR, { borderDash: [8, 4] }),
+            conditional: lineDataset('Conditional Mean', SCATTERPLOT_FITS.CONDITIONAL_COLOR, {
+                pointRadius: 3,
+                pointStyle: 'rect'
+            })
+        };
+
+        this.chart.data.datasets.push(this.fitDatasets.ols, this.fitDatasets.origin, this.fitDatasets.conditional);
+    }
+
+    /**
+     * Recomputes the enabled fit overlays from the included points
+     * Fit equations and R² are shown as the chart subtitle; the chart is not redrawn here
+     *
+     * @param {Array<Object>} data - Included scatter points
+     */
+    updateFitOverlays(data) {
+        const summaries = [];
+
+        const ols = this.fitOverlays.has('ols') ? calculateLinearFit(data) : null;
+        this.fitDatasets.ols.hidden = !ols;
+        this.fitDatasets.ols.data = ols ? this.buildFitLine(x => ols.intercept + ols.slope * x) : [];
+        if (ols) {
+            const sign = ols.intercept < 0 ? '-' : '+';
+            summaries.push(`OLS: y = ${ols.slope.toFixed(2)}x ${sign} ${Math.abs(ols.intercept).toFixed(2)}` +
+                (ols.r2 !== null ? `, R² = ${ols.r2.toFixed(2)}` : ''));
         }
 
-        /**
-         * Finds the gauge data object that matches a chart point
-         *
-         * @param {Object} chartPoint - Chart point with x and y coordinates
-         * @returns {Object|undefined} Matching gauge data or undefined
-         */
-        findMatchingGauge(chartPoint) {
-            return this.fullGaugeData.find(g =>
-                g.displayValue === chartPoint.x &&
-                (g.mrmsValue === chartPoint.y || (g.mrmsValue === null && chartPoint.y === 0))
-            );
+        const origin = this.fitOverlays.has('origin') ? calculateOriginFit(data) : null;
+        this.fitDatasets.origin.hidden = !origin;
+        this.fitDatasets.origin.data = origin ? this.buildFitLine(x => origin.slope * x) : [];
+        if (origin) {
+            summaries.push(`Origin: y = ${origin.slope.toFixed(2)}x` +
+                (origin.r2 !== null ? `, R² = ${origin.r2.toFixed(2)}` : ''));
         }
 
-        /**
-         * Sets up click handler for excluding/including points
-         */
-        setupClickHandler() {
-            const self = this;
-            this.canvas.addEventListener('click', function(evt) {
-                const points = self.chart.getElementsAtEventForMode(evt, 'nearest', { intersect: true }, true);
-
-                if (points.length > 0) {
-                    const firstPoint = points[0];
-                    const datasetIndex = firstPoint.datasetIndex;
-                    const pointIndex = firstPoint.index;
-
-                    // Only handle clicks on the main dataset (0) or excluded dataset (1)
-                    if (datasetIndex === 0 || datasetIndex === 1) {
-                        const chartPoint = self.chart.data.datasets[datasetIndex].data[pointIndex];
-                        const originalIndex = self.findOriginalIndex(chartPoint);
-
-                        if (originalIndex !== -1) {
-                            self.toggleExclude(originalIndex);
-                        }
-                    }
-                }
-            });
+        const bins = this.fitOverlays.has('conditional')
+            ? calculateConditionalMean(data, SCATTERPLOT_FITS.CONDITIONAL_BIN_EDGES, SCATTERPLOT_FITS.CONDITIONAL_MIN_COUNT)
+            : [];
+        this.fitDatasets.conditional.hidden = bins.length === 0;
+        this.fitDatasets.conditional.data = bins.map(bin => ({
+            x: this.toPlotValue(bin.meanGauge),
+            y: this.toPlotValue(bin.meanRadar)
+        }));
+
+        const subtitle = this.chart.options.plugins.subtitle;
+        subtitle.display = summaries.length > 0;
+        subtitle.text = summaries.join('    ');
+    }
+
+    /**
+     * Builds the points of a fit line across the x-axis range
+     * On log axes a straight fit is curved, so it is sampled at log-spaced points (positive values only)
+     *
+     * @param {Function} predict - Radar value for a gauge value
+     * @returns {Array<Object>} Line points with x and y
+     */
+    buildFitLine(predict) {
+        const { min, max } = this.chart.options.scales.x;
+
+        if (!this.logScale) {
+            return [{ x: min, y: predict(min) }, { x: max, y: predict(max) }];
         }
 
-        /**
-         * Finds the original index in the data array for a chart point
-         *
-         * @param {Object} chartPoint - Chart point with x and y coordinates
-         * @returns {number} Index in data array, or -1 if not found
-         */
-        findOriginalIndex(chartPoint) {
-            return this.data.findIndex(d =>
-                d.x === chartPoint.x && d.y === chartPoint.y
-            );
+        const logMin = Math.log10(Math.max(min, SCATTERPLOT_DISPLAY.LOG_ZERO_STRIP_MAX));
+        const logMax = Math.log10(max);
+        const steps = 40;
+        const points = [];
+
+        for (let i = 0; i <= steps; i++) {
+            const x = 10 ** (logMin + (logMax - logMin) * i / steps);
+            const y = predict(x);
+            if (y > 0) points.push({ x, y });
         }
 
-        /**
-         * Toggles the exclusion state of a gauge point
-         * Excluded points are shown with a red X and not included in statistics
-         *
-         * @param {number} index - Index of the point in the data array
-         */
-        toggleExclude(index) {
-            if (this.excludedIndices.has(index)) {
-                this.excludedIndices.delete(index);
-            } else {
-                this.excludedIndices.add(index);
-            }
+        return points;
+    }
 
-            this.refreshDisplay();
+    /**
+     * Sets which fit overlays are drawn
+     *
+     * @param {Set<string>} overlays - Overlay names: 'ols', 'origin', 'conditional'
+     */
+    setFitOverlays(overlays) {
+        this.fitOverlays = overlays;
+        this.updateFitOverlays(this.includedData);
+        this.chart.update();
+    }
+
+    /**
+     * Overlays other QPE products' points for the same gauges, each in its own color and point style
+     * The plotted product (datasets 0 and 1) keeps its point coloring; a legend names every product
+     *
+     * @param {string|null} plottedLabel - Label of the product shown on the map, or null to restore the default title
+     * @param {Array<Object>} series - Products with label, color, pointStyle and gaugeData (empty to remove the overlay)
+     */
+    setComparisonSeries(plottedLabel, series) {
+        const firstIndex = this.chart.data.datasets.indexOf(this.comparisonDatasets[0]);
+        if (firstIndex !== -1) {
+            this.chart.data.datasets.splice(firstIndex, this.comparisonDatasets.length);
         }
 
-        /**
-         * Refreshes the chart display and recalculates statistics
-         * Separates data into included and excluded datasets
-         */
-        refreshDisplay() {
-            const includedData = [];
-            const excludedData = [];
-
-            this.data.forEach((point, index) => {
-                if (this.excludedIndices.has(index)) {
-                    excludedData.push(point);
-                } else {
-                    includedData.push(point);
+        this.comparisonSeries = series.map(product => ({ ...product, points: this.prepareScatterData(product.gaugeData) }));
+        this.comparisonDatasets = this.comparisonSeries.map(product => ({
+            label: product.label,
+            data: [],
+            parsing: { xAxisKey: 'plotX', yAxisKey: 'plotY' },
+            backgroundColor: product.color,
+            borderColor: product.color,
+            pointStyle: product.pointStyle,
+            pointRadius: 4,
+            pointHoverRadius: 6
+        }));
+        this.chart.data.datasets.push(...this.comparisonDatasets);
+
+        const comparing = this.comparisonDatasets.length > 0;
+        this.chart.data.datasets[0].label = comparing ? `${plottedLabel} (map)` : 'Gauge vs Radar QPE';
+        this.chart.options.plugins.legend = {
+            display: comparing,
+            labels: {
+                boxWidth: 10,
+                font: { size: 10 },
+                filter: (item) => item.datasetIndex === 0 ||
+                    this.comparisonDatasets.includes(this.chart.data.datasets[item.datasetIndex])
+            }
+        };
+
+        this.refreshDisplay();
+    }
+
+    /**
+     * Shows each compared product's points for the stations included in the plotted product
+     *
+     * @param {Array<Object>} includedData - Included points of the plotted product
+     */
+    updateComparisonDatasets(includedData) {
+        const included = new Set(includedData.map(point => point.stationId));
+
+        this.comparisonSeries.forEach((product, index) => {
+            this.comparisonDatasets[index].data = product.points.filter(point => included.has(point.stationId));
+        });
+    }
+
+    /**
+     * Handles hover events over chart points
+     * Shows crosshair on map when hovering over a gauge point
+     *
+     * @param {Array} activeElements - Array of active chart elements under cursor
+     */
+    handleChartHover(activeElements) {
+        if (activeElements.length > 0) {
+            const element = activeElements[0];
+            const datasetIndex = element.datasetIndex;
+
+            // Only show crosshair for data points (dataset 0 or 1), not the reference line
+            if (datasetIndex === 0 || datasetIndex === 1) {
+                const chartPoint = this.chart.data.datasets[datasetIndex].data[element.index];
+
+                if (chartPoint.marker) {
+                    const { lat, lng } = chartPoint.marker.getLatLng();
+                    this.showCrosshair(lat, lng);
+                    this.highlightLinkedMarker(chartPoint.marker);
                 }
-            });
+            }
+        } else {
+            this.hideCrosshair();
+            this.highlightLinkedMarker(null);
+        }
+    }
+
+    /**
+     * Enlarges the map marker linked to the hovered point, restoring the previous one
+     *
+     * @param {Object|null} marker - Leaflet circle marker, or null to restore only
+     */
+    highlightLinkedMarker(marker) {
+        if (marker === this.linkedMarker) return;
 
-            this.chart.data.datasets[0].data = includedData;
-            this.chart.data.datasets[1].data = excludedData;
-            this.chart.update();
+        if (this.linkedMarker) {
+            this.linkedMarker.setRadius(this.linkedMarkerRadius);
+        }
 
-            this.updateStatistics(includedData);
+        this.linkedMarker = marker;
+        if (marker) {
+            this.linkedMarkerRadius = marker.getRadius();
+            marker.setRadius(this.linkedMarkerRadius * SELECTION_STYLE.LINKED_MARKER_RADIUS_FACTOR);
+            marker.bringToFront();
         }
+    }
 
-        /**
-         * Calculates comprehensive statistics for gauge vs radar comparison
-         *
-         * @param {Array<Object>} data - Array of data points with x (gauge) and y (radar) values
-         * @returns {Object} Statistics object with meanBias, additiveBias, mae, rmse, and cc
-         */
-        calculateStatistics(data) {
-            if (!data || data.length === 0) {
-                return {
-                    meanBias: null,
-                    additiveBias: null,
-                    mae: null,
-                    rmse: null,
-                    cc: null
-                };
-            }
+    /**
+     * Registers a callback run with the included points whenever the statistics are recalculated
+     *
+     * @param {Function} listener - Callback (data) with points having x, y, stationId and provider
+     */
+    addStatisticsListener(listener) {
+        this.statisticsListeners.push(listener);
+    }
+
+    /**
+     * Gets the points currently included in the statistics
+     *
+     * @returns {Array<Object>} Included scatter points
+     */
+    getIncludedData() {
+        return this.includedData;
+    }
+
+    /**
+     * Sets the function used to find the map marker for a station
+     *
+     * @param {Function} lookup - Function (stationId) => Leaflet marker or undefined
+     */
+    setMarkerLookup(lookup) {
+        this.markerLookup = lookup;
+    }
+
+    /**
+     * Highlights one station's point with a ring (used when hovering or clicking its map marker)
+     *
+     * @param {string|null} stationId - Station ID, or null to clear
+     */
+    highlightStation(stationId) {
+        if (stationId === this.highlightedStation) return;
+
+        this.highlightedStation = stationId;
+        this.chart.draw();
+    }
+
+    /**
+     * Finds the canvas position of the highlighted station's point, if it is plotted
+     *
+     * @returns {Object|null} Element with x and y in canvas pixels, or null
+     */
+    findHighlightedElement() {
+        for (const datasetIndex of [0, 1]) {
+            const data = this.chart.data.datasets[datasetIndex].data;
+            const index = data.findIndex(p => p.stationId === this.highlightedStation);
 
-            const n = data.length;
-            let sumGauge = 0;
-            let sumRadar = 0;
-            let sumAbsError = 0;
-            let sumSqError = 0;
-
-            for (const point of data) {
-                const gauge = point.x;
-                const radar = point.y;
-                const error = gauge - radar;
-
-                sumGauge += gauge;
-                sumRadar += radar;
-                sumAbsError += Math.abs(error);
-                sumSqError += error * error;
+            if (index !== -1) {
+                return this.chart.getDatasetMeta(datasetIndex).data[index] || null;
             }
+        }
+        return null;
+    }
+
+    /**
+     * Sets up click handler for excluding/including points
+     */
+    setupClickHandler() {
+        const self = this;
+        this.canvas.addEventListener('click', function(evt) {
+            // Clicks end a brush stroke while a brush mode is active
+            if (self.brushMode) return;
+
+            // Shift-click zooms the map to the gauge instead of toggling its exclusion
+            const zoomToGauge = evt.shiftKey;
+
+            const points = self.chart.getElementsAtEventForMode(evt, 'nearest', { intersect: true }, true);
+
+            if (points.length > 0) {
+                const firstPoint = points[0];
+                const datasetIndex = firstPoint.datasetIndex;
+                const pointIndex = firstPoint.index;
+
+                // Only handle clicks on the main dataset (0) or excluded dataset (1)
+                if (datasetIndex === 0 || datasetIndex === 1) {
+                    const chartPoint = self.chart.data.datasets[datasetIndex].data[pointIndex];
+                    const originalIndex = self.findOriginalIndex(chartPoint);
 
-            const meanBias = sumRadar > 0 ? sumGauge / sumRadar : null;
-            const additiveBias = sumGauge - sumRadar;
-            const mae = sumAbsError / n;
-            const rmse = Math.sqrt(sumSqError / n);
-
-            // Calculate correlation coefficient
-            const meanGauge = sumGauge / n;
-            const meanRadar = sumRadar / n;
-
-            let numerator = 0;
-            let denomGauge = 0;
-            let denomRadar = 0;
-
-            for (const point of data) {
-                const gaugeDiff = point.x - meanGauge;
-                const radarDiff = point.y - meanRadar;
-                numerator += gaugeDiff * radarDiff;
-                denomGauge += gaugeDiff * gaugeDiff;
-                denomRadar += radarDiff * radarDiff;
+                    if (zoomToGauge) {
+                        self.zoomToGauge(chartPoint);
+                    } else if (originalIndex !== -1) {
+                        self.toggleExclude(originalIndex);
+                    }
+                }
             }
+        });
+    }
+
+    /**
+     * Pans and zooms the map to a point's gauge and opens its popup
+     *
+     * @param {Object} point - Scatter point with marker
+     */
+    zoomToGauge(point) {
+        if (!this.map || !point.marker) return;
+
+        const latlng = point.marker.getLatLng();
+        this.map.setView(latlng, Math.max(this.map.getZoom(), SCATTERPLOT.GAUGE_ZOOM_LEVEL));
 
-            const cc = (denomGauge > 0 && denomRadar > 0)
-                ? numerator / Math.sqrt(denomGauge * denomRadar)
-                : null;
-
-            return {
-                meanBias,
-                additiveBias,
-                mae,
-                rmse,
-                cc
-            };
+        // Markers are off the map while the gauge layer is hidden
+        if (this.map.hasLayer(point.marker)) {
+            point.marker.openPopup();
         }
+    }
+
+    /**
+     * Creates the Chart.js plugin that draws the brush path over the chart
+     *
+     * @returns {Object} Chart.js inline plugin
+     */
+    createBrushPlugin() {
+        return {
+            id: 'brushSelection',
+            afterDraw: (chart) => {
+                this.drawHighlightRing(chart.ctx);
+
+                if (!this.brushPath || this.brushPath.length < 2) return;
+
+                const ctx = chart.ctx;
+                ctx.save();
+                ctx.beginPath();
+                this.brushPath.forEach(([x, y], i) => i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+                ctx.closePath();
+                ctx.fillStyle = SELECTION_STYLE.BRUSH_FILL;
+                ctx.strokeStyle = SELECTION_STYLE.BRUSH_STROKE;
+                ctx.setLineDash([4, 3]);
+                ctx.lineWidth = 1;
+                ctx.fill();
+                ctx.stroke();
+                ctx.restore();
+            }
+        };
+    }
+
+    /**
+     * Draws a ring around the point highlighted from the map
+     *
+     * @param {CanvasRenderingContext2D} ctx - Chart canvas context
+     */
+    drawHighlightRing(ctx) {
+        if (!this.highlightedStation) return;
+
+        const element = this.findHighlightedElement();
+        if (!element) return;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(element.x, element.y, 10, 0, 2 * Math.PI);
+        ctx.strokeStyle = SELECTION_STYLE.LINKED_RING;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * Sets up pointer handlers that draw a box or lasso while a brush mode is active
+     * The finished polygon (canvas pixels) is passed to onBrushEnd
+     */
+    setupBrushHandlers() {
+        let start = null;
+
+        this.canvas.addEventListener('pointerdown', (evt) => {
+            if (!this.brushMode) return;
+
+            start = [evt.offsetX, evt.offsetY];
+            this.brushPath = [start];
+            this.canvas.setPointerCapture(evt.pointerId);
+        });
+
+        this.canvas.addEventListener('pointermove', (evt) => {
+            if (!this.brushMode || !start) return;
+
+            const [x0, y0] = start;
+            const x = evt.offsetX;
+            const y = evt.offsetY;
+
+            this.brushPath = this.brushMode === 'box'
+                ? [[x0, y0], [x, y0], [x, y], [x0, y]]
+                : [...this.brushPath, [x, y]];
+            this.chart.draw();
+        });
+
+        this.canvas.addEventListener('pointerup', () => {
+            if (!this.brushMode || !start) return;
+
+            const path = this.brushPath;
+            start = null;
+            this.brushPath = null;
+            this.chart.draw();
+
+            if (path.length >= 3 && this.onBrushEnd) {
+                this.onBrushEnd(path);
+            }
+        });
+    }
+
+    /**
+     * Sets the brush mode used for selecting points by dragging
+     *
+     * @param {string|null} mode - 'box', 'lasso', or null to restore click-to-exclude
+     */
+    setBrushMode(mode) {
+        this.brushMode = mode;
+        this.canvas.style.cursor = mode ? 'crosshair' : '';
+    }
+
+    /**
+     * Gets the canvas pixel position of every plotted gauge point (within the focus set, if any)
+     *
+     * @returns {Array<Object>} Points with stationId, x and y (canvas pixels)
+     */
+    getPointPixels() {
+        const { x: xScale, y: yScale } = this.chart.scales;
+
+        return this.data
+            .filter(point => !this.focusStations || this.focusStations.has(point.stationId))
+            .map(point => ({
+                stationId: point.stationId,
+                x: xScale.getPixelForValue(point.plotX),
+                y: yScale.getPixelForValue(point.plotY)
+            }));
+    }
+
+    /**
+     * Highlights the selected stations' points
+     *
+     * @param {Set<string>} stationIds - Selected station IDs
+     */
+    setSelectedStations(stationIds) {
+        this.selectedStations = stationIds;
+        this.chart.update('none');
+    }
+
+    /**
+     * Restricts the chart and statistics to a set of stations
+     *
+     * @param {Set<string>|null} stationIds - Station IDs to show, or null to show all
+     */
+    setFocusStations(stationIds) {
+        this.focusStations = stationIds;
+        this.refreshDisplay();
+    }
+
+    /**
+     * Finds the original index in the data array for a chart point
+     *
+     * @param {Object} chartPoint - Chart point with stationId
+     * @returns {number} Index in data array, or -1 if not found
+     */
+    findOriginalIndex(chartPoint) {
+        return this.data.findIndex(d => d.stationId === chartPoint.stationId);
+    }
+
+    /**
+     * Checks whether a QC-flagged point is excluded because of its flags
+     * Flagged points are excluded unless flagged gauges are included or the user clicked the point back in
+     *
+     * @param {Object} point - Scatter point
+     * @returns {boolean} True if excluded by QC
+     */
+    isExcludedByQc(point) {
+        return point.qcFlagged && !this.includeQcFlagged && !this.qcOverrides.has(point.stationId);
+    }
+
+    /**
+     * Checks whether a point is excluded from the statistics (exclusion list or QC)
+     *
+     * @param {number} index - Index of the point in the data array
+     * @returns {boolean} True if the point is excluded
+     */
+    isExcluded(index) {
+        return this.isPointExcluded(this.data[index]);
+    }
+
+    /**
+     * Checks whether a gauge is excluded from the statistics (exclusion list or QC), plotted or not
+     *
+     * @param {Object} point - Point with stationId and qcFlagged
+     * @returns {boolean} True if the gauge is excluded
+     */
+    isPointExcluded(point) {
+        return this.exclusions.isExcluded(point.stationId) || this.isExcludedByQc(point);
+    }
+
+    /**
+     * Sets whether QC-flagged gauges are included in the statistics by default
+     *
+     * @param {boolean} include - True to include flagged gauges
+     */
+    setIncludeQcFlagged(include) {
+        this.includeQcFlagged = include;
+        this.refreshDisplay();
+    }
+
+    /**
+     * Toggles the exclusion state of a gauge point
+     * Excluded points are shown with a red X (magenta triangle if QC-flagged) and not included in statistics
+     * Manual exclusions go on the active exclusion list, which redraws the chart through its change listener
+     *
+     * @param {number} index - Index of the point in the data array
+     */
+    toggleExclude(index) {
+        const point = this.data[index];
 
-        /**
-         * Updates the statistics display in the UI
-         *
-         * @param {Array<Object>} data - Array of data points
-         */
-        updateStatistics(data) {
-            const stats = this.calculateStatistics(data);
-
-            const meanBiasEl = document.getElementById('stat-mean-bias');
-            const addBiasEl = document.getElementById('stat-add-bias');
-            const maeEl = document.getElementById('stat-mae');
-            const rmseEl = document.getElementById('stat-rmse');
-            const ccEl = document.getElementById('stat-cc');
-
-            if (meanBiasEl) meanBiasEl.textContent = stats.meanBias !== null ? stats.meanBias.toFixed(2) : '--';
-            if (addBiasEl) addBiasEl.textContent = stats.additiveBias !== null ? stats.additiveBias.toFixed(2) : '--';
-            if (maeEl) maeEl.textContent = stats.mae !== null ? stats.mae.toFixed(2) : '--';
-            if (rmseEl) rmseEl.textContent = stats.rmse !== null ? stats.rmse.toFixed(2) : '--';
-            if (ccEl) ccEl.textContent = stats.cc !== null ? stats.cc.toFixed(2) : '--';
+        if (this.isExcluded(index)) {
+            // Clicking a QC-excluded point includes it despite its flags
+            if (point.qcFlagged) {
+                this.qcOverrides.add(point.stationId);
+            }
+            this.exclusions.setExcluded(point.stationId, false);
+        } else if (point.qcFlagged && this.qcOverrides.has(point.stationId)) {
+            this.qcOverrides.delete(point.stationId);
+        } else {
+            this.exclusions.setExcluded(point.stationId, true);
         }
 
-        /**
-         * Updates the scatterplot with new gauge data
-         *
-         * @param {Array<Object>} gaugeData - Array of gauge data objects
-         * @param {boolean} biasMode - Whether bias mode is active (not used currently)
-         */
-        updateData(gaugeData, biasMode = false) {
-            if (!gaugeData || gaugeData.length === 0) {
-                this.clearData();
+        this.refreshDisplay();
+    }
+
+    /**
+     * Refreshes the chart display and recalculates statistics
+     * Separates data into included and excluded datasets, skipping points outside the focus set
+     */
+    refreshDisplay() {
+        const includedData = [];
+        const excludedData = [];
+
+        this.data.forEach((point, index) => {
+            if (this.focusStations && !this.focusStations.has(point.stationId)) {
                 return;
             }
 
-            const scatterData = this.prepareScatterData(gaugeData);
-            this.data = scatterData;
-            this.fullGaugeData = gaugeData.filter(d => d.displayValue > 0);
+            if (this.isExcluded(index)) {
+                excludedData.push(point);
+            } else {
+                includedData.push(point);
+            }
+        });
 
-            this.autoAdjustScales(scatterData);
-            this.refreshDisplay();
+        this.chart.data.datasets[0].data = includedData;
+        this.chart.data.datasets[1].data = excludedData;
+        this.updateComparisonDatasets(includedData);
+        this.updateFitOverlays(includedData);
+        this.colorScale = this.buildColorScale(includedData);
+        this.updateLegend();
+        this.chart.update();
+
+        this.updateStatistics(includedData);
+    }
+
+    /**
+     * Updates the statistics display in the UI
+     * Also passes the included points to the statistics listeners (used by breakdown tables)
+     *
+     * @param {Array<Object>} data - Array of data points
+     */
+    updateStatistics(data) {
+        this.includedData = data;
+        updateStatisticsDisplay(calculateStatistics(data));
+        this.statisticsListeners.forEach(listener => listener(data));
+    }
+
+    /**
+     * Builds the legend entries for the threshold bands (from BIAS_COLOR_THRESHOLDS or
+     * PRECIP_COLOR_THRESHOLDS) that color at least one point
+     *
+     * @param {Array<Object>} thresholds - Threshold bands, highest first
+     * @param {Set<string>} usedColors - Colors assigned to the included points
+     * @param {string} unit - Unit suffix for the labels
+     * @returns {Array<Object>} Legend entries with color and label
+     */
+    buildThresholdLegend(thresholds, usedColors, unit) {
+        const legend = thresholds
+            .filter(({ color }) => usedColors.has(color))
+            .map(({ threshold, color }) => ({ color, label: `≥ ${threshold}${unit}` }));
+
+        if (usedColors.has(ZERO_PRECIP_COLOR)) {
+            legend.push({ color: ZERO_PRECIP_COLOR, label: 'None' });
         }
 
-        /**
-         * Prepares gauge data for scatterplot display
-         *
-         * @param {Array<Object>} gaugeData - Array of gauge data objects
-         * @returns {Array<Object>} Array of scatter points with x, y, and bias
-         */
-        prepareScatterData(gaugeData) {
-            return gaugeData
-                .filter(d => d.displayValue > 0)
-                .map(d => ({
-                    x: d.displayValue,
-                    y: d.mrmsValue !== null && d.mrmsValue !== undefined ? d.mrmsValue : 0,
-                    bias: d.biasRatio
-                }));
+        return legend;
+    }
+
+    /**
+     * Builds the color scale for the selected "color points by" attribute
+     * Provider colors and latitude classes depend on the points shown, so the scale is rebuilt on every refresh
+     *
+     * @param {Array<Object>} data - Included scatter points
+     * @returns {Object|null} Scale with colorFor(point) and legend entries, or null for the default color
+     */
+    buildColorScale(data) {
+        const attribute = this.colorBy === 'map' ? (this.biasMode ? 'bias' : 'magnitude') : this.colorBy;
+
+        switch (attribute) {
+            case 'bias': {
+                const colorFor = (point) => getBiasColor(point.bias);
+                const used = new Set(data.map(colorFor));
+                return { colorFor, legend: this.buildThresholdLegend(BIAS_COLOR_THRESHOLDS, used, '') };
+            }
+
+            case 'magnitude': {
+                const colorFor = (point) => getPrecipitationColor(point.x);
+                const used = new Set(data.map(colorFor));
+                return { colorFor, legend: this.buildThresholdLegend(PRECIP_COLOR_THRESHOLDS, used, ' in') };
+            }
+
+            case 'provider': {
+                const counts = new Map();
+                data.forEach(point => counts.set(point.provider, (counts.get(point.provider) || 0) + 1));
+
+                // The largest providers get palette colors; the rest share the "other" color
+                const palette = SCATTERPLOT_COLORS.PROVIDER_PALETTE;
+                const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+                const colors = new Map(ranked.slice(0, palette.length).map(([provider], i) => [provider, palette[i]]));
+
+                const legend = [...colors.entries()].map(([provider, color]) => ({ color, label: provider || 'Unknown' }));
+                if (ranked.length > palette.length) {
+                    legend.push({ color: SCATTERPLOT_COLORS.OTHER_COLOR, label: `Other (${ranked.length - palette.length})` });
+                }
+
+                return { colorFor: (point) => colors.get(point.provider) || SCATTERPLOT_COLORS.OTHER_COLOR, legend };
+            }
+
+            case 'latitude': {
+                const ramp = SCATTERPLOT_COLORS.LATITUDE_RAMP;
+                const lats = data.map(point => point.lat).filter(isFinite);
+                if (lats.length === 0) return { colorFor: () => SCATTERPLOT_COLORS.OTHER_COLOR, legend: [] };
+
+                const minLat = Math.min(...lats);
+                const classWidth = (Math.max(...lats) - minLat) / ramp.length || 1;
+                const classOf = (lat) => Math.min(Math.floor((lat - minLat) / classWidth), ramp.length - 1);
+
+                return {
+                    colorFor: (point) => isFinite(point.lat) ? ramp[classOf(point.lat)] : SCATTERPLOT_COLORS.OTHER_COLOR,
+                    legend: ramp.map((color, i) => ({
+                        color,
+                        label: `${(minLat + i * classWidth).toFixed(1)}-${(minLat + (i + 1) * classWidth).toFixed(1)}°N`
+                    }))
+                };
+            }
+
+            case 'qc':
+                return {
+                    colorFor: (point) => point.qcFlagged ? SCATTERPLOT_COLORS.QC_FLAGGED_COLOR : SCATTERPLOT_COLORS.QC_PASS_COLOR,
+                    legend: [
+                        { color: SCATTERPLOT_COLORS.QC_PASS_COLOR, label: 'Passed QC' },
+                        { color: SCATTERPLOT_COLORS.QC_FLAGGED_COLOR, label: 'QC flagged (included)' }
+                    ]
+                };
+
+            default:
+                return null;
         }
+    }
+
+    /**
+     * Shows the color scale legend under the chart (hidden for the default color)
+     */
+    updateLegend() {
+        const legendElement = document.getElementById('scatterplot-legend');
+        if (!legendElement) return;
 
-        /**
-         * Auto-adjusts scale ranges based on data extent
-         *
-         * @param {Array<Object>} scatterData - Array of scatter points
-         */
-        autoAdjustScales(scatterData) {
-            if (scatterData.length === 0) return;
-
-            const maxGauge = Math.max(...scatterData.map(d => d.x));
-            const maxRadar = Math.max(...scatterData.map(d => d.y));
-            const maxVal = Math.max(maxGauge, maxRadar);
-            const scaleMax = Math.ceil(maxVal * SCATTERPLOT_DEFAULTS.SCALE_PADDING_FACTOR);
-
-            this.chart.options.scales.x.max = scaleMax;
-            this.chart.options.scales.y.max = scaleMax;
+        const entries = this.colorScale ? this.colorScale.legend : [];
+        legendElement.style.display = entries.length > 0 ? '' : 'none';
+        legendElement.innerHTML = '';
+
+        // Provider labels come from the MADIS files, so they are set as text
+        for (const { color, label } of entries) {
+            const item = document.createElement('span');
+            item.className = 'legend-item';
+
+            const swatch = document.createElement('span');
+            swatch.className = 'legend-swatch';
+            swatch.style.backgroundColor = color;
+
+            const text = document.createElement('span');
+            text.textContent = label;
+
+            item.appendChild(swatch);
+            item.appendChild(text);
+            legendElement.appendChild(item);
         }
+    }
 
-        /**
-         * Shows a crosshair marker on the map at the specified location
-         *
-         * @param {number} lat - Latitude
-         * @param {number} lon - Longitude
-         */
-        showCrosshair(lat, lon) {
-            if (!this.map) return;
-
-            if (this.crosshairMarker) {
-                this.map.removeLayer(this.crosshairMarker);
-            }
+    /**
+     * Sets the attribute the points are colored by
+     *
+     * @param {string} attribute - 'none', 'map' (match the map markers), 'bias', 'magnitude', 'provider', 'latitude' or 'qc'
+     */
+    setColorBy(attribute) {
+        this.colorBy = attribute;
+        this.refreshDisplay();
+    }
+
+    /**
+     * Sets whether the map colors gauges by bias, recoloring points that match the map
+     *
+     * @param {boolean} biasMode - Whether the map colors gauges by bias
+     */
+    setBiasMode(biasMode) {
+        this.biasMode = biasMode;
+        if (this.colorBy === 'map') {
+            this.refreshDisplay();
+        }
+    }
 
-            const crosshairIcon = this.createCrosshairIcon();
+    /**
+     * Updates the scatterplot with new gauge data
+     *
+     * @param {Array<Object>} gaugeData - Array of gauge data objects
+     * @param {boolean} biasMode - Whether the map colors gauges by bias (used when coloring points to match the map)
+     */
+    updateData(gaugeData, biasMode = false) {
+        this.biasMode = biasMode;
 
-            this.crosshairMarker = L.marker([lat, lon], {
-                icon: crosshairIcon,
-                interactive: false,
-                zIndexOffset: 1000
-            }).addTo(this.map);
+        if (!gaugeData || gaugeData.length === 0) {
+            this.clearData();
+            return;
         }
 
-        /**
-         * Creates a crosshair icon for map display
-         *
-         * @returns {Object} Leaflet divIcon
-         */
-        createCrosshairIcon() {
-            return L.divIcon({
-                className: 'crosshair-icon',
-                html: '<div style="position: relative; width: 40px; height: 40px;">' +
-                      '<div style="position: absolute; top: 50%; left: 0; width: 100%; height: 2px; background: red; transform: translateY(-50%);"></div>' +
-                      '<div style="position: absolute; left: 50%; top: 0; width: 2px; height: 100%; background: red; transform: translateX(-50%);"></div>' +
-                      '</div>',
-                iconSize: [40, 40],
-                iconAnchor: [20, 20]
+        const scatterData = this.prepareScatterData(gaugeData);
+        this.data = scatterData;
+        this.fullGaugeData = gaugeData.filter(d => d.displayValue > 0);
+
+        this.autoAdjustScales(scatterData);
+        this.refreshDisplay();
+    }
+
+    /**
+     * Prepares gauge data for scatterplot display
+     *
+     * @param {Array<Object>} gaugeData - Array of gauge data objects
+     * @returns {Array<Object>} Array of scatter points with x, y, plotX, plotY (plotted position), bias, stationId,
+     *     marker, provider, obvTime, lat, qcFlags, and qcFlagged
+     */
+    prepareScatterData(gaugeData) {
+        return gaugeData
+            .filter(d => d.displayValue > 0)
+            .map(d => {
+                const radar = d.mrmsValue !== null && d.mrmsValue !== undefined ? d.mrmsValue : 0;
+                return {
+                    x: d.displayValue,
+                    y: radar,
+                    plotX: this.toPlotValue(d.displayValue),
+                    plotY: this.toPlotValue(radar),
+                    bias: d.biasRatio,
+                    stationId: d.stationId,
+                    marker: this.markerLookup ? this.markerLookup(d.stationId) : undefined,
+                    provider: d.provider,
+                    obvTime: d.obvTime,
+                    lat: d.lat,
+                    qcFlags: d.qcFlags || [],
+                    qcFlagged: d.qcFlags && d.qcFlags.length > 0
+                };
             });
+    }
+
+    /**
+     * Auto-adjusts scale ranges based on data extent
+     *
+     * @param {Array<Object>} scatterData - Array of scatter points
+     */
+    autoAdjustScales(scatterData) {
+        if (scatterData.length === 0) return;
+
+        const maxGauge = Math.max(...scatterData.map(d => d.x));
+        const maxRadar = Math.max(...scatterData.map(d => d.y));
+        const maxVal = Math.max(maxGauge, maxRadar);
+
+        this.autoMax = Math.ceil(maxVal * SCATTERPLOT.SCALE_PADDING_FACTOR);
+        this.applyAxisRange();
+    }
+
+    /**
+     * Applies the axis range to both axes: manual limits where set, otherwise the automatic range
+     * Manual limits that don't fit the scale (non-positive on log axes, max not above min) are ignored
+     */
+    applyAxisRange() {
+        const defaultMin = this.logScale ? SCATTERPLOT_DISPLAY.LOG_AXIS_MIN : SCATTERPLOT.DEFAULT_MIN;
+        const manualMin = this.axisLimits.min;
+        const min = manualMin !== null && (!this.logScale || manualMin > 0) ? manualMin : defaultMin;
+        const max = this.axisLimits.max !== null && this.axisLimits.max > min ? this.axisLimits.max : Math.max(this.autoMax, min * 10);
+
+        for (const axis of [this.chart.options.scales.x, this.chart.options.scales.y]) {
+            axis.min = min;
+            axis.max = max;
         }
 
-        /**
-         * Hides the crosshair marker from the map
-         */
-        hideCrosshair() {
-            if (this.crosshairMarker && this.map) {
-                this.map.removeLayer(this.crosshairMarker);
-                this.crosshairMarker = null;
-            }
+        // The 1:1 line must start above zero on log axes
+        this.referenceLine.data = [{ x: min, y: min }, { x: max, y: max }];
+    }
+
+    /**
+     * Switches both axes between linear and log scales
+     *
+     * @param {boolean} enabled - True for log axes
+     */
+    setLogScale(enabled) {
+        this.logScale = enabled;
+        this.chart.options.scales.x = this.createXAxisConfig();
+        this.chart.options.scales.y = this.createYAxisConfig();
+
+        for (const point of [...this.data, ...this.comparisonSeries.flatMap(series => series.points)]) {
+            point.plotX = this.toPlotValue(point.x);
+            point.plotY = this.toPlotValue(point.y);
         }
 
-        /**
-         * Clears all data from the scatterplot and resets scales
-         */
-        clearData() {
-            this.data = [];
-            this.fullGaugeData = [];
-            this.excludedIndices.clear();
-            this.chart.data.datasets[0].data = [];
-            this.chart.data.datasets[1].data = [];
-            this.chart.options.scales.x.max = SCATTERPLOT_DEFAULTS.DEFAULT_MAX;
-            this.chart.options.scales.y.max = SCATTERPLOT_DEFAULTS.DEFAULT_MAX;
-            this.chart.update();
-
-            this.updateStatistics([]);
+        this.applyAxisRange();
+        this.refreshDisplay();
+    }
+
+    /**
+     * Sets manual axis limits that override the automatic range (applied to both axes to keep the 1:1 line diagonal)
+     *
+     * @param {number|null} min - Axis minimum in inches, or null for automatic
+     * @param {number|null} max - Axis maximum in inches, or null for automatic
+     */
+    setAxisLimits(min, max) {
+        this.axisLimits = { min, max };
+        this.applyAxisRange();
+        this.refreshDisplay();
+    }
+
+    /**
+     * Sets how the points are rendered
+     *
+     * @param {string} mode - 'auto' (density behind points for large sets), 'points', 'density' (behind points) or 'density-only'
+     */
+    setDensityMode(mode) {
+        this.densityMode = mode;
+        this.chart.update();
+    }
+
+    /**
+     * Shows a crosshair marker on the map at the specified location
+     *
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     */
+    showCrosshair(lat, lon) {
+        if (!this.map) return;
+
+        if (this.crosshairMarker) {
+            this.map.removeLayer(this.crosshairMarker);
         }
 
-        /**
-         * Gets the current data array
-         *
-         * @returns {Array<Object>} Current data array
-         */
-        getData() {
-            return this.data;
+        const crosshairIcon = this.createCrosshairIcon();
+
+        this.crosshairMarker = L.marker([lat, lon], {
+            icon: crosshairIcon,
+            interactive: false,
+            zIndexOffset: 1000
+        }).addTo(this.map);
+    }
+
+    /**
+     * Creates a crosshair icon for map display
+     *
+     * @returns {Object} Leaflet divIcon
+     */
+    createCrosshairIcon() {
+        return L.divIcon({
+            className: 'crosshair-icon',
+            html: '<div style="position: relative; width: 40px; height: 40px;">' +
+                  '<div style="position: absolute; top: 50%; left: 0; width: 100%; height: 2px; background: red; transform: translateY(-50%);"></div>' +
+                  '<div style="position: absolute; left: 50%; top: 0; width: 2px; height: 100%; background: red; transform: translateX(-50%);"></div>' +
+                  '</div>',
+            iconSize: [40, 40],
+            iconAnchor: [20, 20]
+        });
+    }
+
+    /**
+     * Hides the crosshair marker from the map
+     */
+    hideCrosshair() {
+        if (this.crosshairMarker && this.map) {
+            this.map.removeLayer(this.crosshairMarker);
+            this.crosshairMarker = null;
         }
     }
 
-    // Export to global scope for backwards compatibility
-    window.ScatterplotManager = ScatterplotManager;
+    /**
+     * Clears all data from the scatterplot and resets scales
+     */
+    clearData() {
+        this.data = [];
+        this.fullGaugeData = [];
+        this.chart.data.datasets[0].data = [];
+        this.chart.data.datasets[1].data = [];
+        this.autoMax = SCATTERPLOT.DEFAULT_MAX;
+        this.applyAxisRange();
+        this.updateFitOverlays([]);
+        this.colorScale = this.buildColorScale([]);
+        this.updateLegend();
+        this.chart.update();
+
+        this.updateStatistics([]);
+    }
 
-})(window);
+    /**
+     * Gets the current data array
+     *
+     * @returns {Array<Object>} Current data array
+     */
+    getData() {
+        return this.data;
+    }
+}
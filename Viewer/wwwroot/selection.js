@@ -0,0 +1,227 @@
+/**
+ * Gauge Selection Module
+ * Selects gauges with a box or lasso on the scatterplot, or a polygon drawn on the map,
+ * then highlights, excludes, or isolates the selection
+ */
+
+import { SELECTION } from './config.js';
+
+/**
+ * Tests whether a point lies inside a polygon (ray casting)
+ *
+ * @param {number} x - Point x (or longitude)
+ * @param {number} y - Point y (or latitude)
+ * @param {Array<Array<number>>} polygon - Vertices as [x, y] pairs
+ * @returns {boolean} True if the point is inside
+ */
+export function pointInPolygon(x, y, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Initializes gauge selection and returns its controller interface
+ *
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} madisController - MADIS controller instance with setHighlightedStations method
+ * @param {Object} exclusions - Exclusion list controller
+ * @returns {Object} Controller object for selecting gauges
+ */
+export function initializeSelection(map, madisController, exclusions) {
+    const state = {
+        stations: new Set(),
+        focused: false,
+        polygonLayer: null,
+        drawing: null
+    };
+
+    /**
+     * Updates the selection count label and the selection action buttons
+     */
+    function updateSelectionDisplay() {
+        const countLabel = document.getElementById('selection-count');
+        if (countLabel) {
+            countLabel.textContent = state.focused
+                ? `${state.stations.size} selected (showing only selection)`
+                : `${state.stations.size} selected`;
+        }
+
+        ['selection-exclude-btn', 'selection-focus-btn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = state.stations.size === 0;
+        });
+    }
+
+    /**
+     * Makes a set of stations the current selection and highlights it in the chart and on the map
+     *
+     * @param {Set<string>} stationIds - Selected station IDs
+     */
+    function applySelection(stationIds) {
+        state.stations = stationIds;
+
+        if (window.scatterplotManager) {
+            window.scatterplotManager.setSelectedStations(stationIds);
+            if (state.focused) {
+                window.scatterplotManager.setFocusStations(stationIds);
+            }
+        }
+        madisController.setHighlightedStations(stationIds);
+
+        updateSelectionDisplay();
+    }
+
+    /**
+     * Selects the scatterplot points inside a brush polygon
+     *
+     * @param {Array<Array<number>>} path - Brush polygon in canvas pixels
+     */
+    function selectFromScatterplot(path) {
+        const selected = new Set(
+            window.scatterplotManager.getPointPixels()
+                .filter(p => pointInPolygon(p.x, p.y, path))
+                .map(p => p.stationId)
+        );
+
+        applySelection(selected);
+    }
+
+    /**
+     * Selects the plotted gauges inside a map polygon, then restricts the scatterplot to them
+     *
+     * @param {Array<Object>} latlngs - Polygon vertices as Leaflet LatLngs
+     */
+    function selectFromMapPolygon(latlngs) {
+        const polygon = latlngs.map(ll => [ll.lng, ll.lat]);
+        const selected = new Set(
+            window.fullGaugeData
+                .filter(d => pointInPolygon(d.lon, d.lat, polygon))
+                .map(d => d.stationId)
+        );
+
+        state.focused = true;
+        applySelection(selected);
+    }
+
+    /**
+     * Ends polygon drawing and restores the map's normal interaction
+     */
+    function stopDrawing() {
+        if (!state.drawing) return;
+
+        map.off('click', state.drawing.onClick);
+        map.off('dblclick', state.drawing.onDoubleClick);
+        document.removeEventListener('keydown', state.drawing.onKeyDown);
+        map.removeLayer(state.drawing.preview);
+        map.doubleClickZoom.enable();
+        map.getContainer().style.cursor = '';
+
+        state.drawing = null;
+    }
+
+    if (window.scatterplotManager) {
+        window.scatterplotManager.onBrushEnd = selectFromScatterplot;
+    }
+
+    return {
+        /**
+         * Starts drawing a selection polygon on the map
+         * Click to add vertices, double-click to finish, Escape to cancel
+         */
+        startPolygonDraw: function() {
+            stopDrawing();
+
+            const vertices = [];
+            const preview = L.polyline([], SELECTION.POLYGON_STYLE).addTo(map);
+
+            // A double-click also fires two clicks at the finishing point; add that vertex once
+            const onClick = (e) => {
+                const last = vertices[vertices.length - 1];
+                if (last && last.equals(e.latlng)) return;
+
+                vertices.push(e.latlng);
+                preview.setLatLngs(vertices);
+            };
+
+            const onDoubleClick = () => {
+                stopDrawing();
+                while (vertices.length > 1 && vertices[vertices.length - 1].equals(vertices[vertices.length - 2])) {
+                    vertices.pop();
+                }
+                if (vertices.length < 3) return;
+
+                if (state.polygonLayer) map.removeLayer(state.polygonLayer);
+                state.polygonLayer = L.polygon(vertices, { ...SELECTION.POLYGON_STYLE, interactive: false }).addTo(map);
+
+                selectFromMapPolygon(vertices);
+            };
+
+            const onKeyDown = (e) => {
+                if (e.key === 'Escape') stopDrawing();
+            };
+
+            map.doubleClickZoom.disable();
+            map.getContainer().style.cursor = 'crosshair';
+            map.on('click', onClick);
+            map.on('dblclick', onDoubleClick);
+            document.addEventListener('keydown', onKeyDown);
+
+            state.drawing = { preview, onClick, onDoubleClick, onKeyDown };
+        },
+
+        /**
+         * Adds the selected stations to the active exclusion list
+         */
+        excludeSelection: function() {
+            if (state.stations.size === 0) return;
+            exclusions.setExcludedMany([...state.stations], true);
+        },
+
+        /**
+         * Restricts the scatterplot and statistics to the selected stations
+         */
+        showOnlySelection: function() {
+            if (state.stations.size === 0) return;
+
+            state.focused = true;
+            applySelection(state.stations);
+        },
+
+        /**
+         * Clears the selection, the map polygon and any scatterplot restriction
+         */
+        clear: function() {
+            stopDrawing();
+
+            if (state.polygonLayer) {
+                map.removeLayer(state.polygonLayer);
+                state.polygonLayer = null;
+            }
+
+            state.focused = false;
+            if (window.scatterplotManager) {
+                window.scatterplotManager.setFocusStations(null);
+            }
+            applySelection(new Set());
+        },
+
+        /**
+         * Gets the selected station IDs
+         *
+         * @returns {Set<string>} Selected station IDs
+         */
+        getSelection: function() {
+            return state.stations;
+        }
+    };
+}
@@ -0,0 +1,234 @@
+/**
+ * Session Export Module
+ * Builds gauge exports (CSV with every field, GeoJSON points for GIS tools), a categorical scores CSV and a JSON session file
+ * recording the product, valid time, matching method, filters and computed statistics
+ */
+
+import { MRMS_ZERO_THRESHOLD, SESSION_EXPORT } from './config.js';
+import { getSamplingMethodLabel } from './samplingMethods.js';
+import {
+    calculateStatistics,
+    bootstrapMeanBiasInterval,
+    calculateCategoricalScores,
+    calculateProviderStatistics
+} from './statisticsCalculator.js';
+
+/**
+ * Builds one export record per gauge
+ * The bias ratio is the true gauge/MRMS ratio, left empty where MRMS is zero
+ * (the map uses a sentinel ratio there for coloring)
+ *
+ * @param {Array<Object>} gauges - Processed gauge data objects
+ * @param {Function} isExcluded - Returns true if a gauge ({ stationId, qcFlagged }) is excluded from the statistics
+ * @returns {Array<Object>} Export records
+ */
+export function buildExportRecords(gauges, isExcluded) {
+    return gauges.filter(Boolean).map(gauge => {
+        const mrms = gauge.mrmsValue !== null && gauge.mrmsValue !== undefined ? gauge.mrmsValue : null;
+        const qcFlags = gauge.qcFlags || [];
+
+        return {
+            stationId: gauge.stationId,
+            provider: gauge.provider,
+            obvTime: gauge.obvTime,
+            lat: gauge.lat,
+            lon: gauge.lon,
+            gauge: gauge.displayValue,
+            mrms,
+            biasRatio: mrms !== null && mrms >= MRMS_ZERO_THRESHOLD ? gauge.displayValue / mrms : null,
+            matching: getSamplingMethodLabel(gauge.samplingMethod, gauge.samplingRadius),
+            hoursReported: gauge.hoursReported ?? null,
+            hoursExpected: gauge.hoursExpected ?? null,
+            qcFlags,
+            excluded: isExcluded({ stationId: gauge.stationId, qcFlagged: qcFlags.length > 0 })
+        };
+    });
+}
+
+/**
+ * Quotes a CSV field when it contains a comma, quote or newline
+ *
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rounds an amount for export, keeping empty values empty
+ *
+ * @param {number|null} value - Value
+ * @param {number} digits - Decimal places
+ * @returns {number|null} Rounded value
+ */
+function roundValue(value, digits) {
+    return value !== null && value !== undefined && isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+/**
+ * Generates a CSV table of export records (one row per gauge, QC reasons separated by semicolons)
+ *
+ * @param {Array<Object>} records - Records from buildExportRecords
+ * @returns {string} CSV formatted string
+ */
+export function generateRecordsCSV(records) {
+    const header = [
+        'Gauge ID', 'Provider', 'Obs Time', 'Latitude', 'Longitude', 'Gauge QPE (in)', 'MRMS QPE (in)',
+        'Bias (G/R)', 'Matching Method', 'Hours Reported', 'Hours Expected', 'QC Flags', 'Excluded'
+    ];
+
+    const rows = records.map(record => [
+        record.stationId,
+        record.provider,
+        record.obvTime,
+        roundValue(record.lat, 4),
+        roundValue(record.lon, 4),
+        roundValue(record.gauge, SESSION_EXPORT.VALUE_DIGITS),
+        roundValue(record.mrms, SESSION_EXPORT.VALUE_DIGITS),
+        roundValue(record.biasRatio, SESSION_EXPORT.VALUE_DIGITS),
+        record.matching,
+        record.hoursReported,
+        record.hoursExpected,
+        record.qcFlags.join('; '),
+        record.excluded ? 1 : 0
+    ].map(csvField).join(','));
+
+    return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Generates a CSV table of categorical scores (one row per threshold), exported as its own file
+ *
+ * @param {Array<Object>} rows - Rows from calculateCategoricalScores
+ * @returns {string} CSV formatted string
+ */
+export function generateCategoricalScoresCSV(rows) {
+    const header = [
+        'Threshold (in)', 'Hits', 'Misses', 'False Alarms', 'Correct Negatives',
+        'POD', 'FAR', 'CSI', 'Frequency Bias', 'ETS', 'HSS'
+    ];
+
+    const lines = rows.map(row => [
+        row.threshold,
+        row.hits,
+        row.misses,
+        row.falseAlarms,
+        row.correctNegatives,
+        roundValue(row.pod, SESSION_EXPORT.VALUE_DIGITS),
+        roundValue(row.far, SESSION_EXPORT.VALUE_DIGITS),
+        roundValue(row.csi, SESSION_EXPORT.VALUE_DIGITS),
+        roundValue(row.frequencyBias, SESSION_EXPORT.VALUE_DIGITS),
+        roundValue(row.ets, SESSION_EXPORT.VALUE_DIGITS),
+        roundValue(row.hss, SESSION_EXPORT.VALUE_DIGITS)
+    ].map(csvField).join(','));
+
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+/**
+ * Generates a GeoJSON FeatureCollection of gauge points
+ *
+ * @param {Array<Object>} records - Records from buildExportRecords
+ * @returns {string} GeoJSON string
+ */
+export function generateRecordsGeoJSON(records) {
+    const features = records.map(({ lat, lon, ...properties }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [roundValue(lon, 5), roundValue(lat, 5)] },
+        properties: {
+            ...properties,
+            gauge: roundValue(properties.gauge, SESSION_EXPORT.VALUE_DIGITS),
+            mrms: roundValue(properties.mrms, SESSION_EXPORT.VALUE_DIGITS),
+            biasRatio: roundValue(properties.biasRatio, SESSION_EXPORT.VALUE_DIGITS)
+        }
+    }));
+
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+}
+
+/**
+ * Builds the JSON session file: settings, filters, statistics over the included gauges, and the gauges themselves
+ * The records and categorical pairs are already limited to the shown providers and region; the statistics
+ * are further limited to the focus selection, so they match the scatterplot
+ *
+ * @param {Array<Object>} records - Records from buildExportRecords
+ * @param {Object} context - Session settings: info (from the MADIS controller's getSessionInfo),
+ *     exclusionList ({ name, stations }), includeQcFlagged, bounds (viewport, or null for all gauges),
+ *     region ({ set, id, name } or null), focusStations (Set of station IDs, or null for no focus selection),
+ *     categoricalPairs (every included report paired with MRMS, dry ones included), categoricalThresholds and view (bias mode, basemap, overlays and map view, for restoring the session)
+ * @returns {string} JSON string
+ */
+export function generateSessionJSON(records, context) {
+    const {
+        info, exclusionList, includeQcFlagged, bounds, region = null, focusStations = null,
+        categoricalPairs, categoricalThresholds, view
+    } = context;
+    const inFocus = (stationId) => !focusStations || focusStations.has(stationId);
+
+    // Same points the scatterplot uses: radar counts as zero where MRMS has no value
+    const included = records
+        .filter(record => !record.excluded && inFocus(record.stationId))
+        .map(record => ({ x: record.gauge, y: record.mrms ?? 0, provider: record.provider }));
+
+    const session = {
+        format: SESSION_EXPORT.FORMAT,
+        version: SESSION_EXPORT.VERSION,
+        exportedAt: new Date().toISOString(),
+        product: info.product,
+        validTime: { date: info.date, hour: info.hour },
+        accumulationPeriod: info.accumPeriod,
+        matching: { ...info.sampling, label: getSamplingMethodLabel(info.sampling.method, info.sampling.radius) },
+        filters: {
+            viewportBounds: bounds,
+            region,
+            focusStations: focusStations ? [...focusStations].sort() : null,
+            hiddenProviders: info.hiddenProviders,
+            qcRules: info.qcRules,
+            includeQcFlagged,
+            showZeroMrms: info.showZeroMrms,
+            exclusionList
+        },
+        view,
+        statistics: {
+            gaugeCount: records.length,
+            includedCount: included.length,
+            ...calculateStatistics(included),
+            meanBiasInterval: bootstrapMeanBiasInterval(included),
+            categorical: calculateCategoricalScores(categoricalPairs.filter(pair => inFocus(pair.stationId)), categoricalThresholds),
+            byProvider: calculateProviderStatistics(included)
+        },
+        gauges: records
+    };
+
+    return JSON.stringify(session, null, 2);
+}
+
+/**
+ * Reads a JSON session file back into a viewer state for the permalink controller
+ *
+ * @param {string} text - Session file content
+ * @returns {Object} Viewer state (product, valid time, matching, filters, exclusion list and view)
+ */
+export function parseSessionState(text) {
+    const session = JSON.parse(text);
+    if (!session || session.format !== SESSION_EXPORT.FORMAT) {
+        throw new Error('Not an MRMS QPE Viewer session file');
+    }
+    if (session.version > SESSION_EXPORT.VERSION) {
+        throw new Error(`Session file version ${session.version} is newer than this viewer supports`);
+    }
+
+    const filters = session.filters || {};
+
+    return {
+        product: session.product,
+        date: session.validTime?.date,
+        hour: session.validTime?.hour,
+        showZeroMrms: filters.showZeroMrms,
+        sampling: session.matching ? { method: session.matching.method, radius: session.matching.radius } : undefined,
+        exclusions: filters.exclusionList || undefined,
+        ...session.view
+    };
+}
@@ -3,6 +3,31 @@
  * Performs statistical calculations for gauge vs radar QPE comparison
  */
 
+import { MRMS_ZERO_THRESHOLD, STATISTICS, STATISTICS_METRICS, COMPARISON } from './config.js';
+
+/**
+ * Builds a statistics object with every metric unset
+ *
+ * @returns {Object} Statistics object with all values null
+ */
+function emptyStatistics() {
+    return {
+        meanBias: null,
+        additiveBias: null,
+        mae: null,
+        rmse: null,
+        cc: null,
+        medianBiasRatio: null,
+        logRatioMean: null,
+        logRatioStd: null,
+        spearman: null,
+        kge: null,
+        nse: null,
+        normalizedMae: null,
+        fractionalBias: null
+    };
+}
+
 /**
  * Calculates comprehensive statistics comparing gauge and radar QPE data
  *
@@ -13,18 +38,21 @@
  * - RMSE (Root Mean Square Error): square root of average squared differences
  * - CC (Correlation Coefficient): Pearson's correlation coefficient
  *
+ * Robust and log-space statistics (less dominated by a few large gauges):
+ * - Median Bias Ratio: median of gauge / radar (radar above MRMS_ZERO_THRESHOLD)
+ * - Log Ratio Mean / Std: mean and standard deviation of ln(gauge / radar) (both non-zero)
+ * - Spearman: rank correlation coefficient
+ * - KGE (Kling-Gupta efficiency): 1 - sqrt((r-1)^2 + (alpha-1)^2 + (beta-1)^2), radar as the estimate
+ * - NSE (Nash-Sutcliffe efficiency): 1 - sum((gauge-radar)^2) / sum((gauge-mean gauge)^2)
+ * - Normalized MAE: MAE / mean(gauge)
+ * - Fractional Bias: 2 * (sum(radar) - sum(gauge)) / (sum(radar) + sum(gauge))
+ *
  * @param {Array<Object>} data - Array of data points with x (gauge) and y (radar) values
- * @returns {Object} Statistics object with meanBias, additiveBias, mae, rmse, and cc
+ * @returns {Object} Statistics object with the metrics above (null when undefined)
  */
 export function calculateStatistics(data) {
     if (!data || data.length === 0) {
-        return {
-            meanBias: null,
-            additiveBias: null,
-            mae: null,
-            rmse: null,
-            cc: null
-        };
+        return emptyStatistics();
     }
 
     const n = data.length;
@@ -72,15 +100,143 @@ export function calculateStatistics(data) {
         sumRadar / n
     );
 
+    const meanGauge = sumGauge / n;
+    const meanRadar = sumRadar / n;
+    const stdGauge = Math.sqrt(Math.max(sumGaugeSquared / n - meanGauge * meanGauge, 0));
+    const stdRadar = Math.sqrt(Math.max(sumRadarSquared / n - meanRadar * meanRadar, 0));
+
+    // Kling-Gupta: correlation, variability ratio and bias ratio of the radar estimate
+    const kge = cc !== null && stdGauge > 0 && meanGauge > 0
+        ? 1 - Math.sqrt((cc - 1) ** 2 + (stdRadar / stdGauge - 1) ** 2 + (meanRadar / meanGauge - 1) ** 2)
+        : null;
+
+    // Nash-Sutcliffe: squared error relative to the gauge variance
+    const gaugeVariance = stdGauge * stdGauge * n;
+    const nse = gaugeVariance > 0 ? 1 - sumSquaredError / gaugeVariance : null;
+
+    const ratios = data
+        .filter(point => point.y >= MRMS_ZERO_THRESHOLD)
+        .map(point => point.x / point.y);
+
+    const logRatios = data
+        .filter(point => point.x >= MRMS_ZERO_THRESHOLD && point.y >= MRMS_ZERO_THRESHOLD)
+        .map(point => Math.log(point.x / point.y));
+    const logRatioMean = logRatios.length > 0
+        ? logRatios.reduce((sum, v) => sum + v, 0) / logRatios.length
+        : null;
+    const logRatioStd = logRatios.length > 1
+        ? Math.sqrt(logRatios.reduce((sum, v) => sum + (v - logRatioMean) ** 2, 0) / (logRatios.length - 1))
+        : null;
+
     return {
         meanBias,
         additiveBias,
         mae,
         rmse,
-        cc
+        cc,
+        medianBiasRatio: ratios.length > 0 ? median(ratios) : null,
+        logRatioMean,
+        logRatioStd,
+        spearman: calculateSpearmanCorrelation(data),
+        kge,
+        nse,
+        normalizedMae: meanGauge > 0 ? mae / meanGauge : null,
+        fractionalBias: sumGauge + sumRadar > 0 ? 2 * (sumRadar - sumGauge) / (sumRadar + sumGauge) : null
     };
 }
 
+/**
+ * Calculates the median of a list of numbers
+ *
+ * @param {Array<number>} values - Values (not modified)
+ * @returns {number} Median value
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Converts values to ranks, giving tied values their average rank
+ *
+ * @param {Array<number>} values - Values
+ * @returns {Array<number>} Ranks (1-based) in the original order
+ */
+function rankValues(values) {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+
+    for (let i = 0; i < order.length;) {
+        let j = i;
+        while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+
+        const averageRank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) ranks[order[k].index] = averageRank;
+        i = j + 1;
+    }
+
+    return ranks;
+}
+
+/**
+ * Calculates Spearman's rank correlation coefficient (Pearson correlation of the ranks)
+ *
+ * @param {Array<Object>} data - Array of data points with x (gauge) and y (radar) values
+ * @returns {number|null} Rank correlation (-1 to 1), or null if cannot be calculated
+ */
+function calculateSpearmanCorrelation(data) {
+    const gaugeRanks = rankValues(data.map(point => point.x));
+    const radarRanks = rankValues(data.map(point => point.y));
+    const rankedData = data.map((_, i) => ({ x: gaugeRanks[i], y: radarRanks[i] }));
+    const meanRank = (data.length + 1) / 2;
+
+    return calculateCorrelationCoefficient(rankedData, meanRank, meanRank);
+}
+
+/**
+ * Estimates a bootstrap confidence interval for the mean bias (sum(gauge) / sum(radar))
+ * Gauges are resampled with replacement; the interval is the percentile range of the resampled biases
+ *
+ * @param {Array<Object>} data - Array of data points with x (gauge) and y (radar) values
+ * @param {number} iterations - Number of bootstrap resamples
+ * @param {number} confidence - Confidence level (e.g. 0.95)
+ * @param {Function} random - Random number generator returning [0, 1) (replaceable for testing)
+ * @returns {Object|null} Interval with lower and upper, or null if too few points
+ */
+export function bootstrapMeanBiasInterval(data, iterations = STATISTICS.BOOTSTRAP_ITERATIONS,
+    confidence = STATISTICS.CONFIDENCE_LEVEL, random = Math.random) {
+    if (!data || data.length < 2) {
+        return null;
+    }
+
+    const n = data.length;
+    const biases = [];
+
+    for (let i = 0; i < iterations; i++) {
+        let sumGauge = 0;
+        let sumRadar = 0;
+
+        for (let j = 0; j < n; j++) {
+            const point = data[Math.floor(random() * n)];
+            sumGauge += point.x;
+            sumRadar += point.y;
+        }
+
+        if (sumRadar > 0) biases.push(sumGauge / sumRadar);
+    }
+
+    if (biases.length === 0) {
+        return null;
+    }
+
+    biases.sort((a, b) => a - b);
+    const tail = (1 - confidence) / 2;
+    const at = (q) => biases[Math.min(Math.floor(q * biases.length), biases.length - 1)];
+
+    return { lower: at(tail), upper: at(1 - tail) };
+}
+
 /**
  * Calculates Pearson's correlation coefficient
  *
@@ -112,6 +268,434 @@ function calculateCorrelationCoefficient(data, meanGauge, meanRadar) {
     return null;
 }
 
+/**
+ * Fits radar = intercept + slope * gauge by ordinary least squares
+ *
+ * @param {Array<Object>} data - Array of data points with x (gauge) and y (radar) values
+ * @returns {Object|null} Fit with slope, intercept and r2, or null if fewer than two distinct gauge values
+ */
+export function calculateLinearFit(data) {
+    if (!data || data.length < 2) {
+        return null;
+    }
+
+    const n = data.length;
+    const meanGauge = data.reduce((sum, point) => sum + point.x, 0) / n;
+    const meanRadar = data.reduce((sum, point) => sum + point.y, 0) / n;
+
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+
+    for (const point of data) {
+        const gaugeDiff = point.x - meanGauge;
+        const radarDiff = point.y - meanRadar;
+        sxy += gaugeDiff * radarDiff;
+        sxx += gaugeDiff * gaugeDiff;
+        syy += radarDiff * radarDiff;
+    }
+
+    if (sxx === 0) {
+        return null;
+    }
+
+    const slope = sxy / sxx;
+
+    return {
+        slope,
+        intercept: meanRadar - slope * meanGauge,
+        r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : null
+    };
+}
+
+/**
+ * Fits radar = slope * gauge through the origin by least squares
+ * The slope is the radar/gauge multiplicative bias weighted toward large gauges;
+ * R² is the uncentered form 1 - sum(residual^2) / sum(radar^2) used for no-intercept fits
+ *
+ * @param {Array<Object>} data - Array of data points with x (gauge) and y (radar) values
+ * @returns {Object|null} Fit with slope and r2, or null if every gauge is zero
+ */
+export function calculateOriginFit(data) {
+    if (!data || data.length === 0) {
+        return null;
+    }
+
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+
+    for (const point of data) {
+        sxy += point.x * point.y;
+        sxx += point.x * point.x;
+        syy += point.y * point.y;
+    }
+
+    if (sxx === 0) {
+        return null;
+    }
+
+    const slope = sxy / sxx;
+    const sumSquaredResidual = syy - slope * sxy;
+
+    return {
+        slope,
+        r2: syy > 0 ? 1 - sumSquaredResidual / syy : null
+    };
+}
+
+/**
+ * Calculates the conditional mean of radar within gauge-value bins
+ * Shows conditional bias that a single fit hides, such as radar falling off at high gauge amounts
+ *
+ * @param {Array<Object>} data - Array of data points with x (gauge) and y (radar) values
+ * @param {Array<number>} binEdges - Ascending gauge bin edges in inches (lower edge inclusive)
+ * @param {number} minCount - Minimum gauges for a bin to be reported
+ * @returns {Array<Object>} One entry per reported bin with lower, upper, count, meanGauge and meanRadar
+ */
+export function calculateConditionalMean(data, binEdges, minCount = 1) {
+    const bins = binEdges.slice(0, -1).map((lower, i) => ({
+        lower,
+        upper: binEdges[i + 1],
+        count: 0,
+        sumGauge: 0,
+        sumRadar: 0
+    }));
+
+    for (const point of data || []) {
+        const bin = bins.find(b => point.x >= b.lower && point.x < b.upper);
+        if (!bin) continue;
+
+        bin.count++;
+        bin.sumGauge += point.x;
+        bin.sumRadar += point.y;
+    }
+
+    return bins
+        .filter(bin => bin.count > 0 && bin.count >= minCount)
+        .map(bin => ({
+            lower: bin.lower,
+            upper: bin.upper,
+            count: bin.count,
+            meanGauge: bin.sumGauge / bin.count,
+            meanRadar: bin.sumRadar / bin.count
+        }));
+}
+
+/**
+ * Checks whether an amount reaches a rain threshold
+ * Amounts below MRMS_ZERO_THRESHOLD count as zero, so they never reach any threshold
+ *
+ * @param {number|null} value - Amount in inches
+ * @param {number} threshold - Threshold in inches
+ * @returns {boolean} True if the amount is an event at this threshold
+ */
+function meetsThreshold(value, threshold) {
+    return value !== null && value !== undefined && value >= MRMS_ZERO_THRESHOLD && value >= threshold;
+}
+
+/**
+ * Divides two counts, returning null when the denominator is zero
+ *
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number|null} Ratio or null
+ */
+function safeRatio(numerator, denominator) {
+    return denominator !== 0 ? numerator / denominator : null;
+}
+
+/**
+ * Calculates contingency-table (categorical) scores at rain thresholds
+ * The gauge is the observation and the radar the estimate:
+ * hit = both reach the threshold, miss = gauge only, false alarm = radar only
+ *
+ * Scores computed:
+ * - POD (probability of detection): hits / (hits + misses)
+ * - FAR (false alarm ratio): false alarms / (hits + false alarms)
+ * - CSI (critical success index): hits / (hits + misses + false alarms)
+ * - Frequency Bias: (hits + false alarms) / (hits + misses)
+ * - ETS (equitable threat score): CSI adjusted for hits expected by chance
+ * - HSS (Heidke skill score): accuracy relative to random chance
+ *
+ * @param {Array<Object>} data - Gauge/radar pairs with x (gauge) and y (radar) values, dry pairs included
+ *     (they are the correct negatives)
+ * @param {Array<number>} thresholds - Thresholds in inches
+ * @returns {Array<Object>} One row per threshold with counts and scores (null when undefined)
+ */
+export function calculateCategoricalScores(data, thresholds) {
+    return thresholds.map(threshold => {
+        let hits = 0;
+        let misses = 0;
+        let falseAlarms = 0;
+        let correctNegatives = 0;
+
+        for (const point of data) {
+            const observed = meetsThreshold(point.x, threshold);
+            const estimated = meetsThreshold(point.y, threshold);
+
+            if (observed && estimated) hits++;
+            else if (observed) misses++;
+            else if (estimated) falseAlarms++;
+            else correctNegatives++;
+        }
+
+        const total = hits + misses + falseAlarms + correctNegatives;
+        const hitsRandom = safeRatio((hits + misses) * (hits + falseAlarms), total) ?? 0;
+        const hssDenominator = (hits + misses) * (misses + correctNegatives) +
+            (hits + falseAlarms) * (falseAlarms + correctNegatives);
+
+        return {
+            threshold,
+            hits,
+            misses,
+            falseAlarms,
+            correctNegatives,
+            pod: safeRatio(hits, hits + misses),
+            far: safeRatio(falseAlarms, hits + falseAlarms),
+            csi: safeRatio(hits, hits + misses + falseAlarms),
+            frequencyBias: safeRatio(hits + falseAlarms, hits + misses),
+            ets: safeRatio(hits - hitsRandom, hits + misses + falseAlarms - hitsRandom),
+            hss: safeRatio(2 * (hits * correctNegatives - misses * falseAlarms), hssDenominator)
+        };
+    });
+}
+
+/**
+ * Fills the categorical scores table
+ *
+ * @param {Array<Object>} rows - Rows from calculateCategoricalScores
+ */
+export function updateCategoricalScoresTable(rows) {
+    const tbody = document.querySelector('#categorical-stats-table tbody');
+    if (!tbody) return;
+
+    const format = (value) => value !== null && value !== undefined ? value.toFixed(2) : '--';
+
+    tbody.innerHTML = rows.length === 0
+        ? '<tr><td colspan="7">--</td></tr>'
+        : rows.map(row =>
+            `<tr><td>${row.threshold}</td><td>${format(row.pod)}</td><td>${format(row.far)}</td>` +
+            `<td>${format(row.csi)}</td><td>${format(row.frequencyBias)}</td>` +
+            `<td>${format(row.ets)}</td><td>${format(row.hss)}</td></tr>`
+        ).join('');
+}
+
+/**
+ * Calculates statistics separately for each gauge provider
+ *
+ * @param {Array<Object>} data - Array of data points with x (gauge), y (radar) and provider
+ * @returns {Array<Object>} One row per provider with provider, count and the calculateStatistics fields, largest first
+ */
+export function calculateProviderStatistics(data) {
+    const byProvider = new Map();
+
+    for (const point of data) {
+        if (!byProvider.has(point.provider)) byProvider.set(point.provider, []);
+        byProvider.get(point.provider).push(point);
+    }
+
+    return [...byProvider.entries()]
+        .map(([provider, points]) => ({
+            provider,
+            count: points.length,
+            ...calculateStatistics(points)
+        }))
+        .sort((a, b) => b.count - a.count || a.provider.localeCompare(b.provider));
+}
+
+/**
+ * Calculates statistics for several QPE products over the gauges they have in common
+ * Restricting every product to the same stations keeps the columns comparable
+ *
+ * @param {Array<Object>} products - Products with label and points (x gauge, y radar and stationId)
+ * @returns {Array<Object>} One column per product with label, count and the calculateStatistics fields
+ */
+export function calculateComparisonStatistics(products) {
+    const stationSets = products.map(product => new Set(product.points.map(point => point.stationId)));
+    const common = stationSets.length > 0
+        ? stationSets.reduce((shared, stations) => new Set([...shared].filter(id => stations.has(id))))
+        : new Set();
+
+    return products.map(product => {
+        const points = product.points.filter(point => common.has(point.stationId));
+        return { label: product.label, count: points.length, ...calculateStatistics(points) };
+    });
+}
+
+/**
+ * Fills the product comparison table: one row per metric, one column per product,
+ * with the value closest to its ideal (see COMPARISON.IDEAL_VALUES) marked in each row
+ *
+ * @param {Array<Object>} columns - Columns from calculateComparisonStatistics
+ * @param {string} tableId - Table element ID
+ */
+export function updateComparisonTable(columns, tableId = 'comparison-stats-table') {
+    const table = document.getElementById(tableId);
+    if (!table) return;
+
+    const header = table.querySelector('thead');
+    const tbody = table.querySelector('tbody');
+    const format = (value, digits) => value !== null && value !== undefined ? value.toFixed(digits) : '--';
+
+    header.innerHTML = `<tr><th>Metric</th>${columns.map(column => `<th>${column.label}</th>`).join('')}</tr>`;
+
+    if (columns.length === 0) {
+        tbody.innerHTML = '<tr><td>--</td></tr>';
+        return;
+    }
+
+    const countRow = `<tr><td>N (common gauges)</td>${columns.map(column => `<td>${column.count}</td>`).join('')}</tr>`;
+    const metricRows = STATISTICS_METRICS
+        .filter(metric => metric.key in COMPARISON.IDEAL_VALUES)
+        .map(metric => {
+            const ideal = COMPARISON.IDEAL_VALUES[metric.key];
+            const distances = columns.map(column =>
+                column[metric.key] !== null && column[metric.key] !== undefined ? Math.abs(column[metric.key] - ideal) : Infinity
+            );
+            const best = Math.min(...distances);
+            const digits = metric.key.startsWith('logRatio') ? 3 : 2;
+
+            const cells = columns.map((column, index) => {
+                const marked = columns.length > 1 && best !== Infinity && distances[index] === best;
+                return `<td${marked ? ' class="comparison-best"' : ''}>${format(column[metric.key], digits)}</td>`;
+            });
+
+            return `<tr><td>${metric.label}</td>${cells.join('')}</tr>`;
+        });
+
+    tbody.innerHTML = countRow + metricRows.join('');
+}
+
+/**
+ * Appends a table row whose cells are set as text
+ *
+ * @param {HTMLElement} tbody - Table body element
+ * @param {Array<string>} cells - Cell texts
+ * @returns {HTMLElement} The added row
+ */
+function appendTextRow(tbody, cells) {
+    const tr = document.createElement('tr');
+
+    cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+    });
+
+    tbody.appendChild(tr);
+    return tr;
+}
+
+/**
+ * Fills the per-provider statistics table
+ *
+ * @param {Array<Object>} rows - Rows from calculateProviderStatistics
+ */
+export function updateProviderStatisticsTable(rows) {
+    const tbody = document.querySelector('#provider-stats-table tbody');
+    if (!tbody) return;
+
+    const format = (value) => value !== null && value !== undefined ? value.toFixed(2) : '--';
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6">--</td></tr>';
+        return;
+    }
+
+    // Provider names come from the MADIS files, so they are set as text
+    tbody.innerHTML = '';
+    for (const row of rows) {
+        appendTextRow(tbody, [row.provider, String(row.count), format(row.meanBias), format(row.mae), format(row.rmse), format(row.cc)]);
+    }
+}
+
+/**
+ * Calculates statistics for each region that contains at least one point
+ *
+ * @param {Array<Object>} points - Scatter points with x (gauge), y (radar) and stationId
+ * @param {Map<string, Array<string>>} regionsOf - Containing region IDs per station ID (a gauge in
+ *     overlapping regions counts in each; unlisted stations are skipped)
+ * @param {Array<Object>} regions - Regions with id and name, in display order
+ * @returns {Array<Object>} One row per region with id, name, count and the calculateStatistics fields
+ */
+export function calculateRegionStatistics(points, regionsOf, regions) {
+    const byRegion = new Map();
+
+    for (const point of points) {
+        for (const regionId of regionsOf.get(point.stationId) || []) {
+            if (!byRegion.has(regionId)) byRegion.set(regionId, []);
+            byRegion.get(regionId).push(point);
+        }
+    }
+
+    return regions
+        .filter(region => byRegion.has(region.id))
+        .map(region => {
+            const regionPoints = byRegion.get(region.id);
+            return { id: region.id, name: region.name, count: regionPoints.length, ...calculateStatistics(regionPoints) };
+        });
+}
+
+/**
+ * Sorts statistics rows by one column, with unset values last in either direction
+ * Ties are ordered by name
+ *
+ * @param {Array<Object>} rows - Rows with name and the sorted column
+ * @param {string} key - Column to sort by (e.g. 'name', 'count', 'meanBias')
+ * @param {boolean} descending - True for largest first
+ * @returns {Array<Object>} Sorted copy of the rows
+ */
+export function sortStatisticsRows(rows, key, descending) {
+    const direction = descending ? -1 : 1;
+    const isUnset = (value) => value === null || value === undefined || Number.isNaN(value);
+
+    return [...rows].sort((a, b) => {
+        const unsetA = isUnset(a[key]);
+        const unsetB = isUnset(b[key]);
+        if (unsetA || unsetB) {
+            return unsetA === unsetB ? a.name.localeCompare(b.name) : (unsetA ? 1 : -1);
+        }
+
+        const order = typeof a[key] === 'string' ? a[key].localeCompare(b[key]) : a[key] - b[key];
+        return order * direction || a.name.localeCompare(b.name);
+    });
+}
+
+/**
+ * Fills the per-region statistics table and marks the sorted column and the active region
+ * Rows carry their region ID in data-region-id
+ *
+ * @param {Array<Object>} rows - Rows from calculateRegionStatistics, in display order
+ * @param {string|null} activeRegionId - Region the gauges are restricted to, or null
+ * @param {Object} sort - Sorted column with key and descending
+ */
+export function updateRegionStatisticsTable(rows, activeRegionId, sort) {
+    const table = document.getElementById('region-stats-table');
+    if (!table) return;
+
+    table.querySelectorAll('th[data-sort]').forEach(th => {
+        th.classList.toggle('sort-asc', th.dataset.sort === sort.key && !sort.descending);
+        th.classList.toggle('sort-desc', th.dataset.sort === sort.key && sort.descending);
+    });
+
+    const tbody = table.querySelector('tbody');
+    const format = (value) => value !== null && value !== undefined ? value.toFixed(2) : '--';
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6">--</td></tr>';
+        return;
+    }
+
+    // Region names can come from an uploaded file, so they are set as text
+    tbody.innerHTML = '';
+    for (const row of rows) {
+        const tr = appendTextRow(tbody, [row.name, String(row.count), format(row.meanBias), format(row.mae), format(row.rmse), format(row.cc)]);
+        tr.dataset.regionId = row.id;
+        tr.classList.toggle('region-active', row.id === activeRegionId);
+    }
+}
+
 /**
  * Updates the statistics display in the UI
  *
@@ -123,6 +707,39 @@ export function updateStatisticsDisplay(stats) {
     updateStatElement('stat-mae', stats.mae, 2);
     updateStatElement('stat-rmse', stats.rmse, 2);
     updateStatElement('stat-cc', stats.cc, 2);
+    updateStatElement('stat-median-bias', stats.medianBiasRatio, 2);
+    updateStatElement('stat-log-ratio-mean', stats.logRatioMean, 3);
+    updateStatElement('stat-log-ratio-std', stats.logRatioStd, 3);
+    updateStatElement('stat-spearman', stats.spearman, 2);
+    updateStatElement('stat-kge', stats.kge, 2);
+    updateStatElement('stat-nse', stats.nse, 2);
+    updateStatElement('stat-nmae', stats.normalizedMae, 2);
+    updateStatElement('stat-fractional-bias', stats.fractionalBias, 2);
+}
+
+/**
+ * Updates the mean bias confidence interval shown in the UI
+ *
+ * @param {Object|null} interval - Interval from bootstrapMeanBiasInterval
+ */
+export function updateMeanBiasIntervalDisplay(interval) {
+    const element = document.getElementById('stat-mean-bias-ci');
+    if (element) {
+        element.textContent = interval
+            ? `${interval.lower.toFixed(2)} - ${interval.upper.toFixed(2)}`
+            : '--';
+    }
+}
+
+/**
+ * Shows only the statistics rows for the chosen metrics
+ *
+ * @param {Set<string>} visibleMetrics - Metric keys to show (see STATISTICS_METRICS)
+ */
+export function applyStatisticsMetricVisibility(visibleMetrics) {
+    document.querySelectorAll('#statistics-panel [data-metric]').forEach(row => {
+        row.style.display = visibleMetrics.has(row.dataset.metric) ? '' : 'none';
+    });
 }
 
 /**
@@ -159,15 +776,34 @@ export function updateGaugeCountStatistics(totalLoaded, totalWithData) {
     }
 }
 
+/**
+ * Updates the gauge-to-grid matching method shown in the statistics panel
+ *
+ * @param {string} label - Display label for the matching method in use
+ */
+export function updateSamplingMethodDisplay(label) {
+    const element = document.getElementById('stat-sampling-method');
+    if (element) {
+        element.textContent = label || '--';
+    }
+}
+
+/**
+ * Updates the number of QC-flagged gauges shown in the statistics panel
+ *
+ * @param {number} count - Number of plotted gauges flagged by any QC rule
+ */
+export function updateQcFlaggedCount(count) {
+    const element = document.getElementById('stat-qc-flagged');
+    if (element) {
+        element.textContent = count;
+    }
+}
+
 /**
  * Clears all statistics display (sets to default '--' values)
  */
 export function clearStatisticsDisplay() {
-    updateStatisticsDisplay({
-        meanBias: null,
-        additiveBias: null,
-        mae: null,
-        rmse: null,
-        cc: null
-    });
+    updateStatisticsDisplay(emptyStatistics());
+    updateMeanBiasIntervalDisplay(null);
 }
@@ -0,0 +1,291 @@
+/**
+ * Swipe View Module
+ * Loads a second MRMS dataset (B) under its own cache key and shows it beside the loaded product (A)
+ * with a draggable swipe divider, or combined with it as a difference (A - B) or ratio (A / B) layer
+ */
+
+import { SWIPE_VIEW } from './config.js';
+import { createDataTileLayer, createDifferenceTileLayer } from './mapManager.js';
+import { downloadMrmsDataset } from './timeSeries.js';
+import { showDifferenceColorbar, hideDifferenceColorbar } from './colorbarManager.js';
+
+/**
+ * Initializes the swipe/difference view and returns its controller interface
+ * Dataset A is whatever layer is in dataLayerState (single load, time-series frame or compared product)
+ *
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} dataLayerState - Object containing current dataLayer reference
+ * @returns {Object} Controller object for loading dataset B and switching view modes
+ */
+export function initializeSwipeView(map, dataLayerState) {
+    const state = {
+        dataset: null,          // Dataset B: product, date, hour and label
+        layerB: null,
+        differenceLayer: null,
+        differenceFor: null,    // Primary layer and mode the difference layer was built for
+        mode: 'swipe',          // 'swipe', 'difference' or 'ratio'
+        position: SWIPE_VIEW.INITIAL_POSITION,
+        primary: null,          // Dataset A layer the view is applied to
+        primaryOpacity: null,
+        updatePending: false
+    };
+
+    const divider = createDivider();
+
+    /**
+     * Builds the divider (line, drag handle and side labels) over the map
+     *
+     * @returns {HTMLElement} Divider element
+     */
+    function createDivider() {
+        const element = L.DomUtil.create('div', 'swipe-divider', map.getContainer());
+        element.innerHTML = `
+            <span class="swipe-label swipe-label-a">A</span>
+            <div class="swipe-handle" title="Drag to compare datasets A and B">&#8596;</div>
+            <span class="swipe-label swipe-label-b">B</span>
+        `;
+        element.style.display = 'none';
+
+        // Keep clicks and drags on the divider from reaching the map
+        L.DomEvent.disableClickPropagation(element);
+        L.DomEvent.disableScrollPropagation(element);
+
+        element.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            element.setPointerCapture(e.pointerId);
+            map.dragging.disable();
+        });
+
+        element.addEventListener('pointermove', (e) => {
+            if (!element.hasPointerCapture(e.pointerId)) return;
+
+            const rect = map.getContainer().getBoundingClientRect();
+            const position = (e.clientX - rect.left) / rect.width;
+            state.position = Math.min(Math.max(position, SWIPE_VIEW.MIN_POSITION), SWIPE_VIEW.MAX_POSITION);
+            updateClip();
+        });
+
+        const endDrag = (e) => {
+            if (element.hasPointerCapture(e.pointerId)) {
+                element.releasePointerCapture(e.pointerId);
+            }
+            map.dragging.enable();
+        };
+        element.addEventListener('pointerup', endDrag);
+        element.addEventListener('pointercancel', endDrag);
+
+        return element;
+    }
+
+    /**
+     * Sets a tile layer's CSS clip rectangle (layer points), or clears it
+     *
+     * @param {Object} layer - Leaflet tile layer
+     * @param {string} clip - CSS clip value ('' to clear)
+     */
+    function setLayerClip(layer, clip) {
+        const container = layer ? layer.getContainer() : null;
+        if (container) {
+            container.style.clip = clip;
+        }
+    }
+
+    /**
+     * Clips dataset A to the left of the divider and dataset B to the right
+     */
+    function updateClip() {
+        if (state.mode !== 'swipe' || !state.layerB || !state.primary) return;
+
+        const size = map.getSize();
+        const nw = map.containerPointToLayerPoint([0, 0]);
+        const se = map.containerPointToLayerPoint(size);
+        const x = nw.x + size.x * state.position;
+
+        setLayerClip(state.primary, `rect(${nw.y}px, ${x}px, ${se.y}px, ${nw.x}px)`);
+        setLayerClip(state.layerB, `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${x}px)`);
+        divider.style.left = `${state.position * 100}%`;
+    }
+
+    /**
+     * Undoes the view's changes to a dataset A layer (clip and hidden opacity)
+     */
+    function releasePrimary() {
+        if (!state.primary) return;
+
+        setLayerClip(state.primary, '');
+        if (state.primaryOpacity !== null) {
+            state.primary.setOpacity(state.primaryOpacity);
+        }
+
+        state.primary = null;
+        state.primaryOpacity = null;
+    }
+
+    /**
+     * Removes the difference/ratio layer from the map
+     */
+    function removeDifferenceLayer() {
+        if (state.differenceLayer) {
+            map.removeLayer(state.differenceLayer);
+        }
+        state.differenceLayer = null;
+        state.differenceFor = null;
+    }
+
+    /**
+     * Applies the current mode to datasets A and B
+     * Runs whenever dataset A changes (new load, time-series frame, compared product) or the mode changes
+     */
+    function update() {
+        const primary = dataLayerState.current && map.hasLayer(dataLayerState.current) ? dataLayerState.current : null;
+
+        if (state.primary !== primary) {
+            releasePrimary();
+            if (primary) {
+                state.primary = primary;
+                state.primaryOpacity = primary.options.opacity;
+            }
+        }
+
+        if (!state.dataset || !state.primary) {
+            if (state.layerB && map.hasLayer(state.layerB)) {
+                map.removeLayer(state.layerB);
+            }
+            removeDifferenceLayer();
+            divider.style.display = 'none';
+            hideDifferenceColorbar();
+            return;
+        }
+
+        if (state.mode === 'swipe') {
+            removeDifferenceLayer();
+            state.primary.setOpacity(state.primaryOpacity);
+
+            if (!map.hasLayer(state.layerB)) {
+                state.layerB.addTo(map);
+            }
+            state.layerB.bringToFront();
+
+            divider.style.display = 'block';
+            hideDifferenceColorbar();
+            updateClip();
+            return;
+        }
+
+        // Difference or ratio: one combined layer replaces both datasets
+        if (map.hasLayer(state.layerB)) {
+            map.removeLayer(state.layerB);
+        }
+        setLayerClip(state.primary, '');
+        state.primary.setOpacity(0);
+
+        const target = { layer: state.primary, mode: state.mode };
+        if (!state.differenceFor || state.differenceFor.layer !== target.layer || state.differenceFor.mode !== target.mode) {
+            removeDifferenceLayer();
+            state.differenceLayer = createDifferenceTileLayer(
+                state.primary.options.cacheKey || 'default',
+                SWIPE_VIEW.CACHE_KEY,
+                state.mode,
+                SWIPE_VIEW.DIFFERENCE_OPACITY
+            ).addTo(map);
+            state.differenceFor = target;
+        }
+        state.differenceLayer.bringToFront();
+
+        divider.style.display = 'none';
+        showDifferenceColorbar(state.mode);
+    }
+
+    /**
+     * Schedules an update once the caller has finished swapping layers
+     * (dataLayerState is assigned after the new layer is added to the map)
+     */
+    function scheduleUpdate() {
+        if (state.updatePending) return;
+
+        state.updatePending = true;
+        Promise.resolve().then(() => {
+            state.updatePending = false;
+            update();
+        });
+    }
+
+    // Follow dataset A as it is replaced, and keep dataset B above a newly added basemap
+    map.on('layeradd layerremove', (e) => {
+        if (!(e.layer instanceof L.GridLayer)) return;
+        if (e.layer === state.layerB || e.layer === state.differenceLayer) return;
+        scheduleUpdate();
+    });
+
+    map.on('move zoomend resize', updateClip);
+
+    return {
+        /**
+         * Loads dataset B under its own cache key and shows it in the current mode
+         *
+         * @param {string} product - MRMS product name
+         * @param {string} date - Date in YYYYMMDD format
+         * @param {string} hour - Hour in HH format
+         * @param {string} label - Divider label for dataset B
+         * @returns {Promise<void>}
+         */
+        loadDataset: async function(product, date, hour, label) {
+            await downloadMrmsDataset(product, { date, hour }, SWIPE_VIEW.CACHE_KEY);
+
+            if (state.layerB && map.hasLayer(state.layerB)) {
+                map.removeLayer(state.layerB);
+            }
+            removeDifferenceLayer();
+
+            state.dataset = { product, date, hour, label };
+            state.layerB = createDataTileLayer(SWIPE_VIEW.CACHE_KEY);
+
+            const labelB = divider.querySelector('.swipe-label-b');
+            labelB.textContent = `B: ${label}`;
+            labelB.title = label;
+
+            update();
+        },
+
+        /**
+         * Switches between the swipe divider and the difference and ratio layers
+         *
+         * @param {string} mode - 'swipe', 'difference' or 'ratio'
+         */
+        setMode: function(mode) {
+            state.mode = mode;
+            update();
+        },
+
+        /**
+         * Removes dataset B and restores dataset A, freeing B's server dataset
+         *
+         * @returns {Promise<void>}
+         */
+        clear: async function() {
+            const loaded = state.dataset !== null;
+
+            if (state.layerB && map.hasLayer(state.layerB)) {
+                map.removeLayer(state.layerB);
+            }
+            state.layerB = null;
+            state.dataset = null;
+            update();
+            releasePrimary();
+
+            if (loaded) {
+                await fetch(`/api/tiles/cache?cacheKey=${SWIPE_VIEW.CACHE_KEY}`, { method: 'DELETE' })
+                    .catch(error => console.error('Error clearing swipe dataset:', error));
+            }
+        },
+
+        /**
+         * Checks whether dataset B is loaded
+         *
+         * @returns {boolean} True when dataset B is loaded
+         */
+        isActive: function() {
+            return state.dataset !== null;
+        }
+    };
+}
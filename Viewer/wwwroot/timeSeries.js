@@ -0,0 +1,289 @@
+/**
+ * Time Series Module
+ * Loads a range of consecutive hours, caches the MRMS dataset and processed gauges for each,
+ * and steps or animates through them
+ */
+
+import { TIME_SERIES } from './config.js';
+import { createDataTileLayer, replaceDataLayer } from './mapManager.js';
+import { shiftValidTime } from './madis.js';
+
+/**
+ * Builds the frame times for a range of hours ending at the selected time
+ *
+ * @param {string} date - End date in YYYYMMDD format
+ * @param {string} hour - End hour in HH format
+ * @param {number} frameCount - Number of consecutive hours
+ * @returns {Array<Object>} Frame times with date and hour, oldest first
+ */
+function buildFrameTimes(date, hour, frameCount) {
+    const times = [];
+
+    for (let i = frameCount - 1; i >= 0; i--) {
+        times.push(shiftValidTime(date, hour, i));
+    }
+
+    return times;
+}
+
+/**
+ * Formats a frame time for display
+ *
+ * @param {Object} time - Frame time with date (YYYYMMDD) and hour (HH)
+ * @returns {string} Label such as '2025-10-01 14:00Z'
+ */
+function formatFrameLabel(time) {
+    return `${time.date.slice(0, 4)}-${time.date.slice(4, 6)}-${time.date.slice(6, 8)} ${time.hour}:00Z`;
+}
+
+/**
+ * Downloads one hour of MRMS data into its own server cache key
+ * Also used by product comparison mode
+ *
+ * @param {string} product - QPE product name
+ * @param {Object} time - Valid time with date and hour
+ * @param {string} cacheKey - Server cache key for the dataset
+ * @returns {Promise<Object>} Server response from the S3 download endpoint
+ */
+export async function downloadMrmsDataset(product, time, cacheKey) {
+    const apiUrl = `/api/tiles/download-s3?product=${product}&date=${time.date}&time=${time.hour}0000&cacheKey=${cacheKey}`;
+    const response = await fetch(apiUrl, { method: 'POST' });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Server returned ${response.status}: ${errorText}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Frees a frame's MRMS dataset from the server cache
+ *
+ * @param {string} cacheKey - Server cache key of the frame dataset
+ * @returns {Promise<void>}
+ */
+async function freeFrameDataset(cacheKey) {
+    try {
+        await fetch(`/api/tiles/cache?cacheKey=${cacheKey}`, { method: 'DELETE' });
+    } catch (error) {
+        console.error('Error clearing frame dataset:', error);
+    }
+}
+
+/**
+ * Initializes time-series mode and returns its controller interface
+ *
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} dataLayerState - Object containing current dataLayer reference
+ * @param {Object} madisController - MADIS controller instance
+ * @returns {Object} Controller object for loading and playing time series
+ */
+export function initializeTimeSeries(map, dataLayerState, madisController) {
+    const state = {
+        frames: [],
+        currentIndex: -1,
+        timer: null
+    };
+
+    /**
+     * Updates the player controls to reflect the current frame and playback state
+     */
+    function updatePlayerDisplay() {
+        const player = document.getElementById('time-series-player');
+        if (player) {
+            player.style.display = state.frames.length > 0 ? 'flex' : 'none';
+        }
+
+        const slider = document.getElementById('ts-frame-slider');
+        if (slider) {
+            slider.max = Math.max(state.frames.length - 1, 0);
+            slider.value = Math.max(state.currentIndex, 0);
+        }
+
+        const label = document.getElementById('ts-frame-label');
+        if (label) {
+            const frame = state.frames[state.currentIndex];
+            label.textContent = frame
+                ? `${frame.label} (${state.currentIndex + 1}/${state.frames.length})`
+                : '--';
+        }
+
+        const playBtn = document.getElementById('ts-play-btn');
+        if (playBtn) {
+            playBtn.innerHTML = state.timer ? '&#10074;&#10074;' : '&#9654;';
+            playBtn.title = state.timer ? 'Pause' : 'Play';
+        }
+    }
+
+    /**
+     * Displays a cached frame: swaps the tile layer and redraws gauges, scatterplot and statistics
+     *
+     * @param {number} index - Frame index
+     */
+    function showFrame(index) {
+        if (state.frames.length === 0) return;
+
+        const frameIndex = ((index % state.frames.length) + state.frames.length) % state.frames.length;
+        const frame = state.frames[frameIndex];
+
+        dataLayerState.current = replaceDataLayer(map, dataLayerState.current, frame.tileLayer);
+        madisController.showGaugeFrame(frame);
+
+        state.currentIndex = frameIndex;
+        updatePlayerDisplay();
+    }
+
+    /**
+     * Stops playback
+     */
+    function pause() {
+        if (state.timer) {
+            clearInterval(state.timer);
+            state.timer = null;
+        }
+        updatePlayerDisplay();
+    }
+
+    /**
+     * Starts playback from the current frame, looping at the end
+     */
+    function play() {
+        if (state.frames.length < 2 || state.timer) return;
+
+        state.timer = setInterval(() => showFrame(state.currentIndex + 1), TIME_SERIES.FRAME_INTERVAL_MS);
+        updatePlayerDisplay();
+    }
+
+    /**
+     * Removes all cached frames and frees their server datasets
+     */
+    async function clear() {
+        pause();
+
+        const frames = state.frames;
+        state.frames = [];
+        state.currentIndex = -1;
+        updatePlayerDisplay();
+
+        for (const frame of frames) {
+            if (dataLayerState.current === frame.tileLayer) {
+                map.removeLayer(frame.tileLayer);
+                dataLayerState.current = null;
+            }
+        }
+
+        await Promise.all(frames.map(frame => freeFrameDataset(frame.cacheKey)));
+    }
+
+    // Matching or QC changes resample the shown frame; resample the others so stepping keeps the change
+    madisController.onResample(async ({ cacheKey, gaugeData, reportPairs }) => {
+        const frames = state.frames;
+
+        for (const frame of frames) {
+            // A newer load or clear replaced these frames
+            if (state.frames !== frames) return;
+
+            if (frame.cacheKey === cacheKey) {
+                Object.assign(frame, { gaugeData, reportPairs });
+            } else {
+                Object.assign(frame, await madisController.resampleGaugeFrame(frame, frame.cacheKey));
+            }
+        }
+    });
+
+    return {
+        /**
+         * Loads a range of consecutive hours ending at the selected time
+         *
+         * @param {string} product - QPE product name
+         * @param {string} date - End date in YYYYMMDD format
+         * @param {string} hour - End hour in HH format
+         * @param {number} frameCount - Number of hours to load
+         * @param {string} accumPeriod - Accumulation period (see ACCUMULATION_PERIODS)
+         * @param {Function} onProgress - Optional callback (loadedCount, totalCount)
+         * @returns {Promise<number>} Number of frames loaded
+         */
+        loadRange: async function(product, date, hour, frameCount, accumPeriod, onProgress = null) {
+            await clear();
+
+            const count = Math.min(Math.max(frameCount, 1), TIME_SERIES.MAX_FRAMES);
+            const times = buildFrameTimes(date, hour, count);
+
+            try {
+                for (let i = 0; i < times.length; i++) {
+                    const time = times[i];
+                    const cacheKey = `${TIME_SERIES.CACHE_KEY_PREFIX}-${time.date}-${time.hour}`;
+
+                    if (onProgress) onProgress(i, times.length);
+
+                    await downloadMrmsDataset(product, time, cacheKey);
+
+                    let gauges;
+                    try {
+                        gauges = await madisController.buildGaugeFrame(time.date, time.hour, accumPeriod, cacheKey);
+                    } catch (error) {
+                        // The frame is never added, so clear() would not free its dataset
+                        await freeFrameDataset(cacheKey);
+                        throw error;
+                    }
+                    const { madisData, gaugeData, reportPairs } = gauges;
+
+                    state.frames.push({
+                        ...time,
+                        product,
+                        accumPeriod,
+                        label: formatFrameLabel(time),
+                        cacheKey,
+                        tileLayer: createDataTileLayer(cacheKey),
+                        madisData,
+                        gaugeData,
+                        reportPairs
+                    });
+                }
+            } finally {
+                // Show the most recent hour loaded, even if a later frame failed
+                if (state.frames.length > 0) {
+                    showFrame(state.frames.length - 1);
+                }
+            }
+
+            return state.frames.length;
+        },
+
+        showFrame,
+        play,
+        pause,
+        clear,
+
+        /**
+         * Toggles between play and pause
+         */
+        togglePlay: function() {
+            if (state.timer) {
+                pause();
+            } else {
+                play();
+            }
+        },
+
+        /**
+         * Steps forward or backward by a number of frames (pauses playback)
+         *
+         * @param {number} delta - Frames to move (negative steps back)
+         */
+        step: function(delta) {
+            pause();
+            showFrame(state.currentIndex + delta);
+        },
+
+        /**
+         * Checks whether a time series is loaded
+         *
+         * @returns {boolean} True when frames are cached
+         */
+        isActive: function() {
+            return state.frames.length > 0;
+        }
+    };
+}
@@ -4,14 +4,44 @@
  */
 
 import { updateQPEColorbar, toggleBiasColorbar } from './colorbarManager.js';
-import { switchBasemap, toggleOverlay, applyOverlaySettings, getOverlayLabel } from './mapManager.js';
-import { ACCUMULATION_PERIODS } from './config.js';
+import { switchBasemap, toggleOverlay, applyOverlaySettings, getOverlayLabel, createDataTileLayer } from './mapManager.js';
+import {
+    ACCUMULATION_PERIODS,
+    SAMPLING_METHODS,
+    TIME_SERIES,
+    QC_RULES,
+    CATEGORICAL_THRESHOLDS,
+    STATISTICS_METRICS,
+    BIAS_SURFACE,
+    QPE_ADJUSTMENT
+} from './config.js';
+import {
+    buildExportRecords,
+    generateRecordsCSV,
+    generateCategoricalScoresCSV,
+    generateRecordsGeoJSON,
+    generateSessionJSON,
+    parseSessionState
+} from './sessionExport.js';
+import { generateReport } from './reportGenerator.js';
+import { getComparisonProducts } from './comparison.js';
+import {
+    calculateProviderStatistics,
+    updateProviderStatisticsTable,
+    calculateCategoricalScores,
+    updateCategoricalScoresTable,
+    bootstrapMeanBiasInterval,
+    updateMeanBiasIntervalDisplay,
+    applyStatisticsMetricVisibility
+} from './statisticsCalculator.js';
 
 /**
- * Populates the hour selector dropdown with 00-23 hours
+ * Populates an hour selector dropdown with 00-23 hours
+ *
+ * @param {string} selectId - Hour select element ID
  */
-export function populateHourSelector() {
-    const hourSelect = document.getElementById('hour-input');
+export function populateHourSelector(selectId = 'hour-input') {
+    const hourSelect = document.getElementById(selectId);
     if (!hourSelect) return;
 
     hourSelect.innerHTML = '';
@@ -64,23 +94,109 @@ export function setupProductSelectHandler() {
 /**
  * Sets up the bias toggle checkbox handler
  *
- * @param {Object} madisController - MADIS controller instance with replotGauges method
+ * @param {Object} madisController - MADIS controller instance with restyleMarkers method
  */
 export function setupBiasToggleHandler(madisController) {
     const biasToggle = document.getElementById('bias-toggle');
     if (!biasToggle) return;
 
-    biasToggle.addEventListener('change', async (e) => {
-        const biasMode = e.target.checked;
-
+    biasToggle.addEventListener('change', async () => {
         // Show/hide bias colorbar
-        toggleBiasColorbar(biasMode);
+        updateBiasColorbarVisibility();
 
-        // Replot gauges with new coloring (don't refetch data)
-        if (madisController && madisController.replotGauges) {
-            madisController.replotGauges();
+        // Recolor the markers and the map-colored scatterplot points (no resampling)
+        if (madisController) {
+            madisController.restyleMarkers();
+        }
+        if (window.scatterplotManager) {
+            window.scatterplotManager.setBiasMode(biasToggle.checked);
+        }
+    });
+}
+
+/**
+ * Shows the bias colorbar while gauges are colored by bias or the bias surface is shown
+ */
+export function updateBiasColorbarVisibility() {
+    const biasMode = document.getElementById('bias-toggle')?.checked || false;
+    const surface = document.getElementById('bias-surface-toggle')?.checked || false;
+    toggleBiasColorbar(biasMode || surface);
+}
+
+/**
+ * Sets up the bias surface controls (toggle, interpolation method and radius of influence)
+ *
+ * @param {Object} biasSurfaceController - Bias surface controller instance
+ */
+export function setupBiasSurfaceHandlers(biasSurfaceController) {
+    const toggle = document.getElementById('bias-surface-toggle');
+    const methodSelect = document.getElementById('bias-surface-method-select');
+    const radiusInput = document.getElementById('bias-surface-radius-input');
+    if (!toggle || !methodSelect || !radiusInput) return;
+
+    radiusInput.min = BIAS_SURFACE.MIN_RADIUS_KM;
+    radiusInput.max = BIAS_SURFACE.MAX_RADIUS_KM;
+    radiusInput.value = BIAS_SURFACE.DEFAULT_RADIUS_KM;
+    methodSelect.value = BIAS_SURFACE.DEFAULT_METHOD;
+
+    toggle.addEventListener('change', (e) => {
+        updateBiasColorbarVisibility();
+        biasSurfaceController.setOptions({ enabled: e.target.checked });
+    });
+
+    methodSelect.addEventListener('change', (e) => {
+        biasSurfaceController.setOptions({ method: e.target.value });
+    });
+
+    radiusInput.addEventListener('change', (e) => {
+        const radius = parseFloat(e.target.value);
+        if (isNaN(radius)) {
+            e.target.value = BIAS_SURFACE.DEFAULT_RADIUS_KM;
+            return;
+        }
+
+        const clamped = Math.min(Math.max(radius, BIAS_SURFACE.MIN_RADIUS_KM), BIAS_SURFACE.MAX_RADIUS_KM);
+        e.target.value = clamped;
+        biasSurfaceController.setOptions({ radiusKm: clamped });
+    });
+}
+
+/**
+ * Sets up the gauge-adjusted preview controls (adjustment mode, preview and show adjusted)
+ *
+ * @param {Object} adjustmentController - QPE adjustment controller instance
+ */
+export function setupQpeAdjustmentHandlers(adjustmentController) {
+    const modeSelect = document.getElementById('adjustment-mode-select');
+    const previewBtn = document.getElementById('adjustment-preview-btn');
+    const showToggle = document.getElementById('adjustment-show-toggle');
+    if (!modeSelect || !previewBtn) return;
+
+    modeSelect.value = QPE_ADJUSTMENT.DEFAULT_MODE;
+    modeSelect.addEventListener('change', (e) => adjustmentController.setMode(e.target.value));
+
+    previewBtn.addEventListener('click', async () => {
+        const loading = document.getElementById('loading-indicator');
+        previewBtn.disabled = true;
+        loading.style.display = 'block';
+        loading.textContent = 'Building adjusted QPE...';
+
+        try {
+            await adjustmentController.preview();
+        } catch (error) {
+            console.error('Error building adjusted QPE:', error);
+            alert('Error building adjusted QPE: ' + error.message);
+        } finally {
+            previewBtn.disabled = false;
+            loading.style.display = 'none';
+            loading.textContent = 'Loading...';
         }
     });
+
+    if (showToggle) {
+        showToggle.disabled = true;
+        showToggle.addEventListener('change', (e) => adjustmentController.showAdjusted(e.target.checked));
+    }
 }
 
 /**
@@ -101,59 +217,661 @@ export function setupShowZeroMrmsToggleHandler(madisController) {
 }
 
 /**
- * Sets up the export gauge info button handler
+ * Shows the search radius input only for the radius-based matching methods
  */
-export function setupExportGaugeButtonHandler() {
+export function updateSamplingRadiusVisibility() {
+    const methodSelect = document.getElementById('sampling-method-select');
+    const radiusGroup = document.getElementById('sampling-radius-group');
+    if (!methodSelect || !radiusGroup) return;
+
+    const usesRadius = methodSelect.value === SAMPLING_METHODS.MAX_IN_RADIUS ||
+                       methodSelect.value === SAMPLING_METHODS.CLOSEST_IN_RADIUS;
+    radiusGroup.style.display = usesRadius ? 'inline-flex' : 'none';
+}
+
+/**
+ * Sets up the gauge-to-grid matching method selector and radius input handlers
+ *
+ * @param {Object} madisController - MADIS controller instance with resampleGauges method
+ */
+export function setupSamplingMethodHandler(madisController) {
+    const methodSelect = document.getElementById('sampling-method-select');
+    const radiusInput = document.getElementById('sampling-radius-input');
+    if (!methodSelect) return;
+
+    updateSamplingRadiusVisibility();
+
+    methodSelect.addEventListener('change', () => {
+        updateSamplingRadiusVisibility();
+
+        // Resample MRMS at every gauge with the new method
+        if (madisController && madisController.resampleGauges) {
+            madisController.resampleGauges();
+        }
+    });
+
+    if (radiusInput) {
+        radiusInput.addEventListener('change', () => {
+            if (madisController && madisController.resampleGauges) {
+                madisController.resampleGauges();
+            }
+        });
+    }
+}
+
+/**
+ * Sets up the QC rule toggles and the "include flagged in statistics" toggle
+ *
+ * @param {Object} madisController - MADIS controller instance with resampleGauges method
+ */
+export function setupQcHandlers(madisController) {
+    // Rule changes re-run QC on the loaded gauges
+    Object.values(QC_RULES).forEach(rule => {
+        const ruleToggle = document.getElementById(`qc-rule-${rule}`);
+        if (!ruleToggle) return;
+
+        ruleToggle.addEventListener('change', () => {
+            if (madisController && madisController.resampleGauges) {
+                madisController.resampleGauges();
+            }
+        });
+    });
+
+    const includeFlaggedToggle = document.getElementById('qc-include-flagged-toggle');
+    if (includeFlaggedToggle) {
+        includeFlaggedToggle.addEventListener('change', (e) => {
+            if (window.scatterplotManager) {
+                window.scatterplotManager.setIncludeQcFlagged(e.target.checked);
+            }
+        });
+    }
+}
+
+/**
+ * Sets up the provider multi-select filter and the per-provider statistics table
+ *
+ * @param {Object} madisController - MADIS controller instance with setHiddenProviders method
+ */
+export function setupProviderFilterHandler(madisController) {
+    const providerSelect = document.getElementById('provider-filter-select');
+    if (providerSelect) {
+        providerSelect.addEventListener('change', () => {
+            const deselected = [...providerSelect.options].filter(o => !o.selected).map(o => o.value);
+            madisController.setHiddenProviders(deselected);
+        });
+    }
+
+    const selectAllBtn = document.getElementById('provider-select-all-btn');
+    if (selectAllBtn) {
+        selectAllBtn.addEventListener('click', () => {
+            madisController.setHiddenProviders([]);
+        });
+    }
+
+    // The breakdown uses the same points as the scatterplot statistics (viewport, exclusions and QC)
+    if (window.scatterplotManager) {
+        window.scatterplotManager.addStatisticsListener((data) => {
+            updateProviderStatisticsTable(calculateProviderStatistics(data));
+        });
+    }
+}
+
+/**
+ * Sets up the region controls: region set (states, counties or an uploaded GeoJSON), Show all,
+ * and the By Region table (click a header to sort, a row to restrict to and zoom to that region)
+ *
+ * @param {Object} regionController - Region statistics controller instance
+ */
+export function setupRegionHandlers(regionController) {
+    const setSelect = document.getElementById('region-set-select');
+    const uploadInput = document.getElementById('region-upload-input');
+    if (!setSelect) return;
+
+    const loading = document.getElementById('loading-indicator');
+
+    /**
+     * Runs a region set change behind the loading indicator, reporting failures
+     *
+     * @param {Function} action - Async function that changes the region set
+     */
+    const runRegionLoad = async (action) => {
+        loading.style.display = 'block';
+        loading.textContent = 'Loading regions...';
+
+        try {
+            await action();
+        } catch (error) {
+            console.error('Error loading regions:', error);
+            alert('Error loading regions: ' + error.message);
+        } finally {
+            loading.style.display = 'none';
+            loading.textContent = 'Loading...';
+        }
+    };
+
+    setSelect.addEventListener('change', (e) => {
+        // Uploaded regions are shown once a file is chosen
+        if (e.target.value === 'custom' && !regionController.hasCustomRegions()) {
+            uploadInput?.click();
+            regionController.setRegionSet(null);
+            return;
+        }
+
+        runRegionLoad(() => regionController.setRegionSet(e.target.value));
+    });
+
+    document.getElementById('region-upload-btn')?.addEventListener('click', () => {
+        uploadInput?.click();
+    });
+
+    uploadInput?.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        await runRegionLoad(async () => regionController.loadCustomRegions(await file.text()));
+        uploadInput.value = '';
+    });
+
+    document.getElementById('region-clear-btn')?.addEventListener('click', () => {
+        regionController.selectRegion(null);
+    });
+
+    const table = document.getElementById('region-stats-table');
+    if (table) {
+        table.querySelectorAll('th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => regionController.setSort(th.dataset.sort));
+        });
+
+        table.querySelector('tbody').addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-region-id]');
+            if (row) {
+                regionController.zoomToRegion(row.dataset.regionId);
+            }
+        });
+    }
+}
+
+/**
+ * Refreshes the exclusion list selector and station count
+ *
+ * @param {Object} exclusions - Exclusion list controller
+ */
+function updateExclusionListControls(exclusions) {
+    const listSelect = document.getElementById('exclusion-list-select');
+    const active = exclusions.getActiveList();
+
+    if (listSelect) {
+        listSelect.innerHTML = '';
+        exclusions.getListNames().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === active.name;
+            listSelect.appendChild(option);
+        });
+    }
+
+    const countLabel = document.getElementById('exclusion-count');
+    if (countLabel) {
+        countLabel.textContent = `${active.count} excluded`;
+    }
+}
+
+/**
+ * Sets up the exclusion list controls (switch, create, delete, clear, import and export)
+ * Any change to the lists restyles the markers and refreshes the scatterplot statistics
+ *
+ * @param {Object} exclusions - Exclusion list controller
+ * @param {Object} madisController - MADIS controller instance with restyleMarkers method
+ */
+export function setupExclusionListHandlers(exclusions, madisController) {
+    if (!exclusions) return;
+
+    exclusions.onChange(() => {
+        updateExclusionListControls(exclusions);
+        madisController.restyleMarkers();
+        if (window.scatterplotManager) {
+            window.scatterplotManager.refreshDisplay();
+        }
+    });
+    updateExclusionListControls(exclusions);
+
+    document.getElementById('exclusion-list-select')?.addEventListener('change', (e) => {
+        exclusions.setActiveList(e.target.value);
+    });
+
+    document.getElementById('exclusion-new-btn')?.addEventListener('click', () => {
+        const name = prompt('Name for the new exclusion list:');
+        if (name && name.trim()) {
+            exclusions.createList(name.trim());
+        }
+    });
+
+    document.getElementById('exclusion-delete-btn')?.addEventListener('click', () => {
+        const { name } = exclusions.getActiveList();
+        if (confirm(`Delete exclusion list "${name}"?`)) {
+            exclusions.deleteActiveList();
+        }
+    });
+
+    document.getElementById('exclusion-clear-btn')?.addEventListener('click', () => {
+        exclusions.clearActiveList();
+    });
+
+    const importInput = document.getElementById('exclusion-import-input');
+    document.getElementById('exclusion-import-btn')?.addEventListener('click', () => {
+        importInput?.click();
+    });
+
+    importInput?.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const imported = exclusions.importList(await file.text(), file.name);
+
+            // Shown in place of the count until the next list change
+            const countLabel = document.getElementById('exclusion-count');
+            if (countLabel) {
+                countLabel.textContent = `Imported ${imported.count} excluded`;
+            }
+        } catch (error) {
+            console.error('Error importing exclusion list:', error);
+            alert('Error importing exclusion list: ' + error.message);
+        } finally {
+            importInput.value = '';
+        }
+    });
+
+    document.getElementById('exclusion-export-json-btn')?.addEventListener('click', () => {
+        const { name } = exclusions.getActiveList();
+        downloadTextFile(exclusions.exportActiveList('json'), `${name}.json`, 'application/json');
+    });
+
+    document.getElementById('exclusion-export-csv-btn')?.addEventListener('click', () => {
+        const { name } = exclusions.getActiveList();
+        downloadTextFile(exclusions.exportActiveList('csv'), `${name}.csv`, 'text/csv');
+    });
+}
+
+/**
+ * Sets up the selection toolbar: scatterplot box/lasso modes, map polygon, and selection actions
+ *
+ * @param {Object} selectionController - Selection controller instance
+ */
+export function setupSelectionHandlers(selectionController) {
+    const brushButtons = {
+        box: document.getElementById('selection-box-btn'),
+        lasso: document.getElementById('selection-lasso-btn')
+    };
+
+    // Clicking the active brush mode again turns it off (back to click-to-exclude)
+    Object.entries(brushButtons).forEach(([mode, button]) => {
+        if (!button) return;
+
+        button.addEventListener('click', () => {
+            const newMode = window.scatterplotManager.brushMode === mode ? null : mode;
+            window.scatterplotManager.setBrushMode(newMode);
+
+            Object.entries(brushButtons).forEach(([m, b]) => {
+                if (b) b.classList.toggle('active', m === newMode);
+            });
+        });
+    });
+
+    document.getElementById('selection-polygon-btn')?.addEventListener('click', () => {
+        selectionController.startPolygonDraw();
+    });
+
+    document.getElementById('selection-exclude-btn')?.addEventListener('click', () => {
+        selectionController.excludeSelection();
+    });
+
+    document.getElementById('selection-focus-btn')?.addEventListener('click', () => {
+        selectionController.showOnlySelection();
+    });
+
+    document.getElementById('selection-clear-btn')?.addEventListener('click', () => {
+        selectionController.clear();
+    });
+}
+
+/**
+ * Sets up the scatterplot fit overlay toggles (OLS, fit through origin, conditional mean)
+ */
+export function setupScatterplotFitHandler() {
+    const toggles = document.querySelectorAll('.fit-overlay-toggle');
+
+    toggles.forEach(toggle => {
+        toggle.addEventListener('change', () => {
+            const overlays = new Set([...toggles].filter(t => t.checked).map(t => t.value));
+            if (window.scatterplotManager) {
+                window.scatterplotManager.setFitOverlays(overlays);
+            }
+        });
+    });
+}
+
+/**
+ * Sets up the scatterplot display controls: point colors, log axes, density rendering and manual axis limits
+ */
+export function setupScatterplotDisplayHandlers() {
+    if (!window.scatterplotManager) return;
+
+    document.getElementById('scatter-log-toggle')?.addEventListener('change', (e) => {
+        window.scatterplotManager.setLogScale(e.target.checked);
+    });
+
+    document.getElementById('scatter-color-select')?.addEventListener('change', (e) => {
+        window.scatterplotManager.setColorBy(e.target.value);
+    });
+
+    document.getElementById('scatter-density-select')?.addEventListener('change', (e) => {
+        window.scatterplotManager.setDensityMode(e.target.value);
+    });
+
+    const minInput = document.getElementById('scatter-axis-min');
+    const maxInput = document.getElementById('scatter-axis-max');
+
+    // Blank inputs fall back to the automatic range
+    const applyLimits = () => {
+        const parseLimit = (input) => input && input.value !== '' && isFinite(input.value) ? parseFloat(input.value) : null;
+        window.scatterplotManager.setAxisLimits(parseLimit(minInput), parseLimit(maxInput));
+    };
+
+    minInput?.addEventListener('change', applyLimits);
+    maxInput?.addEventListener('change', applyLimits);
+}
+
+/**
+ * Sets up the statistics metric chooser and keeps the mean bias confidence interval up to date
+ * The interval uses the same points as the scatterplot statistics
+ */
+export function setupStatisticsMetricsHandler() {
+    const visibleMetrics = new Set(STATISTICS_METRICS.filter(m => m.visible).map(m => m.key));
+    const optionsContainer = document.getElementById('stat-metric-options');
+
+    // The bootstrap is the costly part, so it only runs while its row is shown
+    const refresh = (data) => {
+        updateMeanBiasIntervalDisplay(visibleMetrics.has('meanBiasCI') ? bootstrapMeanBiasInterval(data) : null);
+    };
+
+    if (optionsContainer) {
+        STATISTICS_METRICS.forEach(metric => {
+            const label = document.createElement('label');
+            label.className = 'checkbox-toggle';
+            label.innerHTML = `<input type="checkbox" value="${metric.key}"${metric.visible ? ' checked' : ''}> <span>${metric.label}</span>`;
+            optionsContainer.appendChild(label);
+        });
+
+        optionsContainer.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                visibleMetrics.add(e.target.value);
+            } else {
+                visibleMetrics.delete(e.target.value);
+            }
+            applyStatisticsMetricVisibility(visibleMetrics);
+
+            if (e.target.value === 'meanBiasCI' && e.target.checked && window.scatterplotManager) {
+                refresh(window.scatterplotManager.getIncludedData());
+            }
+        });
+    }
+
+    applyStatisticsMetricVisibility(visibleMetrics);
+
+    if (window.scatterplotManager) {
+        window.scatterplotManager.addStatisticsListener(refresh);
+    }
+}
+
+/**
+ * Reads the categorical score thresholds from the statistics panel
+ * Invalid entries are ignored; an empty list falls back to the defaults
+ *
+ * @returns {Array<number>} Thresholds in inches, ascending
+ */
+function getCategoricalThresholds() {
+    const input = document.getElementById('categorical-thresholds-input');
+    const thresholds = (input?.value || '')
+        .split(',')
+        .map(v => parseFloat(v))
+        .filter(v => isFinite(v) && v >= 0);
+
+    return thresholds.length > 0
+        ? [...new Set(thresholds)].sort((a, b) => a - b)
+        : CATEGORICAL_THRESHOLDS;
+}
+
+/**
+ * Gets the report pairs the categorical scores are built from: every report of the shown providers and region,
+ * dry gauges and dry MRMS cells included, without gauges excluded by the exclusion list or QC
+ *
+ * @param {Object} madisController - MADIS controller instance with getReportPairs method
+ * @param {Object|null} bounds - Leaflet bounds to limit the reports to, or null for all reports
+ * @returns {Array<Object>} Pairs with x (gauge) and y (MRMS)
+ */
+function getCategoricalPairs(madisController, bounds) {
+    const scatterplot = window.scatterplotManager;
+
+    return madisController.getReportPairs().filter(pair =>
+        (!bounds || bounds.contains([pair.lat, pair.lon])) &&
+        !(scatterplot && scatterplot.isPointExcluded({ stationId: pair.stationId, qcFlagged: pair.qcFlags.length > 0 }))
+    );
+}
+
+/**
+ * Sets up the categorical scores table and its threshold input
+ * Scores cover every report in the map view, including the dry ones the scatterplot leaves out,
+ * so the scatterplot focus selection (made from plotted gauges) does not apply
+ *
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} madisController - MADIS controller instance with getReportPairs method
+ */
+export function setupCategoricalScoresHandler(map, madisController) {
+    const thresholdsInput = document.getElementById('categorical-thresholds-input');
+    if (thresholdsInput && !thresholdsInput.value) {
+        thresholdsInput.value = CATEGORICAL_THRESHOLDS.join(', ');
+    }
+
+    const refresh = () => {
+        const pairs = getCategoricalPairs(madisController, map.getBounds());
+        updateCategoricalScoresTable(calculateCategoricalScores(pairs, getCategoricalThresholds()));
+    };
+
+    // The scatterplot statistics are recalculated on every pan, zoom, reload, filter or exclusion change
+    if (window.scatterplotManager) {
+        window.scatterplotManager.addStatisticsListener(refresh);
+    }
+
+    thresholdsInput?.addEventListener('change', refresh);
+}
+
+/**
+ * Sets up the export button and dialog: gauge CSV, GeoJSON points, categorical scores CSV or a JSON session file,
+ * optionally limited to the gauges in the current map view
+ *
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} madisController - MADIS controller instance with getSessionInfo method
+ * @param {Object} permalink - Permalink controller (records the view in session files)
+ * @param {Object} regionController - Region statistics controller (records the region restriction in session files)
+ */
+export function setupExportDialogHandlers(map, madisController, permalink, regionController) {
     const exportBtn = document.getElementById('export-gauge-btn');
-    if (!exportBtn) return;
+    const dialog = document.getElementById('export-dialog');
+    if (!exportBtn || !dialog) return;
 
     exportBtn.addEventListener('click', () => {
         if (!window.fullGaugeData || window.fullGaugeData.length === 0) {
             alert('No gauge data available to export. Please load gauge data first.');
             return;
         }
+        dialog.showModal();
+    });
 
-        const csvContent = generateGaugeInfoCSV(window.fullGaugeData);
-        downloadGaugeInfoFile(csvContent);
+    dialog.addEventListener('close', () => {
+        if (dialog.returnValue !== 'export') return;
+
+        const format = dialog.querySelector('input[name="export-format"]:checked')?.value || 'csv';
+        const viewportOnly = document.getElementById('export-viewport-only')?.checked || false;
+
+        const bounds = viewportOnly ? map.getBounds() : null;
+        const gauges = bounds
+            ? window.fullGaugeData.filter(d => d && bounds.contains([d.lat, d.lon]))
+            : window.fullGaugeData;
+
+        const scatterplot = window.scatterplotManager;
+        const records = buildExportRecords(gauges, point => scatterplot ? scatterplot.isPointExcluded(point) : false);
+        const info = madisController.getSessionInfo();
+        const baseName = info.date ? `mrms_gauges_${info.date}_${info.hour}z` : 'mrms_gauges';
+
+        if (format === 'geojson') {
+            downloadTextFile(generateRecordsGeoJSON(records), `${baseName}.geojson`, 'application/geo+json');
+        } else if (format === 'session') {
+            const { bias, basemap, overlays, center, zoom } = permalink.captureState();
+            const session = generateSessionJSON(records, {
+                info,
+                exclusionList: window.gaugeExclusions
+                    ? JSON.parse(window.gaugeExclusions.exportActiveList('json'))
+                    : null,
+                includeQcFlagged: scatterplot ? scatterplot.includeQcFlagged : false,
+                bounds: bounds
+                    ? { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() }
+                    : null,
+                region: regionController ? regionController.getActiveRegion() : null,
+                focusStations: scatterplot ? scatterplot.focusStations : null,
+                categoricalPairs: getCategoricalPairs(madisController, bounds),
+                categoricalThresholds: getCategoricalThresholds(),
+                view: { bias, basemap, overlays, center, zoom }
+            });
+            downloadTextFile(session, `${baseName}_session.json`, 'application/json');
+        } else if (format === 'categorical') {
+            const rows = calculateCategoricalScores(getCategoricalPairs(madisController, bounds), getCategoricalThresholds());
+            downloadTextFile(generateCategoricalScoresCSV(rows), `${baseName}_categorical.csv`, 'text/csv');
+        } else {
+            downloadTextFile(generateRecordsCSV(records), `${baseName}.csv`, 'text/csv');
+        }
     });
 }
 
 /**
- * Generates CSV content from gauge data
+ * Sets up the permalink: keeps the URL hash in sync with the viewer, replays the state of an
+ * opened link (or a pasted one) by loading its product and valid time, and restores session files
  *
- * @param {Array<Object>} gaugeData - Array of gauge data objects
- * @returns {string} CSV formatted string
+ * @param {Object} map - Leaflet map instance
+ * @param {Object} permalink - Permalink controller
+ * @param {Object} exclusions - Exclusion list controller
  */
-function generateGaugeInfoCSV(gaugeData) {
-    let content = 'Gauge ID,Latitude,Longitude,Gauge QPE (in),MRMS QPE (in)\n';
+export function setupPermalinkHandlers(map, permalink, exclusions) {
+    const replay = (canLoad) => {
+        permalink.updateHash();
+        if (canLoad) {
+            document.getElementById('load-btn')?.click();
+        }
+    };
+
+    // Any control change, map move or exclusion edit updates the hash
+    document.addEventListener('change', () => permalink.updateHash());
+    map.on('moveend', () => permalink.updateHash());
+    exclusions.onChange(() => permalink.updateHash());
+
+    window.addEventListener('hashchange', () => replay(permalink.restoreFromHash()));
+
+    const copyLinkBtn = document.getElementById('copy-link-btn');
+    if (copyLinkBtn) {
+        copyLinkBtn.addEventListener('click', async () => {
+            const link = permalink.getLink();
+            try {
+                await navigator.clipboard.writeText(link);
+                copyLinkBtn.textContent = 'Link copied';
+                setTimeout(() => { copyLinkBtn.textContent = 'Copy link'; }, 1500);
+            } catch (error) {
+                // Clipboard access can be refused (e.g. over plain HTTP); let the user copy it
+                prompt('Copy this link:', link);
+            }
+        });
+    }
 
-    gaugeData.forEach(gauge => {
-        if (gauge) {
-            const gaugeQPE = gauge.displayValue !== null ? gauge.displayValue.toFixed(3) : 'N/A';
-            const mrmsQPE = gauge.mrmsValue !== null && gauge.mrmsValue !== undefined
-                ? gauge.mrmsValue.toFixed(3)
-                : 'N/A';
-            content += `${gauge.stationId},${gauge.lat.toFixed(4)},${gauge.lon.toFixed(4)},${gaugeQPE},${mrmsQPE}\n`;
+    const openSessionBtn = document.getElementById('open-session-btn');
+    const sessionInput = document.getElementById('open-session-input');
+    if (openSessionBtn && sessionInput) {
+        openSessionBtn.addEventListener('click', () => sessionInput.click());
+
+        sessionInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                replay(permalink.applyState(parseSessionState(await file.text())));
+            } catch (error) {
+                console.error('Error opening session file:', error);
+                alert('Error opening session file: ' + error.message);
+            } finally {
+                sessionInput.value = '';
+            }
+        });
+    }
+
+    // Replay the state in the link the page was opened with
+    if (location.hash) {
+        replay(permalink.restoreFromHash());
+    }
+}
+
+/**
+ * Sets up the "Generate report" button and dialog (PNG image or single-page PDF)
+ *
+ * @param {Object} madisController - MADIS controller instance with getSessionInfo method
+ */
+export function setupReportDialogHandlers(madisController) {
+    const reportBtn = document.getElementById('report-btn');
+    const dialog = document.getElementById('report-dialog');
+    if (!reportBtn || !dialog) return;
+
+    reportBtn.addEventListener('click', () => dialog.showModal());
+
+    dialog.addEventListener('close', async () => {
+        if (dialog.returnValue !== 'generate') return;
+
+        const format = dialog.querySelector('input[name="report-format"]:checked')?.value || 'png';
+        const info = madisController.getSessionInfo();
+        const baseName = info.date ? `mrms_report_${info.date}_${info.hour}z` : 'mrms_report';
+
+        reportBtn.disabled = true;
+        try {
+            const report = await generateReport(info, format);
+            downloadBlob(report, `${baseName}.${format}`);
+        } catch (error) {
+            console.error('Error generating report:', error);
+            alert('Error generating report: ' + error.message);
+        } finally {
+            reportBtn.disabled = false;
         }
     });
-
-    return content;
 }
 
 /**
- * Downloads gauge info as a text file
+ * Downloads text content as a file
  *
  * @param {string} content - File content to download
+ * @param {string} fileName - Download file name
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadTextFile(content, fileName, mimeType) {
+    downloadBlob(new Blob([content], { type: mimeType }), fileName);
+}
+
+/**
+ * Downloads a blob as a file
+ *
+ * @param {Blob} blob - File content
+ * @param {string} fileName - Download file name
  */
-function downloadGaugeInfoFile(content) {
-    const blob = new Blob([content], { type: 'text/plain' });
+function downloadBlob(blob, fileName) {
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-
-    const now = new Date();
-    const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    a.download = `gauge_info_${timestamp}.txt`;
+    a.download = fileName;
 
     document.body.appendChild(a);
     a.click();
@@ -168,8 +886,10 @@ function downloadGaugeInfoFile(content) {
  * @param {Object} dataLayerState - Object containing current dataLayer reference
  * @param {Object} madisController - MADIS controller instance
  * @param {Object} lastGaugeLoad - Object tracking last gauge load parameters
+ * @param {Object} timeSeriesController - Time-series controller instance
+ * @param {Object} comparisonController - Product comparison controller instance
  */
-export function setupLoadDataButtonHandler(map, dataLayerState, madisController, lastGaugeLoad) {
+export function setupLoadDataButtonHandler(map, dataLayerState, madisController, lastGaugeLoad, timeSeriesController, comparisonController) {
     const loadBtn = document.getElementById('load-btn');
     if (!loadBtn) return;
 
@@ -180,6 +900,8 @@ export function setupLoadDataButtonHandler(map, dataLayerState, madisController,
         const date = dateInput.replace(/-/g, '');
         const time = hourInput + '0000';
         const loading = document.getElementById('loading-indicator');
+        const timeSeriesMode = document.getElementById('time-series-toggle')?.checked || false;
+        const compareMode = document.getElementById('compare-toggle')?.checked || false;
 
         const apiUrl = `/api/tiles/download-s3?product=${product}&date=${date}&time=${time}&cacheKey=default`;
 
@@ -187,6 +909,37 @@ export function setupLoadDataButtonHandler(map, dataLayerState, madisController,
         loading.style.display = 'block';
 
         try {
+            if (compareMode && comparisonController) {
+                if (timeSeriesController && timeSeriesController.isActive()) {
+                    await timeSeriesController.clear();
+                }
+                await loadComparison(comparisonController, product, date, hourInput, loading);
+
+                // Compared products replace the gauge data, so the next single load must refetch
+                lastGaugeLoad.date = null;
+                return;
+            }
+
+            // Leaving compare mode frees the compared products' datasets
+            if (comparisonController && comparisonController.isActive()) {
+                await comparisonController.clear();
+                lastGaugeLoad.date = null;
+            }
+
+            if (timeSeriesMode && timeSeriesController) {
+                await loadTimeSeries(timeSeriesController, product, date, hourInput, loading);
+
+                // Frames replace the gauge data, so the next single load must refetch
+                lastGaugeLoad.date = null;
+                return;
+            }
+
+            // Leaving time-series mode frees the cached frames
+            if (timeSeriesController && timeSeriesController.isActive()) {
+                await timeSeriesController.clear();
+                lastGaugeLoad.date = null;
+            }
+
             const response = await fetch(apiUrl, { method: 'POST' });
 
             if (!response.ok) {
@@ -202,15 +955,14 @@ export function setupLoadDataButtonHandler(map, dataLayerState, madisController,
                 map.removeLayer(dataLayerState.current);
             }
 
-            dataLayerState.current = L.tileLayer('/api/tiles/{z}/{x}/{y}.png?dataset=default&_=' + Date.now(), {
-                maxZoom: 20,
-                opacity: 0.7
-            }).addTo(map);
+            dataLayerState.current = createDataTileLayer('default').addTo(map);
 
             // Update colorbar
             updateQPEColorbar(product);
 
             // Automatically load gauges with MRMS data
+            madisController.setCacheKey('default');
+            madisController.setValidTime(product, date, hourInput);
             await loadGaugesForProduct(
                 madisController,
                 product,
@@ -225,8 +977,214 @@ export function setupLoadDataButtonHandler(map, dataLayerState, madisController,
         } finally {
             loadBtn.disabled = false;
             loading.style.display = 'none';
+            loading.textContent = 'Loading...';
+        }
+    });
+}
+
+/**
+ * Loads a range of hours in time-series mode, reporting progress in the loading indicator
+ *
+ * @param {Object} timeSeriesController - Time-series controller instance
+ * @param {string} product - QPE product name
+ * @param {string} date - End date string (YYYYMMDD)
+ * @param {string} hour - End hour string (HH)
+ * @param {HTMLElement} loading - Loading indicator element
+ */
+async function loadTimeSeries(timeSeriesController, product, date, hour, loading) {
+    const frameInput = parseInt(document.getElementById('time-series-hours')?.value, 10);
+    const frameCount = isNaN(frameInput) ? TIME_SERIES.DEFAULT_FRAMES : frameInput;
+
+    updateQPEColorbar(product);
+
+    await timeSeriesController.loadRange(
+        product,
+        date,
+        hour,
+        frameCount,
+        getAccumulationPeriodForProduct(product),
+        (loaded, total) => {
+            loading.textContent = `Loading hour ${Math.min(loaded + 1, total)} of ${total}...`;
+        }
+    );
+}
+
+/**
+ * Loads the checked product variants for the selected accumulation period in compare mode
+ *
+ * @param {Object} comparisonController - Product comparison controller instance
+ * @param {string} product - Selected QPE product name (drawn on the map if it is compared)
+ * @param {string} date - Date string (YYYYMMDD)
+ * @param {string} hour - Hour string (HH)
+ * @param {HTMLElement} loading - Loading indicator element
+ */
+async function loadComparison(comparisonController, product, date, hour, loading) {
+    const variantKeys = [...document.querySelectorAll('.compare-variant:checked')].map(input => input.value);
+    const products = getComparisonProducts(product, variantKeys);
+    if (products.length < 2) {
+        throw new Error('Check at least two products to compare');
+    }
+
+    updateQPEColorbar(product);
+
+    await comparisonController.loadProducts(
+        products,
+        date,
+        hour,
+        getAccumulationPeriodForProduct(product),
+        product,
+        (loaded, total) => {
+            loading.textContent = `Loading product ${Math.min(loaded + 1, total)} of ${total}...`;
+        }
+    );
+}
+
+/**
+ * Sets up compare mode: the compare toggle (exclusive with time-series mode) and the selector
+ * for the compared product drawn on the map
+ *
+ * @param {Object} comparisonController - Product comparison controller instance
+ */
+export function setupComparisonHandlers(comparisonController) {
+    const compareToggle = document.getElementById('compare-toggle');
+    const timeSeriesToggle = document.getElementById('time-series-toggle');
+
+    if (compareToggle && timeSeriesToggle) {
+        compareToggle.addEventListener('change', (e) => {
+            if (e.target.checked && timeSeriesToggle.checked) {
+                timeSeriesToggle.checked = false;
+                timeSeriesToggle.dispatchEvent(new Event('change'));
+            }
+        });
+
+        timeSeriesToggle.addEventListener('change', (e) => {
+            if (e.target.checked) compareToggle.checked = false;
+        });
+    }
+
+    const plottedSelect = document.getElementById('comparison-plotted-select');
+    if (plottedSelect) {
+        plottedSelect.addEventListener('change', (e) => {
+            comparisonController.showProduct(parseInt(e.target.value, 10));
+        });
+    }
+}
+
+/**
+ * Sets up the dataset B controls of the swipe/difference view: product (the QPE product list),
+ * valid time (defaults to the main selection), view mode, load and clear
+ *
+ * @param {Object} swipeController - Swipe view controller instance
+ */
+export function setupSwipeViewHandlers(swipeController) {
+    const productSelect = document.getElementById('swipe-product-select');
+    const dateInput = document.getElementById('swipe-date-input');
+    const hourSelect = document.getElementById('swipe-hour-input');
+    const modeSelect = document.getElementById('swipe-mode-select');
+    const loadBtn = document.getElementById('swipe-load-btn');
+    const clearBtn = document.getElementById('swipe-clear-btn');
+    if (!productSelect || !dateInput || !hourSelect || !loadBtn) return;
+
+    const mainProductSelect = document.getElementById('product-select');
+    productSelect.innerHTML = mainProductSelect.innerHTML;
+    productSelect.value = mainProductSelect.value;
+
+    populateHourSelector('swipe-hour-input');
+    dateInput.value = document.getElementById('date-input').value;
+    hourSelect.value = document.getElementById('hour-input').value;
+
+    if (modeSelect) {
+        modeSelect.addEventListener('change', (e) => swipeController.setMode(e.target.value));
+    }
+
+    loadBtn.addEventListener('click', async () => {
+        const product = productSelect.value;
+        const date = dateInput.value.replace(/-/g, '');
+        const hour = hourSelect.value;
+        const option = productSelect.selectedOptions[0];
+        const group = option && option.parentElement.tagName === 'OPTGROUP' ? `${option.parentElement.label} ` : '';
+        const label = `${group}${option ? option.textContent : product}, ${dateInput.value} ${hour}Z`;
+        const loading = document.getElementById('loading-indicator');
+
+        loadBtn.disabled = true;
+        loading.style.display = 'block';
+        loading.textContent = 'Loading dataset B...';
+
+        try {
+            await swipeController.loadDataset(product, date, hour, label);
+            if (clearBtn) clearBtn.disabled = false;
+        } catch (error) {
+            console.error('Error loading dataset B:', error);
+            alert('Error loading dataset B: ' + error.message);
+        } finally {
+            loadBtn.disabled = false;
+            loading.style.display = 'none';
+            loading.textContent = 'Loading...';
         }
     });
+
+    if (clearBtn) {
+        clearBtn.disabled = true;
+        clearBtn.addEventListener('click', async () => {
+            clearBtn.disabled = true;
+            await swipeController.clear();
+        });
+    }
+}
+
+/**
+ * Sets up the time-series player controls (play/pause, step and frame slider)
+ *
+ * @param {Object} timeSeriesController - Time-series controller instance
+ */
+export function setupTimeSeriesHandlers(timeSeriesController) {
+    if (!timeSeriesController) return;
+
+    const bindClick = (id, handler) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    };
+
+    bindClick('ts-play-btn', () => timeSeriesController.togglePlay());
+    bindClick('ts-prev-btn', () => timeSeriesController.step(-1));
+    bindClick('ts-next-btn', () => timeSeriesController.step(1));
+
+    const slider = document.getElementById('ts-frame-slider');
+    if (slider) {
+        slider.addEventListener('input', (e) => {
+            timeSeriesController.pause();
+            timeSeriesController.showFrame(parseInt(e.target.value, 10));
+        });
+    }
+
+    const hoursInput = document.getElementById('time-series-hours');
+    const toggle = document.getElementById('time-series-toggle');
+    if (toggle && hoursInput) {
+        hoursInput.disabled = !toggle.checked;
+        toggle.addEventListener('change', (e) => {
+            hoursInput.disabled = !e.target.checked;
+        });
+    }
+}
+
+/**
+ * Determines the accumulation period of an MRMS QPE product from its name
+ *
+ * @param {string} product - QPE product name (e.g., 'MultiSensor_QPE_06H_Pass2_00.00')
+ * @returns {string} Accumulation period (see ACCUMULATION_PERIODS)
+ */
+function getAccumulationPeriodForProduct(product) {
+    const match = product.match(/_(\d{2})H_/);
+    if (!match) {
+        return ACCUMULATION_PERIODS.ONE_HOUR;
+    }
+
+    const period = `${parseInt(match[1], 10)}H`;
+    return Object.values(ACCUMULATION_PERIODS).includes(period)
+        ? period
+        : ACCUMULATION_PERIODS.ONE_HOUR;
 }
 
 /**
@@ -242,9 +1200,7 @@ async function loadGaugesForProduct(madisController, product, date, hour, lastGa
     if (!madisController) return;
 
     try {
-        const accumPeriod = product.includes('24H')
-            ? ACCUMULATION_PERIODS.TWENTY_FOUR_HOUR
-            : ACCUMULATION_PERIODS.ONE_HOUR;
+        const accumPeriod = getAccumulationPeriodForProduct(product);
 
         const needsReload =
             lastGaugeLoad.date !== date ||